@@ -36,6 +36,9 @@ app.use('/api/scheduler', require('./src/routes/scheduler'));
 app.use('/api/autofill', require('./src/routes/autofill'));
 app.use('/api/projects', require('./src/routes/projects'));
 app.use('/api/routing', require('./src/routes/routing'));
+app.use('/api/test-runs', require('./src/routes/testRuns'));
+app.use('/api/templates', require('./src/routes/templates'));
+app.use('/api/links', require('./src/routes/links'));
 
 app.use((err, req, res, next) => {
   console.error('[Clair] Error:', err.message);
@@ -45,11 +48,23 @@ app.use((err, req, res, next) => {
 const { initScheduler } = require('./src/services/dailySummary');
 const { initDayScheduler } = require('./src/services/dayOrganizer');
 const { initNightScheduler } = require('./src/services/nightCompiler');
+const { initStaleDocScheduler } = require('./src/services/staleDocs');
+const { initDocSyncScheduler } = require('./src/services/docSync');
+const { initTreeIndexScheduler } = require('./src/services/treeIndex');
+const { initDescriptionScheduler } = require('./src/services/folderDescriber');
+const { initSnapshotScheduler } = require('./src/services/structureSnapshots');
+const { initCodeTodoScheduler } = require('./src/services/codeTodos');
 
 const server = app.listen(PORT, () => {
   initScheduler();
   initDayScheduler();
   initNightScheduler();
+  initStaleDocScheduler();
+  initDocSyncScheduler();
+  initTreeIndexScheduler();
+  initDescriptionScheduler();
+  initSnapshotScheduler();
+  initCodeTodoScheduler();
   const susanAssist = require('./src/services/susanAssist');
   susanAssist.start();
   console.log(`[Clair] Running on port ${PORT} - Daily consolidation at 2am PST`);
@@ -0,0 +1,41 @@
+-- Clair Doc Revisions
+-- Migration 003 - Keep every content change to generated docs
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. DEV_AI_DOC_REVISIONS - Full snapshot per content change
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_doc_revisions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    doc_id UUID NOT NULL REFERENCES dev_ai_generated_docs(id) ON DELETE CASCADE,
+    project_id TEXT,
+
+    -- Snapshot
+    revision_number INT NOT NULL,
+    title VARCHAR(500),
+    content TEXT,
+
+    -- Who and why
+    author VARCHAR(100) DEFAULT 'user',
+    reason VARCHAR(30) NOT NULL,             -- 'initial', 'ai_generation', 'ai_regeneration', 'manual_edit', 'correction_applied', 'restore'
+    note TEXT,                               -- Free text (e.g. correction id, restored-from revision)
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(doc_id, revision_number)
+);
+
+ALTER TABLE dev_ai_doc_revisions ADD CONSTRAINT check_revision_reason
+    CHECK (reason IN ('initial', 'ai_generation', 'ai_regeneration', 'manual_edit', 'correction_applied', 'restore'));
+
+CREATE INDEX idx_ai_doc_revisions_doc ON dev_ai_doc_revisions(doc_id, revision_number DESC);
+
+-- ============================================
+-- 2. Track current revision on the doc itself
+-- ============================================
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS revision INT DEFAULT 0;
+
+-- ============================================
+-- Done! Doc revision tracking ready.
+-- ============================================
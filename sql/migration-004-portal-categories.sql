@@ -0,0 +1,14 @@
+-- Clair User Portal
+-- Migration 004 - Category for grouping published guides in the portal export
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Portal category on generated docs
+-- ============================================
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS category VARCHAR(100);   -- e.g. 'Clients', 'Billing' (falls back to doc type)
+
+CREATE INDEX IF NOT EXISTS idx_ai_generated_docs_category ON dev_ai_generated_docs(project_id, category);
+
+-- ============================================
+-- Done! Portal categories ready.
+-- ============================================
@@ -0,0 +1,30 @@
+-- Clair Stale Doc Detection
+-- Migration 005 - Track what each doc was built from and flag it when that changes
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Source manifest + stale flags on generated docs
+-- ============================================
+-- source_manifest shape:
+-- {
+--   "files":       [{ "path": "src/routes/docs.js", "hash": "sha256..." }],
+--   "knowledge":   [{ "id": "uuid", "hash": "sha256..." }],
+--   "conventions": [{ "id": "uuid", "hash": "sha256..." }]
+-- }
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS source_manifest JSONB DEFAULT '{}';
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS is_stale BOOLEAN DEFAULT FALSE;
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS stale_reason TEXT;
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS stale_checked_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_ai_generated_docs_stale ON dev_ai_generated_docs(project_id) WHERE is_stale = TRUE;
+
+-- ============================================
+-- 2. Schedule entry for the stale check job
+-- ============================================
+INSERT INTO dev_ai_clair_schedule (job_type, job_name, schedule_cron, config, is_enabled) VALUES
+    ('doc_update', 'Check Stale Docs', '15 * * * *', '{"sources": ["files", "knowledge", "conventions"]}', TRUE)
+ON CONFLICT (job_type, job_name) DO NOTHING;
+
+-- ============================================
+-- Done! Stale doc tracking ready.
+-- ============================================
@@ -0,0 +1,57 @@
+-- Clair Test Run Ingestion
+-- Migration 006 - Tester (Mike / Tiffany) runs feed how-to guides and bugs
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. DEV_AI_TEST_RUNS - One structured run per feature walkthrough
+-- ============================================
+-- steps shape:
+-- [{ "order": 1, "action": "Click Save", "expected": "Toast shows Saved",
+--    "actual": "Toast shows Saved", "status": "passed", "screenshot": "shots/save.png" }]
+CREATE TABLE IF NOT EXISTS dev_ai_test_runs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    project_id TEXT NOT NULL,
+
+    -- What was tested
+    tester VARCHAR(100) NOT NULL,            -- 'mike', 'tiffany', ...
+    feature VARCHAR(255) NOT NULL,           -- Feature key - runs for the same feature update one guide
+    title VARCHAR(500),
+    environment VARCHAR(255),
+    preconditions JSONB DEFAULT '[]',
+    steps JSONB NOT NULL DEFAULT '[]',
+
+    -- Outcome
+    status VARCHAR(20) NOT NULL,             -- 'passed', 'failed'
+    passed_steps INT DEFAULT 0,
+    failed_steps INT DEFAULT 0,
+
+    -- What Clair did with it
+    doc_id UUID REFERENCES dev_ai_generated_docs(id) ON DELETE SET NULL,
+    bug_ids UUID[] DEFAULT '{}',
+
+    -- Timestamps
+    run_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE dev_ai_test_runs ADD CONSTRAINT check_test_run_status
+    CHECK (status IN ('passed', 'failed'));
+
+CREATE INDEX idx_ai_test_runs_feature ON dev_ai_test_runs(project_id, feature, run_at DESC);
+
+-- ============================================
+-- 2. Link bugs back to the run that found them
+-- ============================================
+ALTER TABLE dev_ai_bugs ADD COLUMN IF NOT EXISTS test_run_id UUID REFERENCES dev_ai_test_runs(id) ON DELETE SET NULL;
+ALTER TABLE dev_ai_bugs ADD COLUMN IF NOT EXISTS reproduction_steps JSONB;
+
+-- ============================================
+-- 3. New revision reason for guides written from test runs
+-- ============================================
+ALTER TABLE dev_ai_doc_revisions DROP CONSTRAINT IF EXISTS check_revision_reason;
+ALTER TABLE dev_ai_doc_revisions ADD CONSTRAINT check_revision_reason
+    CHECK (reason IN ('initial', 'ai_generation', 'ai_regeneration', 'manual_edit', 'correction_applied', 'restore', 'test_run'));
+
+-- ============================================
+-- Done! Test run ingestion ready.
+-- ============================================
@@ -0,0 +1,44 @@
+-- Clair Doc Template Registry
+-- Migration 007 - Doc types and outlines live in the database instead of code
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. DEV_AI_DOC_TEMPLATES - Outline per doc type (global or per project)
+-- ============================================
+-- The five built-in types (howto, schematic, breakdown, reference, guide) ship in code;
+-- a row with the same doc_type overrides them. Any other doc_type ('runbook', 'adr', ...)
+-- becomes a new doc type.
+--
+-- outline/system_prompt support {{placeholders}} filled from project metadata:
+-- {{title}} {{doc_type}} {{project_name}} {{project_slug}} {{project_path}}
+-- {{project_description}} {{git_repo}} {{port_dev}} {{date}}
+CREATE TABLE IF NOT EXISTS dev_ai_doc_templates (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    doc_type VARCHAR(30) NOT NULL,
+    project_id TEXT,                         -- NULL = global, otherwise project path override
+
+    name VARCHAR(255) NOT NULL,              -- Display name / default title
+    description TEXT,
+    outline TEXT NOT NULL,                   -- Markdown skeleton Claude fills in
+    system_prompt TEXT,                      -- Optional - replaces the built-in prompt for this type
+
+    is_active BOOLEAN DEFAULT TRUE,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_doc_templates_type
+    ON dev_ai_doc_templates(doc_type, COALESCE(project_id, ''));
+
+CREATE INDEX IF NOT EXISTS idx_ai_doc_templates_project ON dev_ai_doc_templates(project_id);
+
+-- ============================================
+-- 2. Doc types are no longer a fixed list
+-- ============================================
+ALTER TABLE dev_ai_generated_docs DROP CONSTRAINT IF EXISTS check_doc_type;
+
+-- ============================================
+-- Done! Doc template registry ready.
+-- ============================================
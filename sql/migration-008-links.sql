@@ -0,0 +1,38 @@
+-- Clair Cross-References
+-- Migration 008 - [[Title]] / [[type:id]] links between docs, knowledge and journal entries
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. DEV_AI_LINKS - One row per link found in an item's content
+-- ============================================
+-- Rebuilt for the source item every time its content is saved.
+-- Unresolved links keep target_id NULL and get resolved when a matching item appears.
+CREATE TABLE IF NOT EXISTS dev_ai_links (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    project_id TEXT NOT NULL,
+
+    -- Where the link is written
+    source_type VARCHAR(20) NOT NULL,        -- 'doc', 'knowledge', 'journal'
+    source_id UUID NOT NULL,
+
+    -- What it points to
+    target_ref TEXT NOT NULL,                -- Text inside the brackets, e.g. 'Deploy Guide' or 'doc:<uuid>'
+    target_type VARCHAR(20),
+    target_id UUID,
+    label TEXT,                              -- [[target|label]]
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(source_type, source_id, target_ref)
+);
+
+ALTER TABLE dev_ai_links ADD CONSTRAINT check_link_source_type
+    CHECK (source_type IN ('doc', 'knowledge', 'journal'));
+
+CREATE INDEX idx_ai_links_target ON dev_ai_links(target_type, target_id);
+CREATE INDEX idx_ai_links_source ON dev_ai_links(source_type, source_id);
+CREATE INDEX idx_ai_links_unresolved ON dev_ai_links(project_id) WHERE target_id IS NULL;
+
+-- ============================================
+-- Done! Cross-references ready.
+-- ============================================
@@ -0,0 +1,72 @@
+-- Clair Doc Review Workflow
+-- Migration 009 - draft -> in_review -> approved -> published, with reviewers and comments
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Lifecycle status on generated docs
+-- ============================================
+-- is_published stays as a mirror of status = 'published' for older readers
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'draft';
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS approved_revision INT;
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS published_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS published_by VARCHAR(100);
+
+-- Docs that were already live keep showing
+UPDATE dev_ai_generated_docs SET status = 'published', published_at = COALESCE(updated_at, generated_at)
+    WHERE is_published = TRUE AND (status IS NULL OR status = 'draft');
+UPDATE dev_ai_generated_docs SET status = 'draft' WHERE status IS NULL;
+
+ALTER TABLE dev_ai_generated_docs DROP CONSTRAINT IF EXISTS check_doc_status;
+ALTER TABLE dev_ai_generated_docs ADD CONSTRAINT check_doc_status
+    CHECK (status IN ('draft', 'in_review', 'approved', 'published'));
+
+CREATE INDEX IF NOT EXISTS idx_ai_generated_docs_status ON dev_ai_generated_docs(project_id, status);
+
+-- ============================================
+-- 2. DEV_AI_DOC_REVIEWS - One row per assigned reviewer per review round
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_doc_reviews (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    doc_id UUID NOT NULL REFERENCES dev_ai_generated_docs(id) ON DELETE CASCADE,
+    project_id TEXT,
+
+    reviewer VARCHAR(100) NOT NULL,
+    requested_by VARCHAR(100),
+    revision_number INT,                     -- Doc revision under review
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',   -- 'pending', 'approved', 'changes_requested', 'superseded'
+    decided_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE dev_ai_doc_reviews ADD CONSTRAINT check_review_status
+    CHECK (status IN ('pending', 'approved', 'changes_requested', 'superseded'));
+
+CREATE INDEX idx_ai_doc_reviews_doc ON dev_ai_doc_reviews(doc_id, created_at DESC);
+CREATE INDEX idx_ai_doc_reviews_reviewer ON dev_ai_doc_reviews(reviewer, status);
+
+-- ============================================
+-- 3. DEV_AI_DOC_REVIEW_COMMENTS - Discussion on a doc under review
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_doc_review_comments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    doc_id UUID NOT NULL REFERENCES dev_ai_generated_docs(id) ON DELETE CASCADE,
+    review_id UUID REFERENCES dev_ai_doc_reviews(id) ON DELETE SET NULL,
+
+    author VARCHAR(100) NOT NULL,
+    body TEXT NOT NULL,
+    revision_number INT,                     -- Revision the comment was made on
+    anchor TEXT,                             -- Optional heading / quoted text it refers to
+    is_resolved BOOLEAN DEFAULT FALSE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_ai_doc_review_comments_doc ON dev_ai_doc_review_comments(doc_id, created_at);
+
+-- ============================================
+-- Done! Doc review workflow ready.
+-- ============================================
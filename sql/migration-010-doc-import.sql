@@ -0,0 +1,25 @@
+-- Clair Markdown Import
+-- Migration 010 - Docs imported from markdown files in the project, keyed by file path
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Source file on generated docs
+-- ============================================
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS source_path TEXT;          -- Relative to project_id, NULL for generated docs
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS source_hash VARCHAR(64);    -- sha256 of the file at last import
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS imported_at TIMESTAMP WITH TIME ZONE;
+
+-- One doc per file - re-importing updates it instead of duplicating
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_generated_docs_source_path
+    ON dev_ai_generated_docs(project_id, source_path) WHERE source_path IS NOT NULL;
+
+-- ============================================
+-- 2. Revision reason for imports
+-- ============================================
+ALTER TABLE dev_ai_doc_revisions DROP CONSTRAINT IF EXISTS check_revision_reason;
+ALTER TABLE dev_ai_doc_revisions ADD CONSTRAINT check_revision_reason
+    CHECK (reason IN ('initial', 'ai_generation', 'ai_regeneration', 'manual_edit', 'correction_applied', 'restore', 'test_run', 'import'));
+
+-- ============================================
+-- Done! Markdown import ready.
+-- ============================================
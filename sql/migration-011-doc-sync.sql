@@ -0,0 +1,46 @@
+-- Clair Doc Write-back Sync
+-- Migration 011 - Published docs written into the project repo as markdown, disk edits pulled back as revisions
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. DEV_AI_DOC_SYNC - Opt-in sync settings per project
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_doc_sync (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    project_id TEXT NOT NULL UNIQUE,
+
+    is_enabled BOOLEAN DEFAULT FALSE,
+    folder TEXT NOT NULL DEFAULT 'docs/clair',   -- Relative to project_id
+
+    last_synced_at TIMESTAMP WITH TIME ZONE,
+    last_result JSONB DEFAULT '{}',
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================
+-- 2. Sync state on generated docs
+-- ============================================
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS sync_path TEXT;            -- File written, relative to project_id
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS sync_hash VARCHAR(64);      -- sha256 of the file as Clair last wrote/read it
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS synced_revision INT;
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS synced_at TIMESTAMP WITH TIME ZONE;
+
+-- ============================================
+-- 3. Revision reason for edits made on disk
+-- ============================================
+ALTER TABLE dev_ai_doc_revisions DROP CONSTRAINT IF EXISTS check_revision_reason;
+ALTER TABLE dev_ai_doc_revisions ADD CONSTRAINT check_revision_reason
+    CHECK (reason IN ('initial', 'ai_generation', 'ai_regeneration', 'manual_edit', 'correction_applied', 'restore', 'test_run', 'import', 'disk_edit'));
+
+-- ============================================
+-- 4. Schedule entry for the sync job
+-- ============================================
+INSERT INTO dev_ai_clair_schedule (job_type, job_name, schedule_cron, config, is_enabled) VALUES
+    ('doc_update', 'Sync Docs To Repo', '45 * * * *', '{"default_folder": "docs/clair"}', TRUE)
+ON CONFLICT (job_type, job_name) DO NOTHING;
+
+-- ============================================
+-- Done! Doc write-back sync ready.
+-- ============================================
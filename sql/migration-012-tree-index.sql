@@ -0,0 +1,32 @@
+-- Clair Structure Tree Index
+-- Migration 012 - Persisted per-project file tree, refreshed by mtime diffing
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. DEV_AI_TREE_INDEX - One indexed tree per project
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_tree_index (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    project_id TEXT NOT NULL UNIQUE,
+
+    tree JSONB NOT NULL,                     -- { name, path, type, mtime, children: [...] }
+    node_count INT DEFAULT 0,
+    max_depth INT,
+    is_truncated BOOLEAN DEFAULT FALSE,      -- Hit the node cap
+
+    built_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),      -- Last full walk
+    refreshed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),  -- Last mtime diff that changed something
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================
+-- 2. Schedule entry for the refresh job
+-- ============================================
+INSERT INTO dev_ai_clair_schedule (job_type, job_name, schedule_cron, config, is_enabled) VALUES
+    ('structure_scan', 'Refresh Tree Index', '*/10 * * * *', '{"max_depth": 12, "max_nodes": 50000}', TRUE)
+ON CONFLICT (job_type, job_name) DO NOTHING;
+
+-- ============================================
+-- Done! Tree index ready.
+-- ============================================
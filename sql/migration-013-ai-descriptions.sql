@@ -0,0 +1,34 @@
+-- Clair AI Folder Descriptions
+-- Migration 013 - AI-written folder/file descriptions next to the human ones
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Who wrote a description, and what it was written from
+-- ============================================
+-- Existing rows were all written by hand
+ALTER TABLE dev_ai_folder_descriptions ADD COLUMN IF NOT EXISTS source VARCHAR(10) DEFAULT 'human';
+ALTER TABLE dev_ai_folder_descriptions ADD COLUMN IF NOT EXISTS path_type VARCHAR(10) DEFAULT 'folder';
+ALTER TABLE dev_ai_folder_descriptions ADD COLUMN IF NOT EXISTS sampled_entries JSONB;        -- Folder entry names the AI description was written from
+ALTER TABLE dev_ai_folder_descriptions ADD COLUMN IF NOT EXISTS content_signature VARCHAR(64); -- sha256 of sampled_entries
+ALTER TABLE dev_ai_folder_descriptions ADD COLUMN IF NOT EXISTS model VARCHAR(60);
+ALTER TABLE dev_ai_folder_descriptions ADD COLUMN IF NOT EXISTS generated_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE dev_ai_folder_descriptions SET source = 'human' WHERE source IS NULL;
+
+ALTER TABLE dev_ai_folder_descriptions DROP CONSTRAINT IF EXISTS check_description_source;
+ALTER TABLE dev_ai_folder_descriptions ADD CONSTRAINT check_description_source
+    CHECK (source IN ('human', 'ai'));
+ALTER TABLE dev_ai_folder_descriptions DROP CONSTRAINT IF EXISTS check_description_path_type;
+ALTER TABLE dev_ai_folder_descriptions ADD CONSTRAINT check_description_path_type
+    CHECK (path_type IN ('folder', 'file'));
+
+-- ============================================
+-- 2. Limits for the existing 'Scan Project Structure' job
+-- ============================================
+UPDATE dev_ai_clair_schedule
+    SET config = config || '{"max_folders": 40, "max_depth": 4, "describe_files": true}'::jsonb
+    WHERE job_name = 'Scan Project Structure';
+
+-- ============================================
+-- Done! AI descriptions ready.
+-- ============================================
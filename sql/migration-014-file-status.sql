@@ -0,0 +1,31 @@
+-- Clair File Status Classification
+-- Migration 014 - Manual status overrides for the Structure tab color coding
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. DEV_AI_FILE_STATUS_OVERRIDES - Status set by hand for a file or folder
+-- ============================================
+-- A folder override applies to everything inside it that has no override of its own
+CREATE TABLE IF NOT EXISTS dev_ai_file_status_overrides (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    project_id TEXT NOT NULL,
+    path TEXT NOT NULL,                      -- Relative to project_id
+
+    status VARCHAR(20) NOT NULL,             -- 'active', 'deprecated', 'config', 'test', 'generated'
+    note TEXT,
+    created_by VARCHAR(100) DEFAULT 'user',
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(project_id, path)
+);
+
+ALTER TABLE dev_ai_file_status_overrides ADD CONSTRAINT check_file_status
+    CHECK (status IN ('active', 'deprecated', 'config', 'test', 'generated'));
+
+CREATE INDEX idx_ai_file_status_overrides_project ON dev_ai_file_status_overrides(project_id);
+
+-- ============================================
+-- Done! File status overrides ready.
+-- ============================================
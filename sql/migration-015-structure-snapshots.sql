@@ -0,0 +1,35 @@
+-- Clair Structure Snapshots
+-- Migration 015 - Point-in-time copies of each project's tree, for "what changed this week"
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. DEV_AI_STRUCTURE_SNAPSHOTS - Flat file list of a project's tree at one moment
+-- ============================================
+-- A snapshot is only stored when the tree differs from the previous one
+CREATE TABLE IF NOT EXISTS dev_ai_structure_snapshots (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    project_id TEXT NOT NULL,
+
+    entries JSONB NOT NULL,                  -- [{ path, type, size }] - paths relative to project_id
+    signature VARCHAR(64) NOT NULL,          -- sha256 of entries
+    file_count INTEGER DEFAULT 0,
+    dir_count INTEGER DEFAULT 0,
+    total_size BIGINT DEFAULT 0,
+    is_truncated BOOLEAN DEFAULT FALSE,      -- Tree index hit its node cap
+
+    trigger VARCHAR(20) DEFAULT 'schedule',  -- 'schedule', 'manual', 'night_compiler'
+    taken_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_ai_structure_snapshots_project ON dev_ai_structure_snapshots(project_id, taken_at DESC);
+
+-- ============================================
+-- 2. Schedule entry for the snapshot job
+-- ============================================
+INSERT INTO dev_ai_clair_schedule (job_type, job_name, schedule_cron, config, is_enabled) VALUES
+    ('structure_scan', 'Snapshot Project Structure', '15 */6 * * *', '{"retention_days": 90}', TRUE)
+ON CONFLICT (job_type, job_name) DO NOTHING;
+
+-- ============================================
+-- Done! Structure snapshots ready.
+-- ============================================
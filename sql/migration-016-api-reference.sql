@@ -0,0 +1,18 @@
+-- Clair API Reference From Code
+-- Migration 016 - Reference docs built by scanning the project's Express routes, rebuilt when the route files change
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Docs written from code instead of by the model
+-- ============================================
+ALTER TABLE dev_ai_generated_docs ADD COLUMN IF NOT EXISTS generator VARCHAR(40);     -- 'api_routes'; NULL for AI docs
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_generated_docs_generator
+    ON dev_ai_generated_docs(project_id, generator) WHERE generator IS NOT NULL;
+
+-- ============================================
+-- 2. Revision reason for docs rebuilt from a code scan
+-- ============================================
+ALTER TABLE dev_ai_doc_revisions DROP CONSTRAINT IF EXISTS check_revision_reason;
+ALTER TABLE dev_ai_doc_revisions ADD CONSTRAINT check_revision_reason
+    CHECK (reason IN ('initial', 'ai_generation', 'ai_regeneration', 'manual_edit', 'correction_applied', 'restore', 'test_run', 'import', 'disk_edit', 'code_scan'));
@@ -0,0 +1,25 @@
+-- Clair Filesystem Audit
+-- Migration 017 - Every file Clair writes into a project (and every write it refused) is recorded
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. DEV_AI_FS_AUDIT - One row per write attempt
+-- ============================================
+CREATE TABLE IF NOT EXISTS dev_ai_fs_audit (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    project_id TEXT,                       -- Registered root (dev_project_ids.path); NULL when refused outside any root
+    path TEXT NOT NULL,                    -- Absolute path written
+    operation VARCHAR(20) NOT NULL,        -- write, mkdir
+    bytes INT,
+    source VARCHAR(100),                   -- What wrote it: todos.create, docSync, portalExport
+    actor VARCHAR(100) DEFAULT 'clair',
+    allowed BOOLEAN NOT NULL DEFAULT TRUE,
+    error TEXT,                            -- Refusal reason or the write's own error
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT check_fs_operation CHECK (operation IN ('write', 'mkdir'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_fs_audit_project ON dev_ai_fs_audit(project_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_fs_audit_refused ON dev_ai_fs_audit(created_at DESC) WHERE allowed = FALSE;
@@ -0,0 +1,15 @@
+-- Clair TODO.md Sync
+-- Migration 018 - Checkbox items in TODO.md files linked to dev_ai_todos rows by a stable anchor
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Link between a todo and its line in a TODO.md
+-- ============================================
+ALTER TABLE dev_ai_todos ADD COLUMN IF NOT EXISTS source VARCHAR(20);              -- todo_md, code; NULL for todos created in Clair
+ALTER TABLE dev_ai_todos ADD COLUMN IF NOT EXISTS source_file TEXT;                -- Relative to project_id
+ALTER TABLE dev_ai_todos ADD COLUMN IF NOT EXISTS source_anchor VARCHAR(16);       -- The <!-- clair:xxxxxxxx --> comment on the line
+ALTER TABLE dev_ai_todos ADD COLUMN IF NOT EXISTS source_hash VARCHAR(64);         -- sha256 of title/completed/category at the last sync
+ALTER TABLE dev_ai_todos ADD COLUMN IF NOT EXISTS synced_at TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_todos_source_anchor
+    ON dev_ai_todos(project_id, source_anchor) WHERE source_anchor IS NOT NULL;
@@ -0,0 +1,19 @@
+-- Clair Code Todos
+-- Migration 019 - TODO / FIXME / HACK / XXX comments in source code tracked as dev_ai_todos (source = 'code')
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Where a code todo lives
+-- ============================================
+-- source, source_file and source_anchor come from migration 018; for code todos source_anchor
+-- is a hash of file + marker + comment text, so a todo keeps its row when lines shift
+ALTER TABLE dev_ai_todos ADD COLUMN IF NOT EXISTS source_line INT;
+ALTER TABLE dev_ai_todos ADD COLUMN IF NOT EXISTS source_author TEXT;                 -- From git blame
+ALTER TABLE dev_ai_todos ADD COLUMN IF NOT EXISTS auto_closed_at TIMESTAMP WITH TIME ZONE;   -- Closed because the comment disappeared
+
+-- ============================================
+-- 2. Schedule entry for the scan
+-- ============================================
+INSERT INTO dev_ai_clair_schedule (job_type, job_name, schedule_cron, config, is_enabled) VALUES
+    ('structure_scan', 'Scan Code Todos', '30 */3 * * *', '{}', TRUE)
+ON CONFLICT (job_type, job_name) DO NOTHING;
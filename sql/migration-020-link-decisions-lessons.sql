@@ -0,0 +1,14 @@
+-- Clair Cross-References for Decisions and Lessons
+-- Migration 020 - dev_ai_decisions and dev_ai_lessons rows can hold and receive [[...]] links
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. New link source types
+-- ============================================
+ALTER TABLE dev_ai_links DROP CONSTRAINT IF EXISTS check_link_source_type;
+ALTER TABLE dev_ai_links ADD CONSTRAINT check_link_source_type
+    CHECK (source_type IN ('doc', 'knowledge', 'journal', 'decision', 'lesson'));
+
+-- ============================================
+-- Done! Decisions and lessons are linkable.
+-- ============================================
@@ -26,47 +26,61 @@ function getClient() {
   return client;
 }
 
-/**
- * Generate documentation from source content
- */
-async function generateDoc(docType, title, sourceContent, projectPath = null) {
-  const client = getClient();
-  const startTime = Date.now();
-
-  const systemPrompts = {
-    howto: `You are Clair, the AI Documentation Manager. Generate a clear, step-by-step how-to guide.
+const DOC_SYSTEM_PROMPTS = {
+  howto: `You are Clair, the AI Documentation Manager. Generate a clear, step-by-step how-to guide.
 Format with markdown headings, numbered steps, code blocks where appropriate, and troubleshooting tips.`,
 
-    schematic: `You are Clair, the AI Documentation Manager. Generate a system schematic document.
-Include component diagrams (in ASCII or markdown tables), data flow explanations, and connection details.`,
+  schematic: `You are Clair, the AI Documentation Manager. Generate a system schematic document.
+Include component tables, data flow explanations, and connection details.
+Diagrams are generated by Clair: keep every <!-- diagram:... --> marker on its own line exactly where the outline puts it, and never draw ASCII or Mermaid diagrams yourself.`,
 
-    breakdown: `You are Clair, the AI Documentation Manager. Generate a detailed system breakdown.
+  breakdown: `You are Clair, the AI Documentation Manager. Generate a detailed system breakdown.
 Explain each component's purpose, location, dependencies, and how they interact.`,
 
-    reference: `You are Clair, the AI Documentation Manager. Generate a technical reference document.
+  reference: `You are Clair, the AI Documentation Manager. Generate a technical reference document.
 Be concise but comprehensive. Include all relevant details developers need.`,
 
-    guide: `You are Clair, the AI Documentation Manager. Generate an informative guide.
+  guide: `You are Clair, the AI Documentation Manager. Generate an informative guide.
 Make it accessible, well-organized, and practical.`
-  };
+};
 
-  try {
-    const response = await client.messages.create({
-      model: config.CLAUDE_MODEL,
-      max_tokens: config.MAX_TOKENS,
-      messages: [
-        {
-          role: 'user',
-          content: `Generate a ${docType} document titled "${title}".
+/**
+ * Messages API request for a doc (shared by generateDoc and streamDoc)
+ */
+function buildDocRequest(docType, title, sourceContent, options = {}) {
+  return {
+    model: config.CLAUDE_MODEL,
+    max_tokens: config.MAX_TOKENS,
+    messages: [
+      {
+        role: 'user',
+        content: `Generate a ${docType} document titled "${title}".
 
 Source content to base this on:
 ${sourceContent}
-
+${options.outline ? `
+Follow this outline (replace every [bracketed] placeholder with real content, drop sections the sources don't support):
+${options.outline}
+` : ''}
+Only use facts from the source content - do not invent features, files or steps.
 Generate comprehensive, well-formatted markdown documentation.`
-        }
-      ],
-      system: systemPrompts[docType] || systemPrompts.reference
-    });
+      }
+    ],
+    system: options.systemPrompt || DOC_SYSTEM_PROMPTS[docType] || DOC_SYSTEM_PROMPTS.reference
+  };
+}
+
+/**
+ * Generate documentation from source content
+ * options.outline - markdown skeleton the document should follow
+ * options.systemPrompt - replaces the built-in prompt for the doc type (registry templates)
+ */
+async function generateDoc(docType, title, sourceContent, projectPath = null, options = {}) {
+  const client = getClient();
+  const startTime = Date.now();
+
+  try {
+    const response = await client.messages.create(buildDocRequest(docType, title, sourceContent, options));
 
     // Log usage
     await logAnthropicResponse(response, 'doc_generation', projectPath, title, startTime);
@@ -78,6 +92,32 @@ Generate comprehensive, well-formatted markdown documentation.`
   }
 }
 
+/**
+ * Same as generateDoc, but streams the text as it is written
+ * options.onText(delta, textSoFar) is called for every chunk; resolves with the full text
+ */
+async function streamDoc(docType, title, sourceContent, projectPath = null, options = {}) {
+  const client = getClient();
+  const startTime = Date.now();
+
+  try {
+    const stream = client.messages.stream(buildDocRequest(docType, title, sourceContent, options));
+
+    if (options.onText) {
+      stream.on('text', (delta, snapshot) => options.onText(delta, snapshot));
+    }
+
+    const message = await stream.finalMessage();
+
+    await logAnthropicResponse(message, 'doc_generation', projectPath, title, startTime);
+
+    return message.content[0].text;
+  } catch (error) {
+    logger.error('Streaming doc generation failed', { error: error.message, docType, title });
+    throw error;
+  }
+}
+
 /**
  * Summarize knowledge entries for documentation
  */
@@ -114,5 +154,6 @@ Create a brief overview that captures the key points and themes.`
 module.exports = {
   getClient,
   generateDoc,
+  streamDoc,
   summarizeKnowledge
 };
@@ -0,0 +1,52 @@
+/**
+ * Markdown front-matter helpers
+ * Flat "key: value" blocks only - enough for the fields Clair reads and writes
+ */
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/**
+ * Split a markdown file into { data, body }
+ */
+function parse(text) {
+  const source = text || '';
+  const match = source.match(FRONT_MATTER);
+  if (!match) return { data: {}, body: source };
+
+  const data = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!pair) continue;
+
+    let value = pair[2].trim();
+    if (/^(['"]).*\1$/.test(value)) {
+      value = value.slice(1, -1).replace(/\\"/g, '"');
+    } else if (/^-?\d+(\.\d+)?$/.test(value)) {
+      value = Number(value);
+    } else if (value === 'true' || value === 'false') {
+      value = value === 'true';
+    }
+    data[pair[1]] = value;
+  }
+
+  return { data, body: source.slice(match[0].length) };
+}
+
+/**
+ * Prepend a front-matter block to a markdown body
+ */
+function stringify(data, body) {
+  const lines = Object.entries(data)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      if (typeof value === 'number' || typeof value === 'boolean') return `${key}: ${value}`;
+      const str = String(value);
+      return /^[\w./@-][\w ./@:-]*$/.test(str) && !str.includes(': ')
+        ? `${key}: ${str}`
+        : `${key}: "${str.replace(/"/g, '\\"')}"`;
+    });
+
+  return `---\n${lines.join('\n')}\n---\n\n${(body || '').replace(/^\n+/, '')}`;
+}
+
+module.exports = { parse, stringify };
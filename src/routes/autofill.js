@@ -5,6 +5,10 @@
 const express = require('express');
 const router = express.Router();
 const { scanProjectFolder } = require('../services/autoFill');
+const pathPolicy = require('../services/pathPolicy');
+
+// Every :project must be a registered project path
+router.param('project', pathPolicy.guardProject);
 
 // GET /api/autofill/:project - Scan a project folder for auto-detectable info
 router.get('/:project', async (req, res) => {
@@ -8,6 +8,9 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../../../shared/db');
+const docRevisions = require('../services/docRevisions');
+const links = require('../services/links');
+const docReviews = require('../services/docReviews');
 
 
 const ITEM_TYPES = ['knowledge', 'journal', 'doc', 'convention'];
@@ -214,7 +217,12 @@ router.post('/:id/apply', async (req, res) => {
         result = await applyMove(correction);
         break;
       case 'reword':
-        // Reword requires Claude - mark as reviewed for manual processing
+        // Docs with replacement content can be applied directly (kept as a revision)
+        if (correction.item_type === 'doc' && correction.details?.content) {
+          result = await applyDocReword(correction);
+          break;
+        }
+        // Otherwise reword requires Claude - mark as reviewed for manual processing
         result = { applied: false, message: 'Reword corrections require manual review' };
         break;
       case 'note':
@@ -266,9 +274,46 @@ async function applyRemove(correction) {
     .eq('id', correction.item_id);
 
   if (error) return { applied: false, message: error.message };
+
+  if (links.ITEM_TYPES.includes(correction.item_type)) {
+    await links.removeItemLinks(correction.item_type, correction.item_id);
+  }
+
   return { applied: true, message: `Removed ${correction.item_type} item` };
 }
 
+// Helper: Apply reword correction to a doc (replacement content in details.content)
+async function applyDocReword(correction) {
+  const { data: doc, error: fetchError } = await supabase
+    .from('dev_ai_generated_docs')
+    .select('*')
+    .eq('id', correction.item_id)
+    .single();
+
+  if (fetchError || !doc) return { applied: false, message: 'Doc not found' };
+
+  await docRevisions.ensureBaseline(doc);
+
+  const { data: updated, error } = await supabase
+    .from('dev_ai_generated_docs')
+    .update({ content: correction.details.content, ...docReviews.DRAFT_FIELDS, updated_at: new Date().toISOString() })
+    .eq('id', doc.id)
+    .select()
+    .single();
+
+  if (error) return { applied: false, message: error.message };
+
+  const revision = await docRevisions.recordRevision(updated, {
+    author: correction.created_by || 'user',
+    reason: 'correction_applied',
+    note: `Correction ${correction.id}`
+  });
+
+  await links.trySyncLinks(updated.project_id, 'doc', updated);
+
+  return { applied: true, message: `Doc reworded (revision ${revision.revision_number})` };
+}
+
 // Helper: Apply move correction (change project_id)
 async function applyMove(correction) {
   const tableMap = {
@@ -284,12 +329,21 @@ async function applyMove(correction) {
   const targetProject = correction.details?.target_project;
   if (!targetProject) return { applied: false, message: 'No target_project specified' };
 
-  const { error } = await supabase
+  const { data: moved, error } = await supabase
     .from(table)
     .update({ project_id: targetProject })
-    .eq('id', correction.item_id);
+    .eq('id', correction.item_id)
+    .select()
+    .single();
 
   if (error) return { applied: false, message: error.message };
+
+  // Links are per project - re-resolve the item's links in its new project
+  if (links.ITEM_TYPES.includes(correction.item_type)) {
+    await links.removeItemLinks(correction.item_type, correction.item_id);
+    await links.trySyncLinks(targetProject, correction.item_type, moved);
+  }
+
   return { applied: true, message: `Moved to ${targetProject}` };
 }
 
@@ -7,40 +7,95 @@
 const express = require('express');
 const router = express.Router();
 const supabase = require('../../../shared/db');
+const { generateDocContent } = require('../services/docGenerator');
+const docRevisions = require('../services/docRevisions');
+const docExport = require('../services/docExport');
+const portalExport = require('../services/portalExport');
+const staleDocs = require('../services/staleDocs');
+const diagrams = require('../services/diagrams');
+const docTemplates = require('../services/docTemplates');
+const links = require('../services/links');
+const docReviews = require('../services/docReviews');
+const docImport = require('../services/docImport');
+const docSync = require('../services/docSync');
+const apiReference = require('../services/apiReference');
+const pathPolicy = require('../services/pathPolicy');
 
 // Initialize Supabase client
 
-const DOC_TYPES = ['howto', 'schematic', 'breakdown', 'reference', 'guide'];
+// Every :project must be a registered project path
+router.param('project', pathPolicy.guardProject);
+
+/**
+ * Store a freshly generated doc with its first revision and links
+ * Returns { doc, links: { unresolved, ambiguous } }
+ */
+async function saveGeneratedDoc(projectPath, docType, title, { content, sourceIds, manifest }) {
+  const { data, error } = await supabase
+    .from('dev_ai_generated_docs')
+    .insert({
+      project_id: projectPath,
+      doc_type: docType,
+      title: title || `${docType} - ${new Date().toISOString()}`,
+      content,
+      generated_at: new Date().toISOString(),
+      source_ids: sourceIds,
+      source_manifest: manifest,
+      status: 'draft',
+      is_published: false
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const revision = await docRevisions.recordRevision(data, { author: 'clair', reason: 'ai_generation' });
+  const linkCheck = await links.trySyncLinks(projectPath, 'doc', data);
+
+  return {
+    doc: { ...data, revision: revision.revision_number },
+    links: linkCheck ? { unresolved: linkCheck.unresolved, ambiguous: linkCheck.ambiguous } : null
+  };
+}
 
 // GET /api/docs/:project - List all docs
 router.get('/:project', async (req, res) => {
   try {
     const { project } = req.params;
-    const { type } = req.query;
+    const { type, stale, status } = req.query;
     const projectPath = decodeURIComponent(project);
+    const docTypes = await docTemplates.listDocTypes(projectPath);
 
     let query = supabase
       .from('dev_ai_generated_docs')
-      .select('id, project_id, doc_type, title, generated_at, is_published')
+      .select('id, project_id, doc_type, title, generated_at, status, is_published, is_stale, stale_reason, stale_checked_at, source_path')
       .eq('project_id', projectPath)
       .order('generated_at', { ascending: false });
 
-    if (type && DOC_TYPES.includes(type)) {
+    if (type && docTypes.includes(type)) {
       query = query.eq('doc_type', type);
     }
 
+    if (stale === 'true') {
+      query = query.eq('is_stale', true);
+    }
+
+    if (status && docReviews.DOC_STATUSES.includes(status)) {
+      query = query.eq('status', status);
+    }
+
     const { data, error } = await query;
 
     if (error) throw error;
 
     // Group by doc type
     const grouped = {};
-    DOC_TYPES.forEach(t => grouped[t] = []);
+    docTypes.forEach(t => grouped[t] = []);
 
     data?.forEach(doc => {
-      if (grouped[doc.doc_type]) {
-        grouped[doc.doc_type].push(doc);
-      }
+      // Docs of a type whose template was removed still show up
+      if (!grouped[doc.doc_type]) grouped[doc.doc_type] = [];
+      grouped[doc.doc_type].push(doc);
     });
 
     res.json({
@@ -56,6 +111,93 @@ router.get('/:project', async (req, res) => {
   }
 });
 
+// GET /api/docs/:project/howto - Published how-to guides (declared before /:project/:id so it isn't shadowed)
+router.get('/:project/howto', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const projectPath = decodeURIComponent(project);
+
+    const guides = await docExport.getPublishedGuides(projectPath);
+
+    res.json({
+      success: true,
+      project: projectPath,
+      guides
+    });
+  } catch (error) {
+    console.error('[Clair/Docs] Howto error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/docs/:project/reviews?reviewer= - Review queue (pending reviews with their docs)
+router.get('/:project/reviews', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { reviewer } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    const queue = await docReviews.getReviewQueue(projectPath, reviewer || null);
+
+    res.json({
+      success: true,
+      project: projectPath,
+      reviews: queue,
+      count: queue.length
+    });
+  } catch (error) {
+    console.error('[Clair/Docs] Review queue error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/docs/:project/sync - Write-back sync settings
+router.get('/:project/sync', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const projectPath = decodeURIComponent(project);
+
+    const settings = await docSync.getSettings(projectPath);
+
+    res.json({ success: true, project: projectPath, settings });
+  } catch (error) {
+    console.error('[Clair/Docs] Sync settings error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PATCH /api/docs/:project/sync - Enable/disable sync, change folder (body: { is_enabled, folder })
+router.patch('/:project/sync', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { is_enabled, folder } = req.body;
+    const projectPath = decodeURIComponent(project);
+
+    const settings = await docSync.updateSettings(projectPath, { is_enabled, folder });
+
+    res.json({ success: true, project: projectPath, settings });
+  } catch (error) {
+    console.error('[Clair/Docs] Sync settings error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/docs/:project/sync - Sync published docs with the repo now (body: { doc_ids? })
+router.post('/:project/sync', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { doc_ids } = req.body || {};
+    const projectPath = decodeURIComponent(project);
+
+    const result = await docSync.syncProject(projectPath, { docIds: Array.isArray(doc_ids) ? doc_ids : null });
+
+    res.json({ success: true, project: projectPath, ...result });
+  } catch (error) {
+    console.error('[Clair/Docs] Sync error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // GET /api/docs/:project/:id - Get specific doc with content
 router.get('/:project/:id', async (req, res) => {
   try {
@@ -86,80 +228,395 @@ router.post('/:project/generate', async (req, res) => {
     const { doc_type, title, source_data } = req.body;
     const projectPath = decodeURIComponent(project);
 
-    if (!DOC_TYPES.includes(doc_type)) {
+    const docTypes = await docTemplates.listDocTypes(projectPath);
+    if (!docTypes.includes(doc_type)) {
       return res.status(400).json({
         success: false,
-        error: `Invalid doc_type. Must be one of: ${DOC_TYPES.join(', ')}`
+        error: `Invalid doc_type. Must be one of: ${docTypes.join(', ')}`
       });
     }
 
-    // TODO: Use Claude to generate content from source_data
-    // For now, create a placeholder
-    const content = await generateDocContent(doc_type, title, source_data, projectPath);
+    const generated = await generateDocContent(doc_type, title, source_data, projectPath);
+    const saved = await saveGeneratedDoc(projectPath, doc_type, title, generated);
 
-    const { data, error } = await supabase
-      .from('dev_ai_generated_docs')
-      .insert({
-        project_id: projectPath,
-        doc_type,
-        title: title || `${doc_type} - ${new Date().toISOString()}`,
-        content,
-        generated_at: new Date().toISOString(),
-        source_ids: source_data?.sourceIds || [],
-        is_published: false
-      })
-      .select()
-      .single();
+    res.json({ success: true, ...saved });
+  } catch (error) {
+    console.error('[Clair/Docs] Generate error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
-    if (error) throw error;
+// POST /api/docs/:project/generate/stream - Same as /generate, streamed over Server-Sent Events
+// Events: progress { stage }, token { text }, done { doc, links }, error { error }
+// The doc is saved even if the client disconnects before the stream ends
+router.post('/:project/generate/stream', async (req, res) => {
+  const { project } = req.params;
+  const { doc_type, title, source_data } = req.body;
+  const projectPath = decodeURIComponent(project);
+
+  let docTypes;
+  try {
+    docTypes = await docTemplates.listDocTypes(projectPath);
+  } catch (error) {
+    console.error('[Clair/Docs] Stream generate error:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+
+  if (!docTypes.includes(doc_type)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid doc_type. Must be one of: ${docTypes.join(', ')}`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let connected = true;
+  res.on('close', () => {
+    if (connected && !res.writableEnded) {
+      console.log(`[Clair/Docs] Stream client left - still generating "${title || doc_type}"`);
+    }
+    connected = false;
+  });
+
+  const send = (event, data) => {
+    if (connected && !res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  // Comment lines keep proxies from closing a quiet connection
+  const heartbeat = setInterval(() => {
+    if (connected && !res.writableEnded) res.write(': keep-alive\n\n');
+  }, 15000);
+
+  try {
+    send('progress', { stage: 'started', doc_type, title });
+
+    const generated = await generateDocContent(doc_type, title, source_data, projectPath, {
+      onProgress: info => send('progress', info),
+      onText: text => send('token', { text })
+    });
+
+    send('progress', { stage: 'saving' });
+    const saved = await saveGeneratedDoc(projectPath, doc_type, title, generated);
+
+    send('done', { success: true, ...saved });
+  } catch (error) {
+    console.error('[Clair/Docs] Stream generate error:', error.message);
+    send('error', { success: false, error: error.message });
+  } finally {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  }
+});
+
+// POST /api/docs/:project/stale/check - Re-check this project's docs against their sources now
+router.post('/:project/stale/check', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const projectPath = decodeURIComponent(project);
+
+    const result = await staleDocs.checkDocs(projectPath);
 
     res.json({
       success: true,
-      doc: data
+      project: projectPath,
+      ...result
     });
   } catch (error) {
-    console.error('[Clair/Docs] Generate error:', error.message);
+    console.error('[Clair/Docs] Stale check error:', error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// GET /api/docs/:project/howto - Get how-to guides specifically
-router.get('/:project/howto', async (req, res) => {
+// POST /api/docs/:project/api-reference - Build (or rebuild) the reference doc from the project's Express routes (body: { title? })
+router.post('/:project/api-reference', async (req, res) => {
   try {
     const { project } = req.params;
+    const { title } = req.body || {};
     const projectPath = decodeURIComponent(project);
 
-    const { data, error } = await supabase
-      .from('dev_ai_generated_docs')
-      .select('*')
-      .eq('project_id', projectPath)
-      .in('doc_type', ['howto', 'guide'])
-      .eq('is_published', true)
-      .order('title');
+    const result = await apiReference.generateApiReference(projectPath, { title, author: 'user' });
 
-    if (error) throw error;
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[Clair/Docs] API reference error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/docs/:project/import - Import markdown files from the project folder (body: { paths?, dry_run? })
+router.post('/:project/import', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { paths, dry_run } = req.body || {};
+    const projectPath = decodeURIComponent(project);
+
+    if (paths !== undefined && (!Array.isArray(paths) || paths.some(p => typeof p !== 'string'))) {
+      return res.status(400).json({ success: false, error: 'paths must be an array of relative file paths' });
+    }
+
+    const result = await docImport.importProject(projectPath, { paths, dryRun: dry_run === true });
 
     res.json({
       success: true,
       project: projectPath,
-      guides: data || []
+      dryRun: dry_run === true,
+      ...result
     });
   } catch (error) {
-    console.error('[Clair/Docs] Howto error:', error.message);
+    console.error('[Clair/Docs] Import error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/docs/:project/manual/export?format=pdf|html - All published how-tos as one manual
+router.get('/:project/manual/export', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { format = 'pdf' } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    if (!['pdf', 'html'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be pdf or html' });
+    }
+
+    const guides = await docExport.getPublishedGuides(projectPath);
+
+    if (guides.length === 0) {
+      return res.status(404).json({ success: false, error: 'No published how-to guides for this project' });
+    }
+
+    const projectName = projectPath.split('/').pop() || projectPath;
+    const options = {
+      title: `${projectName} User Manual`,
+      subtitle: `${guides.length} guides - exported ${new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}`
+    };
+
+    await sendExport(res, format, guides, options, `${docExport.slugify(projectName)}-manual`);
+  } catch (error) {
+    console.error('[Clair/Docs] Manual export error:', error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// PATCH /api/docs/:project/:id - Update doc
-router.patch('/:project/:id', async (req, res) => {
+// POST /api/docs/:project/portal/export - Static knowledge-base site from published guides
+// Body: { format: 'zip' | 'directory', output_dir, title }
+router.post('/:project/portal/export', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { format = 'zip', output_dir, title } = req.body;
+    const projectPath = decodeURIComponent(project);
+
+    if (!['zip', 'directory'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be zip or directory' });
+    }
+
+    if (format === 'directory' && !output_dir) {
+      return res.status(400).json({ success: false, error: 'output_dir is required for directory export' });
+    }
+
+    // Refuse an output folder outside the registered projects before building anything
+    if (format === 'directory') {
+      await pathPolicy.resolvePath(output_dir);
+    }
+
+    const site = await portalExport.buildSite(projectPath, { title });
+
+    if (site.guides === 0) {
+      return res.status(404).json({ success: false, error: 'No published how-to guides for this project' });
+    }
+
+    if (format === 'directory') {
+      const written = await portalExport.writeSite(site, output_dir);
+      return res.json({
+        success: true,
+        outputDir: output_dir,
+        guides: site.guides,
+        categories: site.categories,
+        files: written
+      });
+    }
+
+    const folderName = `${docExport.slugify(projectPath.split('/').pop())}-knowledge-base`;
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${folderName}.zip"`);
+    await portalExport.streamZip(site, res, folderName);
+  } catch (error) {
+    console.error('[Clair/Docs] Portal export error:', error.message);
+    if (res.headersSent) return res.end();
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/docs/:project/diagrams/:kind?format=json|mmd - Build a Mermaid diagram from project data
+// kind: components | er | dataflow (er takes ?prefix= to pick tables, components takes ?depth=)
+router.get('/:project/diagrams/:kind', async (req, res) => {
+  try {
+    const { project, kind } = req.params;
+    const { format = 'json', prefix, depth = 3 } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    if (!diagrams.DIAGRAM_KINDS.includes(kind)) {
+      return res.status(400).json({ success: false, error: `kind must be one of: ${diagrams.DIAGRAM_KINDS.join(', ')}` });
+    }
+
+    const mermaid = await diagrams.buildDiagram(kind, projectPath, { tablePrefix: prefix, depth: parseInt(depth) });
+
+    if (!mermaid) {
+      return res.status(404).json({ success: false, error: `No data to build a ${kind} diagram for this project` });
+    }
+
+    if (format === 'mmd') {
+      const projectName = docExport.slugify(projectPath.split('/').pop());
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${projectName}-${kind}.mmd"`);
+      return res.send(`${mermaid}\n`);
+    }
+
+    res.json({ success: true, project: projectPath, kind, mermaid });
+  } catch (error) {
+    console.error('[Clair/Docs] Diagram error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/docs/:project/:id/diagrams?format=json|mmd&index=N - Mermaid blocks in a doc
+// mmd without index: the only diagram as .mmd, or all of them as a zip of .mmd files
+router.get('/:project/:id/diagrams', async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, content, is_published } = req.body;
+    const { format = 'json', index } = req.query;
+
+    const { data, error } = await supabase
+      .from('dev_ai_generated_docs')
+      .select('id, title, content')
+      .eq('id', id)
+      .single();
+
+    if (error) throw error;
+
+    let blocks = diagrams.extractDiagrams(data.content);
+    if (index !== undefined) {
+      blocks = blocks.filter(b => b.index === parseInt(index));
+    }
+
+    if (format !== 'mmd') {
+      return res.json({ success: true, docId: data.id, diagrams: blocks, count: blocks.length });
+    }
+
+    if (blocks.length === 0) {
+      return res.status(404).json({ success: false, error: 'No Mermaid diagrams in this doc' });
+    }
+
+    const baseName = docExport.slugify(data.title);
+    const fileName = b => `${baseName}-${b.index}${b.heading ? `-${docExport.slugify(b.heading)}` : ''}.mmd`;
+
+    if (blocks.length === 1) {
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${fileName(blocks[0])}"`);
+      return res.send(`${blocks[0].mermaid}\n`);
+    }
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${baseName}-diagrams.zip"`);
+    await portalExport.streamZip({
+      files: blocks.map(b => ({ path: fileName(b), content: `${b.mermaid}\n` }))
+    }, res, `${baseName}-diagrams`);
+  } catch (error) {
+    console.error('[Clair/Docs] Doc diagrams error:', error.message);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/docs/:project/:id/export?format=pdf|html - Export a single doc
+router.get('/:project/:id/export', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'pdf' } = req.query;
+
+    if (!['pdf', 'html'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be pdf or html' });
+    }
+
+    const { data, error } = await supabase
+      .from('dev_ai_generated_docs')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) throw error;
+
+    await sendExport(res, format, [data], { title: data.title }, docExport.slugify(data.title));
+  } catch (error) {
+    console.error('[Clair/Docs] Export error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PATCH /api/docs/:project/:id - Update doc (content changes are stored as revisions)
+// strict_links: true rejects content with [[links]] that don't resolve
+router.patch('/:project/:id', async (req, res) => {
+  try {
+    const { project, id } = req.params;
+    const { title, content, category, author, reason, note, strict_links } = req.body;
+    const projectPath = decodeURIComponent(project);
+
+    if (req.body.is_published !== undefined || req.body.status !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Publishing goes through the review workflow - use /submit, /review and /publish'
+      });
+    }
+
+    const revisionReason = reason || 'manual_edit';
+    if (!docRevisions.REVISION_REASONS.includes(revisionReason)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid reason. Must be one of: ${docRevisions.REVISION_REASONS.join(', ')}`
+      });
+    }
+
+    if (strict_links && content !== undefined) {
+      const check = await links.validateContent(projectPath, content);
+      if (check.unresolved.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unresolved links: ${check.unresolved.map(ref => `[[${ref}]]`).join(', ')}`,
+          links: { unresolved: check.unresolved, ambiguous: check.ambiguous }
+        });
+      }
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('dev_ai_generated_docs')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (fetchError) throw fetchError;
 
     const updates = {};
     if (title !== undefined) updates.title = title;
     if (content !== undefined) updates.content = content;
-    if (is_published !== undefined) updates.is_published = is_published;
+    if (category !== undefined) updates.category = category;
+
+    const contentChanged = (content !== undefined && content !== existing.content) ||
+      (title !== undefined && title !== existing.title);
+
+    if (contentChanged) {
+      await docRevisions.ensureBaseline(existing);
+      Object.assign(updates, docReviews.DRAFT_FIELDS);
+      updates.updated_at = new Date().toISOString();
+    }
 
     const { data, error } = await supabase
       .from('dev_ai_generated_docs')
@@ -170,9 +627,22 @@ router.patch('/:project/:id', async (req, res) => {
 
     if (error) throw error;
 
+    let revision = null;
+    let linkCheck = null;
+    if (contentChanged) {
+      revision = await docRevisions.recordRevision(data, {
+        author: author || 'user',
+        reason: revisionReason,
+        note
+      });
+      linkCheck = await links.trySyncLinks(projectPath, 'doc', data);
+    }
+
     res.json({
       success: true,
-      doc: data
+      doc: revision ? { ...data, revision: revision.revision_number } : data,
+      revision,
+      links: linkCheck ? { unresolved: linkCheck.unresolved, ambiguous: linkCheck.ambiguous } : null
     });
   } catch (error) {
     console.error('[Clair/Docs] Update error:', error.message);
@@ -180,121 +650,335 @@ router.patch('/:project/:id', async (req, res) => {
   }
 });
 
-// DELETE /api/docs/:project/:id - Delete doc
-router.delete('/:project/:id', async (req, res) => {
+// POST /api/docs/:project/:id/regenerate - Rewrite doc from current sources (keeps old version as a revision)
+router.post('/:project/:id/regenerate', async (req, res) => {
   try {
-    const { id } = req.params;
+    const { project, id } = req.params;
+    const { source_data } = req.body;
+    const projectPath = decodeURIComponent(project);
 
-    const { error } = await supabase
+    const { data: existing, error: fetchError } = await supabase
       .from('dev_ai_generated_docs')
-      .delete()
-      .eq('id', id);
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    // Docs written from code are rebuilt by their generator, not the model
+    if (existing.generator === apiReference.GENERATOR) {
+      const result = await apiReference.generateApiReference(projectPath, { author: 'user', note: 'Regenerated on request' });
+      return res.json({ success: true, doc: result.doc, revision: result.revision, links: result.links, changed: result.changed });
+    }
+
+    // Reuse the files the doc was built from unless new ones are given
+    const sourceData = {
+      ...source_data,
+      files: source_data?.files || (existing.source_manifest?.files || []).map(f => f.path)
+    };
+
+    const { content, sourceIds, manifest } = await generateDocContent(existing.doc_type, existing.title, sourceData, projectPath);
+
+    await docRevisions.ensureBaseline(existing);
+
+    const { data, error } = await supabase
+      .from('dev_ai_generated_docs')
+      .update({
+        content,
+        source_ids: sourceIds,
+        source_manifest: manifest,
+        is_stale: false,
+        stale_reason: null,
+        ...docReviews.DRAFT_FIELDS,
+        generated_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
 
     if (error) throw error;
 
+    const revision = await docRevisions.recordRevision(data, { author: 'clair', reason: 'ai_regeneration' });
+    const linkCheck = await links.trySyncLinks(projectPath, 'doc', data);
+
     res.json({
       success: true,
-      deleted: id
+      doc: { ...data, revision: revision.revision_number },
+      revision,
+      links: linkCheck ? { unresolved: linkCheck.unresolved, ambiguous: linkCheck.ambiguous } : null
     });
   } catch (error) {
-    console.error('[Clair/Docs] Delete error:', error.message);
+    console.error('[Clair/Docs] Regenerate error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/docs/:project/:id/revisions - List revision history
+router.get('/:project/:id/revisions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revisions = await docRevisions.listRevisions(id);
+
+    res.json({
+      success: true,
+      docId: id,
+      count: revisions.length,
+      revisions
+    });
+  } catch (error) {
+    console.error('[Clair/Docs] Revisions error:', error.message);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 /**
- * Generate document content (placeholder - will use Claude)
+ * Revision number from a param or query value - null when it isn't a positive integer
  */
-async function generateDocContent(docType, title, sourceData, projectPath) {
-  // TODO: Integrate with Claude API for actual content generation
+function parseRevision(value) {
+  const revision = parseInt(value, 10);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+}
 
-  const templates = {
-    howto: `# ${title || 'How-To Guide'}
+// GET /api/docs/:project/:id/revisions/:rev - Get a single revision with content
+router.get('/:project/:id/revisions/:rev', async (req, res) => {
+  try {
+    const { id, rev } = req.params;
+    const revisionNumber = parseRevision(rev);
+    if (!revisionNumber) {
+      return res.status(400).json({ success: false, error: `Invalid revision: ${rev}` });
+    }
 
-## Overview
-[Description of what this guide covers]
+    const revision = await docRevisions.getRevision(id, revisionNumber);
 
-## Prerequisites
-- [ ] Prerequisite 1
-- [ ] Prerequisite 2
+    if (!revision) {
+      return res.status(404).json({ success: false, error: `Revision ${rev} not found` });
+    }
 
-## Steps
+    res.json({
+      success: true,
+      revision
+    });
+  } catch (error) {
+    console.error('[Clair/Docs] Revision error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-### Step 1: [Action]
-[Instructions]
+// GET /api/docs/:project/:id/diff?from=1&to=2 - Line diff between two revisions
+router.get('/:project/:id/diff', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fromRev = parseRevision(req.query.from);
+    let toRev = req.query.to === undefined ? null : parseRevision(req.query.to);
 
-### Step 2: [Action]
-[Instructions]
+    if (!fromRev) {
+      return res.status(400).json({ success: false, error: 'from revision is required' });
+    }
+    if (req.query.to !== undefined && !toRev) {
+      return res.status(400).json({ success: false, error: `Invalid revision: ${req.query.to}` });
+    }
 
-## Troubleshooting
-[Common issues and solutions]
+    // Default to the latest revision
+    if (!toRev) {
+      const revisions = await docRevisions.listRevisions(id);
+      toRev = revisions[0]?.revision_number;
+      if (!toRev) {
+        return res.status(404).json({ success: false, error: 'Doc has no revisions' });
+      }
+    }
 
-## Related Guides
-- [Link to related guide]
-`,
-    schematic: `# ${title || 'System Schematic'}
+    const diff = await docRevisions.diffRevisions(id, fromRev, toRev);
 
-## Overview
-[System description]
+    res.json({
+      success: true,
+      docId: id,
+      ...diff
+    });
+  } catch (error) {
+    console.error('[Clair/Docs] Diff error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
-## Components
-| Component | Purpose | Location |
-|-----------|---------|----------|
-| | | |
+// POST /api/docs/:project/:id/revisions/:rev/restore - Restore an older revision
+router.post('/:project/:id/revisions/:rev/restore', async (req, res) => {
+  try {
+    const { project, id, rev } = req.params;
+    const { author } = req.body;
 
-## Data Flow
-\`\`\`
-[Diagram placeholder]
-\`\`\`
+    const revisionNumber = parseRevision(rev);
+    if (!revisionNumber) {
+      return res.status(400).json({ success: false, error: `Invalid revision: ${rev}` });
+    }
 
-## Connections
-[How components interact]
-`,
-    breakdown: `# ${title || 'System Breakdown'}
+    const result = await docRevisions.restoreRevision(id, revisionNumber, author || 'user');
+    await links.trySyncLinks(decodeURIComponent(project), 'doc', result.doc);
 
-## Purpose
-[What this system does]
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('[Clair/Docs] Restore error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
-## Components
+// POST /api/docs/:project/:id/submit - draft -> in_review
+// Body: { reviewers: ['name', ...], requested_by, note }
+router.post('/:project/:id/submit', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reviewers, requested_by, note } = req.body;
 
-### Component 1
-- **Purpose**:
-- **Location**:
-- **Dependencies**:
+    const result = await docReviews.submitForReview(id, { reviewers, requestedBy: requested_by || 'user', note });
 
-### Component 2
-- **Purpose**:
-- **Location**:
-- **Dependencies**:
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[Clair/Docs] Submit error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/docs/:project/:id/review - Reviewer decision
+// Body: { reviewer, decision: 'approve' | 'request_changes', comment }
+router.post('/:project/:id/review', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reviewer, decision, comment } = req.body;
+
+    const result = await docReviews.decide(id, { reviewer, decision, comment });
 
-## How It Works
-[Step-by-step explanation]
-`,
-    reference: `# ${title || 'Reference Document'}
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[Clair/Docs] Review error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
-## Overview
-[Description]
+// POST /api/docs/:project/:id/publish - approved -> published
+router.post('/:project/:id/publish', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { published_by } = req.body;
+
+    const doc = await docReviews.publish(id, { publishedBy: published_by || 'user' });
+
+    // Write the file straight away when the project has sync on
+    let sync = null;
+    const settings = await docSync.getSettings(doc.project_id);
+    if (settings.is_enabled) {
+      try {
+        sync = await docSync.syncProject(doc.project_id, { docIds: [doc.id] });
+      } catch (syncErr) {
+        console.error('[Clair/Docs] Sync after publish failed:', syncErr.message);
+      }
+    }
 
-## Details
-[Content]
+    res.json({ success: true, doc, sync });
+  } catch (error) {
+    console.error('[Clair/Docs] Publish error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
-## See Also
-- [Related items]
-`,
-    guide: `# ${title || 'Guide'}
+// POST /api/docs/:project/:id/unpublish - published -> approved
+router.post('/:project/:id/unpublish', async (req, res) => {
+  try {
+    const { id } = req.params;
 
-## Introduction
-[Overview]
+    const doc = await docReviews.unpublish(id);
 
-## Content
-[Main content]
+    res.json({ success: true, doc });
+  } catch (error) {
+    console.error('[Clair/Docs] Unpublish error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
-## Summary
-[Key takeaways]
-`
-  };
+// GET /api/docs/:project/:id/reviews - Review rounds and comments
+router.get('/:project/:id/reviews', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const state = await docReviews.getReviewState(id);
+
+    res.json({ success: true, ...state });
+  } catch (error) {
+    console.error('[Clair/Docs] Reviews error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/docs/:project/:id/comments - Review comment { author, body, anchor }
+router.post('/:project/:id/comments', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { author, body, anchor } = req.body;
+
+    const comment = await docReviews.addComment(id, { author, body, anchor });
+
+    res.json({ success: true, comment });
+  } catch (error) {
+    console.error('[Clair/Docs] Comment error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// PATCH /api/docs/:project/:id/comments/:commentId - Resolve / reopen a comment { is_resolved }
+router.patch('/:project/:id/comments/:commentId', async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { is_resolved = true } = req.body;
+
+    const comment = await docReviews.resolveComment(commentId, Boolean(is_resolved));
+
+    res.json({ success: true, comment });
+  } catch (error) {
+    console.error('[Clair/Docs] Comment update error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/docs/:project/:id - Delete doc
+router.delete('/:project/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error } = await supabase
+      .from('dev_ai_generated_docs')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+
+    await links.removeItemLinks('doc', id);
+
+    res.json({
+      success: true,
+      deleted: id
+    });
+  } catch (error) {
+    console.error('[Clair/Docs] Delete error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Send rendered docs as an HTML or PDF download
+ */
+async function sendExport(res, format, docs, options, filename) {
+  if (format === 'html') {
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.html"`);
+    return res.send(docExport.renderHtml(docs, options));
+  }
 
-  return templates[docType] || templates.reference;
+  const pdf = await docExport.renderPdf(docs, options);
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+  res.send(pdf);
 }
 
 module.exports = router;
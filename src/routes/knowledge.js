@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { from } = require('../../../shared/db');
+const links = require('../services/links');
 
 // Map database entry to UI format
 function mapEntryForUI(item) {
@@ -103,7 +104,14 @@ router.post('/:project', async (req, res) => {
 
     if (error) throw error;
 
-    res.json({ success: true, entry: mapEntryForUI(data) });
+    // The entry is saved - a failed link sync is logged, not returned as an error
+    const linkCheck = await links.trySyncLinks(projectPath, 'knowledge', data);
+
+    res.json({
+      success: true,
+      entry: mapEntryForUI(data),
+      links: linkCheck ? { unresolved: linkCheck.unresolved, ambiguous: linkCheck.ambiguous } : null
+    });
   } catch (error) {
     console.error('[Clair/Knowledge] Create error:', error.message);
     res.status(500).json({ success: false, error: error.message });
@@ -113,7 +121,8 @@ router.post('/:project', async (req, res) => {
 // PATCH /api/journal/:project/:id - Update a knowledge entry
 router.patch('/:project/:id', async (req, res) => {
   try {
-    const { id } = req.params;
+    const { project, id } = req.params;
+    const projectPath = decodeURIComponent(project);
     const updates = { ...req.body };
     
     // Map type back to knowledge_type for database
@@ -133,7 +142,16 @@ router.patch('/:project/:id', async (req, res) => {
 
     if (error) throw error;
 
-    res.json({ success: true, entry: mapEntryForUI(data) });
+    let linkCheck = null;
+    if (updates.content !== undefined || updates.title !== undefined) {
+      linkCheck = await links.trySyncLinks(projectPath, 'knowledge', data);
+    }
+
+    res.json({
+      success: true,
+      entry: mapEntryForUI(data),
+      links: linkCheck ? { unresolved: linkCheck.unresolved, ambiguous: linkCheck.ambiguous } : null
+    });
   } catch (error) {
     console.error('[Clair/Knowledge] Update error:', error.message);
     res.status(500).json({ success: false, error: error.message });
@@ -151,6 +169,8 @@ router.delete('/:project/:id', async (req, res) => {
 
     if (error) throw error;
 
+    await links.removeItemLinks('knowledge', id);
+
     res.json({ success: true, deleted: id });
   } catch (error) {
     console.error('[Clair/Knowledge] Delete error:', error.message);
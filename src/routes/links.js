@@ -0,0 +1,110 @@
+/**
+ * Links Routes - [[links]] between docs, knowledge, journal entries, decisions and lessons
+ *
+ * Backlinks per item, outgoing links, link validation and the project graph
+ */
+
+const express = require('express');
+const router = express.Router();
+const links = require('../services/links');
+
+// GET /api/links/:project/graph - Nodes + edges for the knowledge graph (?connected=true drops unlinked items)
+router.get('/:project/graph', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { connected } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    const graph = await links.getGraph(projectPath, { includeIsolated: connected !== 'true' });
+
+    res.json({
+      success: true,
+      project: projectPath,
+      ...graph,
+      nodeCount: graph.nodes.length,
+      edgeCount: graph.edges.length
+    });
+  } catch (error) {
+    console.error('[Clair/Links] Graph error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/links/:project/validate - Check [[links]] in content without saving
+router.post('/:project/validate', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { content } = req.body;
+    const projectPath = decodeURIComponent(project);
+
+    const result = await links.validateContent(projectPath, content);
+
+    res.json({
+      success: true,
+      valid: result.unresolved.length === 0,
+      ...result
+    });
+  } catch (error) {
+    console.error('[Clair/Links] Validate error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/links/:project/rebuild - Re-scan every item in the project
+router.post('/:project/rebuild', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const projectPath = decodeURIComponent(project);
+
+    const result = await links.rebuildProject(projectPath);
+
+    res.json({ success: true, project: projectPath, ...result });
+  } catch (error) {
+    console.error('[Clair/Links] Rebuild error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/links/:project/:type/:id/backlinks - Everything that links to this item
+router.get('/:project/:type/:id/backlinks', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    if (!links.ITEM_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `type must be one of: ${links.ITEM_TYPES.join(', ')}` });
+    }
+
+    const backlinks = await links.getBacklinks(type, id);
+
+    res.json({ success: true, type, id, backlinks, count: backlinks.length });
+  } catch (error) {
+    console.error('[Clair/Links] Backlinks error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/links/:project/:type/:id - Links written in this item
+router.get('/:project/:type/:id', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    if (!links.ITEM_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `type must be one of: ${links.ITEM_TYPES.join(', ')}` });
+    }
+
+    const outgoing = await links.getOutgoing(type, id);
+
+    res.json({
+      success: true,
+      type,
+      id,
+      links: outgoing,
+      unresolved: outgoing.filter(l => !l.resolved).map(l => l.ref)
+    });
+  } catch (error) {
+    console.error('[Clair/Links] Outgoing error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -7,62 +7,388 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
-const fs = require('fs').promises;
 const supabase = require('../../../shared/db');
+const { annotateTree } = require('../services/fileTree');
+const treeIndex = require('../services/treeIndex');
+const folderDescriber = require('../services/folderDescriber');
+const fileStatus = require('../services/fileStatus');
+const structureSnapshots = require('../services/structureSnapshots');
+const structureExport = require('../services/structureExport');
+const codeMetrics = require('../services/codeMetrics');
+const dependencyGraph = require('../services/dependencyGraph');
+const routeAnalyzer = require('../services/routeAnalyzer');
+const pathPolicy = require('../services/pathPolicy');
 
 // Initialize Supabase client
 
-// Folders/files to ignore
-const IGNORE_PATTERNS = [
-  'node_modules',
-  '.git',
-  '.next',
-  'dist',
-  'build',
-  '.cache',
-  '__pycache__',
-  '.DS_Store',
-  'Thumbs.db',
-  '*.log'
-];
-
-// GET /api/structure/:project - Get full tree with descriptions
+// Every :project must be a registered project path
+router.param('project', pathPolicy.guardProject);
+
+/**
+ * Folder descriptions for a project as { folder_path: { description, source } }
+ */
+async function getDescriptionMap(projectPath) {
+  const { data: descriptions } = await supabase
+    .from('dev_ai_folder_descriptions')
+    .select('folder_path, description, source')
+    .eq('project_id', projectPath);
+
+  const descMap = {};
+  descriptions?.forEach(d => {
+    descMap[d.folder_path] = { description: d.description, source: d.source };
+  });
+
+  return { descMap, count: descriptions?.length || 0 };
+}
+
+// GET /api/structure/:project - Get tree with descriptions and file statuses (served from the tree index)
+// ?depth=3 levels to return, ?fresh=true waits for an mtime refresh first, ?status=false skips statuses
 router.get('/:project', async (req, res) => {
   try {
     const { project } = req.params;
-    const { depth = 3 } = req.query;
+    const { depth = 3, fresh, status } = req.query;
     const projectPath = decodeURIComponent(project);
 
-    // Build file tree
-    const tree = await buildTree(projectPath, parseInt(depth));
+    const result = await treeIndex.getTree(projectPath, { depth: parseInt(depth), wait: fresh === 'true' });
+    const { descMap, count } = await getDescriptionMap(projectPath);
 
-    // Get stored descriptions
-    const { data: descriptions } = await supabase
-      .from('dev_ai_folder_descriptions')
-      .select('folder_path, description')
-      .eq('project_id', projectPath);
+    annotateTree(result.tree, descMap, '');
+    if (status !== 'false') {
+      fileStatus.applyStatuses(result.tree, await fileStatus.getStatuses(projectPath), projectPath);
+    }
 
-    // Merge descriptions into tree
-    const descMap = {};
-    descriptions?.forEach(d => {
-      descMap[d.folder_path] = d.description;
+    res.json({
+      success: true,
+      project: projectPath,
+      tree: result.tree,
+      descriptionCount: count,
+      indexedAt: result.indexedAt,
+      refreshedAt: result.refreshedAt,
+      nodeCount: result.nodeCount
     });
+  } catch (error) {
+    console.error('[Clair/Structure] Error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/structure/:project/subtree?path=src/lib&depth=1 - One folder, for lazy expanding in the UI
+router.get('/:project/subtree', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { path: relPath = '', depth = 1, status } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    const result = await treeIndex.getTree(projectPath, { relPath, depth: parseInt(depth) });
 
-    annotateTree(tree, descMap, '');
+    if (!result.tree) {
+      return res.status(404).json({ success: false, error: `Path not found in tree index: ${relPath}` });
+    }
+
+    // Annotate with the same paths the full tree uses
+    const { descMap } = await getDescriptionMap(projectPath);
+    const parentPath = path.posix.dirname(String(relPath).split(path.sep).join('/'));
+    const parentRel = parentPath === '.' ? '' : parentPath;
+    const rootName = path.basename(projectPath);
+    if (relPath) {
+      annotateTree(result.tree, descMap, parentRel ? `${rootName}/${parentRel}` : rootName, parentRel);
+    } else {
+      annotateTree(result.tree, descMap, '');
+    }
+    if (status !== 'false') {
+      fileStatus.applyStatuses(result.tree, await fileStatus.getStatuses(projectPath), projectPath);
+    }
 
     res.json({
       success: true,
       project: projectPath,
-      tree,
-      descriptionCount: descriptions?.length || 0
+      path: relPath,
+      tree: result.tree,
+      refreshedAt: result.refreshedAt
     });
   } catch (error) {
-    console.error('[Clair/Structure] Error:', error.message);
-    res.status(500).json({ success: false, error: error.message });
+    console.error('[Clair/Structure] Subtree error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/structure/:project/reindex - Rebuild the tree index from scratch
+router.post('/:project/reindex', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const projectPath = decodeURIComponent(project);
+
+    const index = await treeIndex.buildIndex(projectPath);
+
+    res.json({
+      success: true,
+      project: projectPath,
+      nodeCount: index.nodeCount,
+      truncated: index.truncated,
+      indexedAt: index.builtAt
+    });
+  } catch (error) {
+    console.error('[Clair/Structure] Reindex error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/structure/:project/metrics - Project totals plus the largest and most recently churned folders
+// ?limit=10 folders per list, ?days=30 churn window, ?depth=3 deepest folder level listed
+router.get('/:project/metrics', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { limit = 10, days = 30, depth = 3 } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    const index = await treeIndex.getIndex(projectPath, { files: true });
+    const { largest, churned } = codeMetrics.rankFolders(index.tree, {
+      limit: parseInt(limit),
+      days: parseFloat(days),
+      maxDepth: parseInt(depth)
+    });
+    const { languages, ...totals } = index.tree.metrics || {};
+
+    res.json({
+      success: true,
+      project: projectPath,
+      totals,
+      languages: codeMetrics.topLanguages(languages, Infinity),
+      largest,
+      churned,
+      days: parseFloat(days),
+      refreshedAt: index.refreshedAt
+    });
+  } catch (error) {
+    console.error('[Clair/Structure] Metrics error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/structure/:project/dependencies - Module graph summary: most used, unused, cycles, packages
+// ?full=true adds every module with its imports/importedBy, ?fresh=true rebuilds the graph
+router.get('/:project/dependencies', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { full, fresh, limit = 10 } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    const graph = await dependencyGraph.getGraph(projectPath, { fresh: fresh === 'true' });
+
+    res.json({
+      success: true,
+      project: projectPath,
+      ...dependencyGraph.summarizeGraph(graph, { limit: parseInt(limit) }),
+      ...(full === 'true' ? { graph: graph.modules } : {})
+    });
+  } catch (error) {
+    console.error('[Clair/Structure] Dependencies error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/structure/:project/dependencies/file?path=src/lib/db.js - Who uses this file, and what it uses
+router.get('/:project/dependencies/file', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { path: relPath } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    if (!relPath) {
+      return res.status(400).json({ success: false, error: 'path is required' });
+    }
+
+    const graph = await dependencyGraph.getGraph(projectPath);
+    const info = dependencyGraph.describeModule(graph, relPath);
+
+    if (!info) {
+      return res.status(404).json({ success: false, error: `Not a module in the dependency graph: ${relPath}` });
+    }
+
+    res.json({ success: true, project: projectPath, ...info });
+  } catch (error) {
+    console.error('[Clair/Structure] Dependency lookup error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/structure/:project/dependencies/diagram - Mermaid flowchart of the graph (?max_nodes=60 before grouping by folder)
+router.get('/:project/dependencies/diagram', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { max_nodes = 60 } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    const graph = await dependencyGraph.getGraph(projectPath);
+    const mermaid = dependencyGraph.dependencyDiagram(graph, { maxNodes: parseInt(max_nodes) });
+
+    res.json({ success: true, project: projectPath, mermaid });
+  } catch (error) {
+    console.error('[Clair/Structure] Dependency diagram error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/structure/:project/routes - Express endpoints found in the code (?method=GET filters)
+router.get('/:project/routes', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { method } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    const { entry, mounts, endpoints } = await routeAnalyzer.analyzeRoutes(projectPath);
+    const filtered = method ? endpoints.filter(e => e.method === String(method).toUpperCase()) : endpoints;
+
+    res.json({ success: true, project: projectPath, entry, mounts, count: filtered.length, endpoints: filtered });
+  } catch (error) {
+    console.error('[Clair/Structure] Routes error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/structure/:project/fs-audit - Files Clair wrote into this project, newest first (refused writes included)
+router.get('/:project/fs-audit', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { limit = 100 } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    const entries = await pathPolicy.listAudit(projectPath, { limit: parseInt(limit) });
+
+    res.json({ success: true, project: projectPath, count: entries.length, entries });
+  } catch (error) {
+    console.error('[Clair/Structure] Audit error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
-// POST /api/structure/:project/describe - Add/update folder description
+// GET /api/structure/:project/snapshots - Stored snapshots, newest first (without their entries)
+router.get('/:project/snapshots', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { limit = 50 } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    const snapshots = await structureSnapshots.listSnapshots(projectPath, { limit: parseInt(limit) });
+
+    res.json({ success: true, project: projectPath, snapshots });
+  } catch (error) {
+    console.error('[Clair/Structure] Snapshots error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/structure/:project/snapshots - Snapshot the tree now (skipped when nothing changed unless force)
+router.post('/:project/snapshots', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { force } = req.body || {};
+    const projectPath = decodeURIComponent(project);
+
+    const result = await structureSnapshots.takeSnapshot(projectPath, { trigger: 'manual', force: force === true });
+
+    res.json({ success: true, project: projectPath, ...result });
+  } catch (error) {
+    console.error('[Clair/Structure] Snapshot error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/structure/:project/diff - What changed between two snapshots
+// ?from=<id> or ?since=7d|24h|<ISO date> (default 7d), ?to=<id>|now (default: latest snapshot)
+router.get('/:project/diff', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { from, to, since } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    const diff = await structureSnapshots.diffProject(projectPath, { fromId: from, toId: to, since });
+
+    res.json({ success: true, project: projectPath, ...diff });
+  } catch (error) {
+    console.error('[Clair/Structure] Diff error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/structure/:project/status - Counts and files per status (?path=src limits to a folder, ?status=deprecated filters)
+router.get('/:project/status', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { path: relPath = '', status } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    if (status && !fileStatus.FILE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${fileStatus.FILE_STATUSES.join(', ')}`
+      });
+    }
+
+    const summary = await fileStatus.summarize(projectPath, { relPath, status });
+
+    res.json({ success: true, project: projectPath, path: relPath, ...summary });
+  } catch (error) {
+    console.error('[Clair/Structure] Status error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/structure/:project/status/overrides - Statuses set by hand
+router.get('/:project/status/overrides', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const projectPath = decodeURIComponent(project);
+
+    const overrides = await fileStatus.listOverrides(projectPath);
+
+    res.json({ success: true, overrides });
+  } catch (error) {
+    console.error('[Clair/Structure] Overrides error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /api/structure/:project/status/overrides - Set the status of a file or folder by hand
+// Body: { path, status, note } - a folder's status applies to everything inside it
+router.put('/:project/status/overrides', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { path: relPath, status, note } = req.body || {};
+    const projectPath = decodeURIComponent(project);
+
+    if (!relPath || !status) {
+      return res.status(400).json({
+        success: false,
+        error: 'path and status are required'
+      });
+    }
+
+    const override = await fileStatus.setOverride(projectPath, relPath, status, { note: note || null });
+
+    res.json({ success: true, override });
+  } catch (error) {
+    console.error('[Clair/Structure] Override error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/structure/:project/status/overrides/:id - Back to the rule-based status
+router.delete('/:project/status/overrides/:id', async (req, res) => {
+  try {
+    const { project, id } = req.params;
+    const projectPath = decodeURIComponent(project);
+
+    await fileStatus.removeOverride(projectPath, id);
+
+    res.json({ success: true, deleted: id });
+  } catch (error) {
+    console.error('[Clair/Structure] Override delete error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/structure/:project/describe - Add/update folder description (written by hand - AI runs never overwrite it)
 router.post('/:project/describe', async (req, res) => {
   try {
     const { project } = req.params;
@@ -82,6 +408,7 @@ router.post('/:project/describe', async (req, res) => {
         project_id: projectPath,
         folder_path,
         description,
+        source: 'human',
         updated_at: new Date().toISOString()
       }, {
         onConflict: 'project_id,folder_path'
@@ -101,6 +428,33 @@ router.post('/:project/describe', async (req, res) => {
   }
 });
 
+// POST /api/structure/:project/describe/auto - AI descriptions for undescribed or changed folders
+// Body: { force, paths, max_folders, max_depth, describe_files, dry_run }
+router.post('/:project/describe/auto', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { force, paths, max_folders, max_depth, describe_files, dry_run } = req.body || {};
+    const projectPath = decodeURIComponent(project);
+
+    if (paths !== undefined && !Array.isArray(paths)) {
+      return res.status(400).json({ success: false, error: 'paths must be an array of folder paths' });
+    }
+
+    const options = { force: force === true, dryRun: dry_run === true };
+    if (paths) options.paths = paths;
+    if (max_folders) options.max_folders = parseInt(max_folders);
+    if (max_depth) options.max_depth = parseInt(max_depth);
+    if (describe_files !== undefined) options.describe_files = describe_files !== false;
+
+    const result = await folderDescriber.describeProject(projectPath, options);
+
+    res.json({ success: true, project: projectPath, ...result });
+  } catch (error) {
+    console.error('[Clair/Structure] Auto describe error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // GET /api/structure/:project/descriptions - Get all descriptions
 router.get('/:project/descriptions', async (req, res) => {
   try {
@@ -147,151 +501,55 @@ router.delete('/:project/describe/:id', async (req, res) => {
   }
 });
 
-// POST /api/structure/:project/export - Export as ASCII tree
+// POST /api/structure/:project/export - Export the tree
+// Body: { format: ascii|markdown|html|mermaid|json, depth, includeDescriptions, includeStatus, download }
+// download: true sends the file itself instead of JSON
 router.post('/:project/export', async (req, res) => {
   try {
     const { project } = req.params;
-    const { depth = 3, includeDescriptions = true } = req.body;
+    const { format = 'ascii', depth = 3, includeDescriptions = true, includeStatus = true, download = false } = req.body || {};
     const projectPath = decodeURIComponent(project);
 
-    const tree = await buildTree(projectPath, parseInt(depth));
-
-    // Get descriptions if requested
-    let descMap = {};
-    if (includeDescriptions) {
-      const { data } = await supabase
-        .from('dev_ai_folder_descriptions')
-        .select('folder_path, description')
-        .eq('project_id', projectPath);
-
-      data?.forEach(d => {
-        descMap[d.folder_path] = d.description;
+    if (!structureExport.EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of: ${Object.keys(structureExport.EXPORT_FORMATS).join(', ')}`
       });
     }
 
-    // Generate ASCII tree
-    const projectName = path.basename(projectPath);
-    const ascii = generateAsciiTree(tree, projectName, descMap);
+    const { tree } = await treeIndex.getTree(projectPath, { depth: parseInt(depth) });
 
-    res.json({
-      success: true,
-      ascii,
-      format: 'text/plain'
-    });
-  } catch (error) {
-    console.error('[Clair/Structure] Export error:', error.message);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-/**
- * Build file tree from filesystem
- */
-async function buildTree(dirPath, maxDepth, currentDepth = 0) {
-  const tree = {
-    name: path.basename(dirPath),
-    path: dirPath,
-    type: 'directory',
-    children: []
-  };
-
-  if (currentDepth >= maxDepth) {
-    tree.truncated = true;
-    return tree;
-  }
-
-  try {
-    const entries = await fs.readdir(dirPath, { withFileTypes: true });
-
-    for (const entry of entries) {
-      // Skip ignored patterns
-      if (shouldIgnore(entry.name)) continue;
-
-      const entryPath = path.join(dirPath, entry.name);
-
-      if (entry.isDirectory()) {
-        const subtree = await buildTree(entryPath, maxDepth, currentDepth + 1);
-        tree.children.push(subtree);
-      } else {
-        tree.children.push({
-          name: entry.name,
-          path: entryPath,
-          type: 'file',
-          extension: path.extname(entry.name)
-        });
-      }
+    if (includeDescriptions) {
+      const { descMap } = await getDescriptionMap(projectPath);
+      annotateTree(tree, descMap, '');
     }
-
-    // Sort: directories first, then files, alphabetically
-    tree.children.sort((a, b) => {
-      if (a.type !== b.type) {
-        return a.type === 'directory' ? -1 : 1;
-      }
-      return a.name.localeCompare(b.name);
-    });
-  } catch (err) {
-    tree.error = err.message;
-  }
-
-  return tree;
-}
-
-/**
- * Check if file/folder should be ignored
- */
-function shouldIgnore(name) {
-  return IGNORE_PATTERNS.some(pattern => {
-    if (pattern.includes('*')) {
-      const regex = new RegExp('^' + pattern.replace('*', '.*') + '$');
-      return regex.test(name);
+    if (includeStatus) {
+      fileStatus.applyStatuses(tree, await fileStatus.getStatuses(projectPath), projectPath);
     }
-    return name === pattern;
-  });
-}
 
-/**
- * Annotate tree with descriptions
- */
-function annotateTree(node, descMap, currentPath) {
-  const nodePath = currentPath ? `${currentPath}/${node.name}` : node.name;
-
-  if (descMap[nodePath]) {
-    node.description = descMap[nodePath];
-  }
-
-  if (node.children) {
-    node.children.forEach(child => {
-      annotateTree(child, descMap, nodePath);
+    const { content, contentType, filename } = structureExport.renderStructure(tree, format, {
+      projectPath,
+      depth: parseInt(depth)
     });
-  }
-}
 
-/**
- * Generate ASCII tree representation
- */
-function generateAsciiTree(node, rootName, descMap, prefix = '', isLast = true) {
-  let result = '';
-  const connector = isLast ? '└── ' : '├── ';
-  const extension = isLast ? '    ' : '│   ';
-
-  const icon = node.type === 'directory' ? '📁 ' : '📄 ';
-  const desc = descMap[node.name] ? `  "${descMap[node.name]}"` : '';
-
-  if (prefix === '') {
-    result += `${rootName}/\n`;
-  } else {
-    result += `${prefix}${connector}${icon}${node.name}${desc}\n`;
-  }
+    if (download) {
+      res.set('Content-Type', `${contentType}; charset=utf-8`);
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(content);
+    }
 
-  if (node.children) {
-    node.children.forEach((child, index) => {
-      const childIsLast = index === node.children.length - 1;
-      const childPrefix = prefix === '' ? '' : prefix + extension;
-      result += generateAsciiTree(child, rootName, descMap, childPrefix, childIsLast);
+    res.json({
+      success: true,
+      format,
+      contentType,
+      filename,
+      content,
+      ...(format === 'ascii' ? { ascii: content } : {})
     });
+  } catch (error) {
+    console.error('[Clair/Structure] Export error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
-
-  return result;
-}
+});
 
 module.exports = router;
@@ -0,0 +1,134 @@
+/**
+ * Templates Routes - Doc template registry
+ *
+ * Global templates apply to every project, project templates (project_id set)
+ * override them for one project. New doc_type values add new doc types.
+ */
+
+const express = require('express');
+const router = express.Router();
+const docTemplates = require('../services/docTemplates');
+
+// GET /api/templates?project= - Registry rows (globals + the project's overrides)
+router.get('/', async (req, res) => {
+  try {
+    const { project } = req.query;
+    const projectPath = project ? decodeURIComponent(project) : null;
+
+    const templates = await docTemplates.listTemplates(projectPath);
+
+    res.json({
+      success: true,
+      total: templates.length,
+      templates
+    });
+  } catch (error) {
+    console.error('[Clair/Templates] List error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/templates/types?project= - Effective doc types with where each template comes from
+router.get('/types', async (req, res) => {
+  try {
+    const { project } = req.query;
+    const projectPath = project ? decodeURIComponent(project) : null;
+
+    const effective = await docTemplates.getEffectiveTemplates(projectPath);
+    const types = Object.values(effective)
+      .sort((a, b) => a.doc_type.localeCompare(b.doc_type))
+      .map(t => ({ doc_type: t.doc_type, name: t.name, description: t.description, source: t.source, id: t.id }));
+
+    res.json({ success: true, types });
+  } catch (error) {
+    console.error('[Clair/Templates] Types error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/templates/render/:docType?project=&title= - Preview the filled outline
+router.get('/render/:docType', async (req, res) => {
+  try {
+    const { docType } = req.params;
+    const { project, title } = req.query;
+    const projectPath = project ? decodeURIComponent(project) : null;
+
+    const template = await docTemplates.renderTemplate(docType, projectPath, { title });
+
+    if (!template) {
+      return res.status(404).json({ success: false, error: `Unknown doc type: ${docType}` });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('[Clair/Templates] Render error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/templates/:id - Single registry row
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await docTemplates.getTemplateById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('[Clair/Templates] Get error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/templates - Create a template
+// Body: { doc_type, name, outline, description, system_prompt, project_id (omit for global) }
+router.post('/', async (req, res) => {
+  try {
+    const errors = docTemplates.validateTemplate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const template = await docTemplates.createTemplate(req.body);
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('[Clair/Templates] Create error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PATCH /api/templates/:id - Update a template
+router.patch('/:id', async (req, res) => {
+  try {
+    const errors = docTemplates.validateTemplate(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const template = await docTemplates.updateTemplate(req.params.id, req.body);
+
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('[Clair/Templates] Update error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/templates/:id - Remove a template (built-in types fall back to the shipped outline)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await docTemplates.deleteTemplate(id);
+
+    res.json({ success: true, deleted: id });
+  } catch (error) {
+    console.error('[Clair/Templates] Delete error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
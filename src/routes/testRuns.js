@@ -0,0 +1,92 @@
+/**
+ * Test Runs Routes - Tester (Mike / Tiffany) output ingestion
+ *
+ * Passing runs write/update a howto doc for the feature,
+ * failing steps are filed to dev_ai_bugs with reproduction steps
+ */
+
+const express = require('express');
+const router = express.Router();
+const supabase = require('../../../shared/db');
+const { ingestTestRun, validateTestRun } = require('../services/testRunIngest');
+
+// POST /api/test-runs/:project - Ingest a structured test run
+router.post('/:project', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const projectPath = decodeURIComponent(project);
+
+    const errors = validateTestRun(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const { run, doc, docCreated, correctionId, bugIds } = await ingestTestRun(projectPath, req.body);
+
+    res.json({
+      success: true,
+      run,
+      doc: doc ? { id: doc.id, title: doc.title, created: docCreated, pending_correction: correctionId } : null,
+      bug_ids: bugIds
+    });
+  } catch (error) {
+    console.error('[Clair/TestRuns] Ingest error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/test-runs/:project - List runs (optional ?feature= &status= &tester=)
+router.get('/:project', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { feature, status, tester, limit = 50 } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    let query = supabase
+      .from('dev_ai_test_runs')
+      .select('id, tester, feature, title, environment, status, passed_steps, failed_steps, doc_id, bug_ids, run_at')
+      .eq('project_id', projectPath)
+      .order('run_at', { ascending: false })
+      .limit(parseInt(limit));
+
+    if (feature) query = query.eq('feature', feature);
+    if (status) query = query.eq('status', status);
+    if (tester) query = query.eq('tester', tester.toLowerCase());
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      project: projectPath,
+      runs: data || [],
+      count: data?.length || 0
+    });
+  } catch (error) {
+    console.error('[Clair/TestRuns] List error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/test-runs/:project/:id - Single run with steps
+router.get('/:project/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('dev_ai_test_runs')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, run: data });
+  } catch (error) {
+    console.error('[Clair/TestRuns] Get error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
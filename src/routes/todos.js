@@ -5,14 +5,31 @@
  * POST /api/todos/:project/organize - Trigger AI organization
  * POST /api/todos/:project/complete/:id - Mark todo complete
  * POST /api/todos/:project/add - Add new todo
+ * POST /api/todos/:project/sync - Two-way sync between TODO.md files and the DB
+ * GET /api/todos/:project/code - TODO/FIXME/HACK/XXX comments in the source
+ * POST /api/todos/:project/code/scan - Upsert code comments into the DB, close removed ones
  */
 
 const express = require('express');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs').promises;
-const { glob } = require('glob');
+const { walkFiles } = require('../services/fileTree');
 const todoOrganizer = require('../services/todoOrganizer');
+const pathPolicy = require('../services/pathPolicy');
+const todoSync = require('../services/todoSync');
+const codeTodos = require('../services/codeTodos');
+
+// Every :project must be a registered project path
+router.param('project', pathPolicy.guardProject);
+
+/**
+ * Absolute paths of the project's TODO.md files (skips ignored folders)
+ */
+async function findTodoFiles(projectPath) {
+  const relPaths = await walkFiles(projectPath, { match: (relPath, name) => name === 'TODO.md' });
+  return relPaths.map(relPath => path.join(projectPath, relPath));
+}
 
 // GET /api/todos/:project - Get TODO.md files organized by folder
 router.get('/:project', async (req, res) => {
@@ -21,8 +38,7 @@ router.get('/:project', async (req, res) => {
     const projectPath = decodeURIComponent(project);
 
     // Find all TODO.md files in the project
-    const pattern = path.join(projectPath, '**/TODO.md').replace(/\\/g, '/');
-    const todoFiles = await glob(pattern, { nodir: true });
+    const todoFiles = await findTodoFiles(projectPath);
 
     const todos = await Promise.all(todoFiles.map(async (filePath) => {
       try {
@@ -80,8 +96,7 @@ router.post('/:project/scan', async (req, res) => {
     const projectPath = decodeURIComponent(project);
 
     // Same as GET but force refresh
-    const pattern = path.join(projectPath, '**/TODO.md').replace(/\\/g, '/');
-    const todoFiles = await glob(pattern, { nodir: true });
+    const todoFiles = await findTodoFiles(projectPath);
 
     res.json({
       success: true,
@@ -100,10 +115,10 @@ router.post('/:project/scan', async (req, res) => {
 router.post('/:project/create', async (req, res) => {
   try {
     const { project } = req.params;
-    const { folder } = req.body;
+    const { folder = '' } = req.body;
     const projectPath = decodeURIComponent(project);
 
-    const todoPath = path.join(projectPath, folder, 'TODO.md');
+    const todoPath = await pathPolicy.resolveInside(projectPath, path.join(folder, 'TODO.md'));
 
     // Check if already exists
     try {
@@ -123,7 +138,7 @@ router.post('/:project/create', async (req, res) => {
 ## Completed
 `;
 
-    await fs.writeFile(todoPath, template, 'utf-8');
+    await pathPolicy.writeFile(todoPath, template, { source: 'todos.create', actor: 'user', flag: 'wx' });
 
     res.json({
       success: true,
@@ -132,7 +147,69 @@ router.post('/:project/create', async (req, res) => {
     });
   } catch (error) {
     console.error('[Clair/Todos] Create error:', error.message);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/todos/:project/sync - Sync TODO.md checkboxes with dev_ai_todos both ways
+// Body: { dry_run?, add_from_db? } - conflicts (changed on both sides) are reported until both sides match again
+router.post('/:project/sync', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { dry_run = false, add_from_db = true } = req.body || {};
+    const projectPath = decodeURIComponent(project);
+
+    const result = await todoSync.syncProject(projectPath, { dryRun: dry_run, addFromDb: add_from_db });
+
+    res.json({
+      success: true,
+      project: projectPath,
+      dryRun: dry_run,
+      ...result
+    });
+  } catch (error) {
+    console.error('[Clair/Todos] Sync error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/todos/:project/code - TODO/FIXME/HACK/XXX comments found in the source (read-only, ?marker=FIXME filters)
+router.get('/:project/code', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const { marker } = req.query;
+    const projectPath = decodeURIComponent(project);
+
+    const scan = await codeTodos.scanProject(projectPath);
+    const comments = marker ? scan.comments.filter(c => c.marker === String(marker).toUpperCase()) : scan.comments;
+
+    res.json({
+      success: true,
+      project: projectPath,
+      count: comments.length,
+      filesScanned: scan.filesScanned,
+      truncated: scan.truncated,
+      blame: scan.blame,
+      comments
+    });
+  } catch (error) {
+    console.error('[Clair/Todos] Code scan error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/todos/:project/code/scan - Upsert code comments as todos (source 'code'), close the ones whose comment is gone
+router.post('/:project/code/scan', async (req, res) => {
+  try {
+    const { project } = req.params;
+    const projectPath = decodeURIComponent(project);
+
+    const result = await codeTodos.syncProject(projectPath);
+
+    res.json({ success: true, project: projectPath, ...result });
+  } catch (error) {
+    console.error('[Clair/Todos] Code sync error:', error.message);
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -143,7 +220,7 @@ function parseTodoItems(content) {
   const items = [];
   const lines = content.split('\n');
 
-  let currentSection = 'Uncategorized';
+  let currentSection = todoSync.DEFAULT_SECTION;
 
   for (const line of lines) {
     // Check for section headers
@@ -158,7 +235,7 @@ function parseTodoItems(content) {
     if (todoMatch) {
       items.push({
         completed: todoMatch[1].toLowerCase() === 'x',
-        text: todoMatch[2].trim(),
+        text: todoSync.stripAnchor(todoMatch[2]).trim(),
         section: currentSection
       });
     }
@@ -234,11 +311,16 @@ router.post('/db/organize-all', async (req, res) => {
 router.post('/db/:project/complete/:id', async (req, res) => {
   try {
     const todoId = req.params.id;
+    const projectPath = decodeURIComponent(req.params.project);
     const result = await todoOrganizer.markComplete(todoId);
 
+    // Tick the box in TODO.md too, once the project is synced
+    const sync = await todoSync.syncIfLinked(projectPath);
+
     res.json({
       success: true,
-      todo: result
+      todo: result,
+      ...(sync ? { sync: { files: sync.files, conflicts: sync.conflicts } } : {})
     });
   } catch (error) {
     console.error('[Clair/Todos] Complete error:', error.message);
@@ -257,10 +339,12 @@ router.post('/db/:project/add', async (req, res) => {
     }
 
     const result = await todoOrganizer.addTodo(projectPath, title, category, priority);
+    const sync = await todoSync.syncIfLinked(projectPath);
 
     res.json({
       success: true,
-      todo: result
+      todo: result,
+      ...(sync ? { sync: { files: sync.files, conflicts: sync.conflicts } } : {})
     });
   } catch (error) {
     console.error('[Clair/Todos] Add error:', error.message);
@@ -0,0 +1,209 @@
+/**
+ * API Reference Service
+ *
+ * Writes a project's `reference` doc straight from its Express routes (routeAnalyzer), no model involved:
+ * - Index table of every endpoint, then one section per mounted router
+ * - Each endpoint: summary from its comment, path / query / body fields, source file and line
+ *
+ * The doc is marked generator 'api_routes' and its source manifest lists the entry and route files,
+ * so the stale check rebuilds it as soon as any of them changes. A rebuild keeps the doc's review
+ * state - the content mirrors the code, so a published reference stays published (each rebuild is a code_scan revision).
+ */
+
+const path = require('path');
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const routeAnalyzer = require('./routeAnalyzer');
+const staleDocs = require('./staleDocs');
+const { buildManifest } = require('./sourceManifest');
+const docRevisions = require('./docRevisions');
+const links = require('./links');
+
+const logger = new Logger('Clair:ApiReference');
+
+const GENERATOR = 'api_routes';
+const DOC_TYPE = 'reference';
+const DEFAULT_TITLE = 'API Reference';
+
+function cell(text) {
+  return String(text || '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+function codeList(names) {
+  return names.map(name => `\`${name}\``).join(', ');
+}
+
+function renderEndpoint(endpoint) {
+  const lines = [`### ${endpoint.method} ${endpoint.path}`, ''];
+
+  if (endpoint.summary) lines.push(endpoint.summary, '');
+  if (endpoint.notes.length > 0) lines.push(...endpoint.notes.map(note => `> ${note}`), '');
+
+  const fields = [
+    ['Path', endpoint.params],
+    ['Query', endpoint.query],
+    ['Body', endpoint.body]
+  ].filter(([, names]) => names.length > 0);
+
+  for (const [label, names] of fields) {
+    lines.push(`- **${label}:** ${codeList(names)}`);
+  }
+  if (fields.length > 0) lines.push('');
+
+  lines.push(`_Source: \`${endpoint.file}:${endpoint.line}\`_`, '');
+  return lines.join('\n');
+}
+
+/**
+ * Markdown for an analyzeRoutes result
+ */
+function renderReference(analysis, { title = DEFAULT_TITLE, projectName } = {}) {
+  const { endpoints, mounts, entry } = analysis;
+  const routerFiles = new Set(endpoints.map(e => e.file));
+
+  const lines = [
+    `# ${title}`,
+    '',
+    `${endpoints.length} endpoint${endpoints.length === 1 ? '' : 's'} in ${routerFiles.size} file${routerFiles.size === 1 ? '' : 's'}` +
+      `${projectName ? ` of ${projectName}` : ''}, read from the Express routes mounted in \`${entry}\`.`,
+    'This doc is rebuilt from the code whenever those files change - edit the route comments rather than this page.',
+    ''
+  ];
+
+  if (endpoints.length === 0) {
+    lines.push('_No routes found._', '');
+    return lines.join('\n');
+  }
+
+  lines.push('## Endpoints', '', '| Method | Path | Summary |', '|---|---|---|');
+  for (const endpoint of endpoints) {
+    lines.push(`| ${endpoint.method} | \`${endpoint.path}\` | ${cell(endpoint.summary)} |`);
+  }
+  lines.push('');
+
+  // One section per router, in mount order
+  const groups = new Map();
+  for (const endpoint of endpoints) {
+    const key = `${endpoint.mount}\0${endpoint.file}`;
+    if (!groups.has(key)) groups.set(key, { mount: endpoint.mount, file: endpoint.file, endpoints: [] });
+    groups.get(key).endpoints.push(endpoint);
+  }
+
+  for (const group of groups.values()) {
+    const mountedFrom = mounts.find(m => m.path === group.mount && m.file === group.file)?.from;
+
+    lines.push(`## ${group.mount}`, '');
+    lines.push(`Router: \`${group.file}\`${mountedFrom ? ` (mounted in \`${mountedFrom}\`)` : ''}`, '');
+    for (const endpoint of group.endpoints) {
+      lines.push(renderEndpoint(endpoint));
+    }
+  }
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n');
+}
+
+async function findReferenceDoc(projectPath) {
+  const { data, error } = await from('dev_ai_generated_docs')
+    .select('*')
+    .eq('project_id', projectPath)
+    .eq('generator', GENERATOR)
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Scan the project's routes and create or update its API reference doc
+ * A doc whose content didn't change only gets a fresh manifest (no new revision)
+ * Returns { doc, created, changed, endpoints, revision, links }
+ */
+async function generateApiReference(projectPath, { title = null, author = 'clair', note = null } = {}) {
+  const analysis = await routeAnalyzer.analyzeRoutes(projectPath);
+  const existing = await findReferenceDoc(projectPath);
+  const content = renderReference(analysis, {
+    title: title || existing?.title || DEFAULT_TITLE,
+    projectName: path.basename(projectPath)
+  });
+  const manifest = buildManifest({ files: analysis.files });
+  const now = new Date().toISOString();
+
+  if (!existing) {
+    const { data, error } = await from('dev_ai_generated_docs')
+      .insert({
+        project_id: projectPath,
+        doc_type: DOC_TYPE,
+        title: title || DEFAULT_TITLE,
+        content,
+        generator: GENERATOR,
+        generated_at: now,
+        source_manifest: manifest,
+        status: 'draft',
+        is_published: false
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const revision = await docRevisions.recordRevision(data, { author, reason: 'code_scan', note: note || 'Built from route files' });
+    const linkCheck = await links.trySyncLinks(projectPath, 'doc', data);
+
+    logger.info('API reference created', { projectPath, docId: data.id, endpoints: analysis.endpoints.length });
+    return {
+      doc: { ...data, revision: revision.revision_number },
+      created: true,
+      changed: true,
+      endpoints: analysis.endpoints.length,
+      revision,
+      links: linkCheck ? { unresolved: linkCheck.unresolved, ambiguous: linkCheck.ambiguous } : null
+    };
+  }
+
+  const changed = content !== existing.content || (title && title !== existing.title);
+  if (changed) await docRevisions.ensureBaseline(existing);
+
+  const { data, error } = await from('dev_ai_generated_docs')
+    .update({
+      source_manifest: manifest,
+      is_stale: false,
+      stale_reason: null,
+      stale_checked_at: now,
+      ...(changed ? { title: title || existing.title, content, generated_at: now } : {}),
+      updated_at: now
+    })
+    .eq('id', existing.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  if (!changed) {
+    return { doc: data, created: false, changed: false, endpoints: analysis.endpoints.length, revision: null, links: null };
+  }
+
+  const revision = await docRevisions.recordRevision(data, { author, reason: 'code_scan', note: note || 'Route files changed' });
+  const linkCheck = await links.trySyncLinks(projectPath, 'doc', data);
+
+  logger.info('API reference updated', { projectPath, docId: data.id, endpoints: analysis.endpoints.length });
+  return {
+    doc: { ...data, revision: revision.revision_number },
+    created: false,
+    changed: true,
+    endpoints: analysis.endpoints.length,
+    revision,
+    links: linkCheck ? { unresolved: linkCheck.unresolved, ambiguous: linkCheck.ambiguous } : null
+  };
+}
+
+// The stale check rebuilds the reference as soon as a route file changes
+staleDocs.registerRebuilder(GENERATOR, (doc, reasons) =>
+  generateApiReference(doc.project_id, { note: reasons.join('; ') })
+);
+
+module.exports = {
+  generateApiReference,
+  renderReference,
+  findReferenceDoc,
+  GENERATOR
+};
@@ -0,0 +1,183 @@
+/**
+ * Code Metrics Service
+ *
+ * Per-file and per-folder weight for the structure tree:
+ * - Files: language (by extension or well-known name) and line count
+ * - Folders: files, lines, bytes and lines per language, plus the newest modification below them
+ * - Rankings: largest folders and folders with the most recently modified files
+ *
+ * The tree index calls measureFile / aggregateMetrics while scanning, so metrics are
+ * stored on the index nodes and refreshed with them.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const MAX_COUNT_SIZE = 1024 * 1024;
+
+const LANGUAGES = {
+  '.js': 'JavaScript', '.jsx': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript',
+  '.ts': 'TypeScript', '.tsx': 'TypeScript',
+  '.py': 'Python', '.rb': 'Ruby', '.go': 'Go', '.rs': 'Rust', '.java': 'Java', '.kt': 'Kotlin',
+  '.swift': 'Swift', '.php': 'PHP', '.cs': 'C#', '.c': 'C', '.h': 'C', '.cpp': 'C++', '.hpp': 'C++',
+  '.sh': 'Shell', '.bash': 'Shell', '.sql': 'SQL',
+  '.html': 'HTML', '.css': 'CSS', '.scss': 'SCSS', '.vue': 'Vue', '.svelte': 'Svelte',
+  '.json': 'JSON', '.yml': 'YAML', '.yaml': 'YAML', '.toml': 'TOML', '.xml': 'XML',
+  '.md': 'Markdown', '.markdown': 'Markdown', '.txt': 'Text'
+};
+
+const FILENAME_LANGUAGES = {
+  dockerfile: 'Dockerfile',
+  makefile: 'Makefile',
+  procfile: 'Procfile'
+};
+
+function detectLanguage(fileName) {
+  const lower = String(fileName || '').toLowerCase();
+  return FILENAME_LANGUAGES[lower] || LANGUAGES[path.extname(lower)] || null;
+}
+
+/**
+ * Line count of a text file - null for unknown types, big files or read errors
+ */
+async function countLines(filePath, size) {
+  if (size === null || size === undefined || size > MAX_COUNT_SIZE) return null;
+  if (size === 0) return 0;
+
+  try {
+    const content = await fs.readFile(filePath, 'utf-8');
+    let lines = 0;
+    for (let i = 0; i < content.length; i++) {
+      if (content.charCodeAt(i) === 10) lines++;
+    }
+    return content.endsWith('\n') ? lines : lines + 1;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * { language, lines } for a file node - previous is the node from the last scan,
+ * reused when size and mtime haven't changed
+ */
+async function measureFile(filePath, stat, previous = null) {
+  const language = detectLanguage(path.basename(filePath));
+  if (!language || !stat) return { language, lines: null };
+
+  if (previous && previous.lines !== undefined &&
+      previous.size === stat.size && previous.mtime === stat.mtimeMs) {
+    return { language, lines: previous.lines };
+  }
+
+  return { language, lines: await countLines(filePath, stat.size) };
+}
+
+/**
+ * Set node.metrics on every folder: { files, lines, size, languages, lastModified }
+ * languages: { JavaScript: { files, lines } }, lastModified: ISO time of the newest file below
+ */
+function aggregateMetrics(node) {
+  const metrics = { files: 0, lines: 0, size: 0, languages: {}, lastModified: null };
+  let newest = 0;
+
+  for (const child of node.children || []) {
+    if (child.type === 'directory') {
+      const sub = aggregateMetrics(child);
+      metrics.files += sub.files;
+      metrics.lines += sub.lines;
+      metrics.size += sub.size;
+      for (const [language, counts] of Object.entries(sub.languages)) {
+        const entry = metrics.languages[language] || (metrics.languages[language] = { files: 0, lines: 0 });
+        entry.files += counts.files;
+        entry.lines += counts.lines;
+      }
+      if (sub.lastModified) newest = Math.max(newest, Date.parse(sub.lastModified));
+    } else {
+      metrics.files++;
+      metrics.lines += child.lines || 0;
+      metrics.size += child.size || 0;
+      if (child.language) {
+        const entry = metrics.languages[child.language] || (metrics.languages[child.language] = { files: 0, lines: 0 });
+        entry.files++;
+        entry.lines += child.lines || 0;
+      }
+      if (child.mtime) newest = Math.max(newest, child.mtime);
+    }
+  }
+
+  metrics.lastModified = newest ? new Date(newest).toISOString() : null;
+  node.metrics = metrics;
+  return metrics;
+}
+
+function topLanguages(languages, limit = 3) {
+  return Object.entries(languages || {})
+    .sort((a, b) => b[1].lines - a[1].lines || b[1].files - a[1].files)
+    .slice(0, limit)
+    .map(([language, counts]) => ({ language, ...counts }));
+}
+
+/**
+ * Largest and most recently churned folders of an index tree
+ * options.days is the churn window, maxDepth limits which folders are listed (1 = top level)
+ */
+function rankFolders(tree, { limit = 10, days = 30, maxDepth = 3 } = {}) {
+  const root = tree.path;
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  const folders = [];
+
+  // Returns { recentFiles, recentLines } for the folder, collecting rows on the way
+  function walk(node, depth) {
+    let recentFiles = 0;
+    let recentLines = 0;
+
+    for (const child of node.children || []) {
+      if (child.type === 'directory') {
+        const sub = walk(child, depth + 1);
+        recentFiles += sub.recentFiles;
+        recentLines += sub.recentLines;
+      } else if (child.mtime && child.mtime >= since) {
+        recentFiles++;
+        recentLines += child.lines || 0;
+      }
+    }
+
+    if (depth > 0 && depth <= maxDepth && node.metrics) {
+      folders.push({
+        path: path.relative(root, node.path).split(path.sep).join('/'),
+        files: node.metrics.files,
+        lines: node.metrics.lines,
+        size: node.metrics.size,
+        languages: topLanguages(node.metrics.languages),
+        lastModified: node.metrics.lastModified,
+        recentFiles,
+        recentLines
+      });
+    }
+
+    return { recentFiles, recentLines };
+  }
+
+  walk(tree, 0);
+
+  const largest = [...folders]
+    .sort((a, b) => b.lines - a.lines || b.size - a.size)
+    .slice(0, limit);
+
+  const churned = folders
+    .filter(f => f.recentFiles > 0)
+    .sort((a, b) => b.recentFiles - a.recentFiles || (b.lastModified || '').localeCompare(a.lastModified || ''))
+    .slice(0, limit);
+
+  return { largest, churned };
+}
+
+module.exports = {
+  detectLanguage,
+  countLines,
+  measureFile,
+  aggregateMetrics,
+  topLanguages,
+  rankFolders,
+  LANGUAGES
+};
@@ -0,0 +1,367 @@
+/**
+ * Code Todos Service
+ *
+ * Finds TODO / FIXME / HACK / XXX comments in a project's source files and keeps
+ * dev_ai_todos in step with them (source = 'code'):
+ * - Each comment: file, line, marker, text, surrounding lines and its author from git blame
+ *   (when the project is a git repo and the line is committed)
+ * - Rows are keyed by file + marker + text (source_anchor), so shifting lines only updates source_line
+ * - Open code todos whose comment is gone are closed (auto_closed_at); one that comes back is reopened.
+ *   Todos closed by hand stay closed
+ *
+ * Runs every 3 hours (PST) for every registered project
+ */
+
+const cron = require('node-cron');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const { walkFiles } = require('./fileTree');
+const { detectLanguage } = require('./codeMetrics');
+const fileStatus = require('./fileStatus');
+const pathPolicy = require('./pathPolicy');
+
+const execFileAsync = promisify(execFile);
+const logger = new Logger('Clair:CodeTodos');
+
+const JOB_NAME = 'Scan Code Todos';
+const SOURCE = 'code';
+const MARKERS = ['TODO', 'FIXME', 'HACK', 'XXX'];
+const MARKER_PRIORITY = { FIXME: 'high', XXX: 'high', HACK: 'medium', TODO: 'medium' };
+const MAX_FILES = 5000;
+const MAX_FILE_SIZE = 1024 * 1024;
+const CONTEXT_LINES = 2;
+const GIT_TIMEOUT_MS = 15000;
+
+// Languages without comments, or handled elsewhere (TODO.md files sync through todoSync)
+const SKIPPED_LANGUAGES = ['JSON', 'Markdown', 'Text'];
+
+// A comment opener (// # /* * -- <!--) right before the marker; TODO(name): puts a name in the parens
+const COMMENT_RE = new RegExp(`(?:^|[\\s;{}(),])(?:\\/\\/+|#+|\\/\\*+|\\*+|--|<!--)\\s*@?(${MARKERS.join('|')})\\b(?:\\(([^)]*)\\))?\\s*[:\\-–]?\\s*(.*)$`);
+const QUICK_RE = new RegExp(`\\b(${MARKERS.join('|')})\\b`);
+
+let isRunning = false;
+
+function anchorFor(relPath, marker, text, occurrence) {
+  return crypto.createHash('sha256')
+    .update([relPath, marker, text.toLowerCase(), occurrence].join('\0'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function isScannable(relPath, name) {
+  const language = detectLanguage(name);
+  if (!language || SKIPPED_LANGUAGES.includes(language)) return false;
+  return fileStatus.classifyFile(relPath)?.status !== 'generated';
+}
+
+/**
+ * Marker comments in one file's content: [{ line, marker, tag, text, context }]
+ */
+function findComments(content) {
+  const lines = content.split(/\r?\n/);
+  const found = [];
+
+  lines.forEach((line, index) => {
+    if (!QUICK_RE.test(line)) return;
+    const m = line.match(COMMENT_RE);
+    if (!m) return;
+
+    const text = m[3].replace(/\s*(\*+\/|-->)\s*$/, '').trim();
+    const start = Math.max(0, index - CONTEXT_LINES);
+    const context = lines
+      .slice(start, index + CONTEXT_LINES + 1)
+      .map((l, i) => `${String(start + i + 1).padStart(4)}${start + i === index ? '>' : ' '} ${l}`)
+      .join('\n');
+
+    found.push({ line: index + 1, marker: m[1], tag: m[2] || null, text, context });
+  });
+
+  return found;
+}
+
+async function isGitRepo(root) {
+  try {
+    const { stdout } = await execFileAsync('git', ['rev-parse', '--is-inside-work-tree'], { cwd: root, timeout: GIT_TIMEOUT_MS });
+    return stdout.trim() === 'true';
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * git blame for some lines of a file - Map(line -> { author, email, time }), empty on any git error
+ * Lines not committed yet have no author
+ */
+async function blameLines(root, relPath, lineNumbers) {
+  const authors = new Map();
+  if (lineNumbers.length === 0) return authors;
+
+  const ranges = lineNumbers.flatMap(n => ['-L', `${n},${n}`]);
+  let stdout;
+  try {
+    ({ stdout } = await execFileAsync('git', ['blame', '--line-porcelain', ...ranges, '--', relPath], {
+      cwd: root,
+      timeout: GIT_TIMEOUT_MS,
+      maxBuffer: 8 * 1024 * 1024
+    }));
+  } catch (err) {
+    return authors;
+  }
+
+  let current = null;
+  for (const line of stdout.split('\n')) {
+    const header = line.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+    if (header) {
+      current = { commit: header[1], line: parseInt(header[2]), author: null, email: null, time: null };
+    } else if (!current) {
+      continue;
+    } else if (line.startsWith('author ')) {
+      current.author = line.slice(7);
+    } else if (line.startsWith('author-mail ')) {
+      current.email = line.slice(12).replace(/^<|>$/g, '');
+    } else if (line.startsWith('author-time ')) {
+      current.time = new Date(parseInt(line.slice(12)) * 1000).toISOString();
+    } else if (line.startsWith('\t')) {
+      if (!/^0+$/.test(current.commit)) {
+        authors.set(current.line, { author: current.author, email: current.email, time: current.time });
+      }
+      current = null;
+    }
+  }
+  return authors;
+}
+
+/**
+ * Scan a project without touching the DB
+ * Returns { comments: [{ anchor, file, line, marker, tag, text, context, author, authorEmail, authoredAt }],
+ *           filesScanned, unreadable: [relPath], truncated, blame }
+ */
+async function scanProject(projectPath) {
+  const { path: root } = await pathPolicy.resolvePath(projectPath);
+  const relPaths = await walkFiles(root, { match: isScannable, maxFiles: MAX_FILES });
+  const useBlame = await isGitRepo(root);
+  const comments = [];
+  const unreadable = [];
+
+  for (const relPath of relPaths.map(p => p.split(path.sep).join('/'))) {
+    let content;
+    try {
+      const stat = await fs.stat(path.join(root, relPath));
+      if (stat.size > MAX_FILE_SIZE) continue;
+      content = await fs.readFile(path.join(root, relPath), 'utf-8');
+    } catch (err) {
+      unreadable.push(relPath);
+      continue;
+    }
+
+    const found = findComments(content);
+    if (found.length === 0) continue;
+
+    const authors = useBlame ? await blameLines(root, relPath, found.map(c => c.line)) : new Map();
+    const occurrences = new Map();
+
+    for (const comment of found) {
+      const key = `${comment.marker}\0${comment.text.toLowerCase()}`;
+      const occurrence = occurrences.get(key) || 0;
+      occurrences.set(key, occurrence + 1);
+
+      const blame = authors.get(comment.line);
+      comments.push({
+        anchor: anchorFor(relPath, comment.marker, comment.text, occurrence),
+        file: relPath,
+        ...comment,
+        author: comment.tag || blame?.author || null,
+        authorEmail: blame?.email || null,
+        authoredAt: blame?.time || null
+      });
+    }
+  }
+
+  return {
+    comments,
+    filesScanned: relPaths.length,
+    unreadable,
+    truncated: relPaths.length >= MAX_FILES,
+    blame: useBlame
+  };
+}
+
+function describe(comment) {
+  const by = comment.author ? ` (${comment.author})` : '';
+  return `${comment.marker} in ${comment.file}:${comment.line}${by}\n\n\`\`\`\n${comment.context}\n\`\`\``;
+}
+
+/**
+ * Scan a project and upsert its code todos, closing the ones whose comment is gone
+ * Returns { created, updated, reopened, closed, open, filesScanned, truncated, blame }
+ */
+async function syncProject(projectPath) {
+  const startTime = Date.now();
+  const scan = await scanProject(projectPath);
+
+  const { data: rows, error } = await from('dev_ai_todos')
+    .select('*')
+    .eq('project_id', projectPath)
+    .eq('source', SOURCE);
+
+  if (error) throw error;
+
+  const byAnchor = new Map((rows || []).map(row => [row.source_anchor, row]));
+  const seen = new Set();
+  const now = new Date().toISOString();
+  const result = { created: 0, updated: 0, reopened: 0, closed: 0 };
+
+  for (const comment of scan.comments) {
+    seen.add(comment.anchor);
+    const existing = byAnchor.get(comment.anchor);
+    const fields = {
+      description: describe(comment),
+      source_file: comment.file,
+      source_line: comment.line,
+      source_author: comment.author,
+      synced_at: now
+    };
+
+    if (!existing) {
+      const { error: insertError } = await from('dev_ai_todos').insert({
+        project_id: projectPath,
+        title: comment.text || `${comment.marker} in ${comment.file}:${comment.line}`,
+        ...fields,
+        category: comment.marker,
+        priority: MARKER_PRIORITY[comment.marker],
+        status: 'pending',
+        created_by: comment.author || SOURCE,
+        source: SOURCE,
+        source_anchor: comment.anchor
+      });
+      if (insertError) throw insertError;
+      result.created++;
+      continue;
+    }
+
+    // Auto-closed todos whose comment is back reopen; ones closed by hand stay closed
+    const reopen = existing.status === 'completed' && existing.auto_closed_at;
+    const moved = existing.source_file !== comment.file || existing.source_line !== comment.line ||
+      existing.source_author !== comment.author || existing.description !== fields.description;
+    if (!reopen && !moved) continue;
+
+    const { error: updateError } = await from('dev_ai_todos')
+      .update({
+        ...fields,
+        ...(reopen ? { status: 'pending', completed_at: null, auto_closed_at: null } : {})
+      })
+      .eq('id', existing.id);
+    if (updateError) throw updateError;
+    result[reopen ? 'reopened' : 'updated']++;
+  }
+
+  // A partial scan can't tell a removed comment from an unscanned one
+  if (!scan.truncated) {
+    const unreadable = new Set(scan.unreadable);
+    for (const row of rows || []) {
+      if (seen.has(row.source_anchor) || row.status === 'completed' || unreadable.has(row.source_file)) continue;
+
+      const { error: closeError } = await from('dev_ai_todos')
+        .update({ status: 'completed', completed_at: now, auto_closed_at: now, synced_at: now })
+        .eq('id', row.id);
+      if (closeError) throw closeError;
+      result.closed++;
+    }
+  }
+
+  const summary = {
+    ...result,
+    open: scan.comments.length,
+    filesScanned: scan.filesScanned,
+    truncated: scan.truncated,
+    blame: scan.blame
+  };
+
+  logger.info('Code todos synced', { projectPath, ...summary, duration: `${Date.now() - startTime}ms` });
+  return summary;
+}
+
+async function updateJobStatus(status, result = {}) {
+  try {
+    await from('dev_ai_clair_schedule')
+      .update({
+        status,
+        last_run_at: new Date().toISOString(),
+        last_result: result,
+        last_error: result.error || null
+      })
+      .eq('job_name', JOB_NAME);
+  } catch (err) {
+    logger.error('Failed to update job status', { error: err.message });
+  }
+}
+
+/**
+ * Scheduled scan of every registered project
+ */
+async function runCodeTodoJob() {
+  if (isRunning) {
+    logger.info('Code todo scan already running, skipping');
+    return null;
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+
+  try {
+    await updateJobStatus('running');
+
+    const { data: paths, error } = await from('dev_project_ids').select('path');
+    if (error) throw error;
+
+    const totals = { projects: 0, created: 0, reopened: 0, closed: 0, open: 0 };
+    for (const projectPath of [...new Set((paths || []).map(p => p.path).filter(Boolean))]) {
+      const stat = await fs.stat(path.resolve(projectPath)).catch(() => null);
+      if (!stat || !stat.isDirectory()) continue;
+
+      try {
+        const result = await syncProject(projectPath);
+        totals.projects++;
+        totals.created += result.created;
+        totals.reopened += result.reopened;
+        totals.closed += result.closed;
+        totals.open += result.open;
+      } catch (err) {
+        logger.error('Code todo scan failed', { projectPath, error: err.message });
+      }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    await updateJobStatus('completed', { success: true, ...totals, duration: `${duration}s` });
+    return totals;
+  } catch (error) {
+    logger.error('Code todo job failed', { error: error.message });
+    await updateJobStatus('failed', { error: error.message });
+    return { success: false, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
+
+function initCodeTodoScheduler() {
+  cron.schedule('30 */3 * * *', async () => {
+    await runCodeTodoJob();
+  }, { timezone: 'America/Los_Angeles' });
+
+  console.log('[CodeTodos] Scheduler ready - every 3 hours at :30');
+}
+
+module.exports = {
+  initCodeTodoScheduler,
+  runCodeTodoJob,
+  syncProject,
+  scanProject,
+  findComments,
+  blameLines,
+  MARKERS
+};
@@ -13,6 +13,7 @@ const cron = require('node-cron');
 const supabase = require('../../../shared/db');
 const ai = require('../lib/ai');
 const { syncAllProjects } = require('./projectSync');
+const links = require('./links');
 
 
 async function getRecentJournalEntries(projectPath) {
@@ -112,6 +113,8 @@ async function createVersionedDoc(projectPath, category, title, content) {
     .single();
 
   if (error) return null;
+
+  await links.trySyncLinks(projectPath, 'journal', data);
   return data;
 }
 
@@ -0,0 +1,603 @@
+/**
+ * Dependency Graph Service
+ *
+ * Module graph of a JavaScript/TypeScript project from its require/import statements:
+ * - Relative specifiers are resolved like Node does (exact file, added extension, folder index)
+ * - Package imports are listed per module, never followed
+ * - Entry points: package.json main/bin/scripts, tool config files (*.config.js), plus code files
+ *   named in config files and HTML (pm2 "script", <script src>) - they count as used even though
+ *   nothing imports them
+ * - Cycles are the strongly connected components of the graph (Tarjan), each with one example path
+ *
+ * Files are parsed once per size/mtime; the graph itself is cached for a minute.
+ * Used by the structure API, breakdown docs (diagram:dependencies) and the file status classifier.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { Logger } = require('../lib/logger');
+const { walkFiles } = require('./fileTree');
+
+const logger = new Logger('Clair:DependencyGraph');
+
+const CODE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.vue', '.svelte'];
+const MAX_FILES = 5000;
+const MAX_DEPTH = 12;
+const MAX_FILE_SIZE = 512 * 1024;
+const GRAPH_FRESH_MS = 60 * 1000;
+const DIAGRAM_MAX_NODES = 60;
+
+// Non-code files that can name entry points
+const REFERENCE_FILES = /(^|\/)(procfile|dockerfile|[^/]+\.(html?|ya?ml|json))$/i;
+const CONFIG_CODE_FILES = /(^|\/)([^/]+\.config|ecosystem(\.[^/]+)?)\.[cm]?[jt]s$/i;
+
+// projectPath -> Map(relPath -> { size, mtime, specifiers, references })
+const parsed = new Map();
+// projectPath -> { builtAt, graph }
+const graphs = new Map();
+// projectPath -> in-flight build
+const pending = new Map();
+
+function toPosix(relPath) {
+  return String(relPath || '').split(path.sep).join('/');
+}
+
+function isCodeFile(name) {
+  return CODE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+// Code that can come right before a string used as a module specifier
+const SPECIFIER_CONTEXT = /(?:\brequire\s*\(|\bimport\s*\(|\bfrom|\bimport)\s*$/;
+// Last code character before a / that starts a regex literal rather than a division
+const REGEX_PRECEDER = /(?:^|[(,=:[!&|?{};+\-*%<>~^]|\b(?:return|typeof|case|in|of|void|yield|await))\s*$/;
+const PACKAGE_NAME = /^(?:node:)?(?:@[\w.-]+\/)?[\w.-]+(?:\/[\w.@/-]*)?$/;
+
+/**
+ * Source with comments blanked out and every string / template / regex literal emptied,
+ * except strings in a specifier position (require('x'), import('x'), from 'x', import 'x')
+ * Line breaks are kept so positions stay roughly where they were
+ */
+function maskNonCode(source) {
+  let out = '';
+  let i = 0;
+  const blank = text => text.replace(/[^\n]/g, ' ');
+
+  while (i < source.length) {
+    const ch = source[i];
+    const next = source[i + 1];
+
+    if (ch === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      const stop = end === -1 ? source.length : end;
+      out += blank(source.slice(i, stop));
+      i = stop;
+    } else if (ch === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      out += blank(source.slice(i, stop));
+      i = stop;
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === '\\') j++;
+        else if (ch !== '`' && source[j] === '\n') break;
+        j++;
+      }
+      const body = source.slice(i + 1, j);
+      const keep = SPECIFIER_CONTEXT.test(out) && !body.includes('${');
+      out += ch + (keep ? body : blank(body)) + (j < source.length ? source[j] : '');
+      i = j + 1;
+    } else if (ch === '/' && REGEX_PRECEDER.test(out)) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < source.length && source[j] !== '\n' && (inClass || source[j] !== '/')) {
+        if (source[j] === '\\') j++;
+        else if (source[j] === '[') inClass = true;
+        else if (source[j] === ']') inClass = false;
+        j++;
+      }
+      out += '/' + blank(source.slice(i + 1, j)) + (j < source.length ? source[j] : '');
+      i = j + 1;
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Module specifiers used by a source file (require, import, export from, dynamic import)
+ * Comments and ordinary strings are ignored; bare specifiers must look like a package name
+ */
+function extractSpecifiers(source) {
+  const code = maskNonCode(source);
+  const specifiers = [];
+  const patterns = [
+    /\brequire\s*\(\s*['"`]([^'"`]+)['"`]\s*\)/g,
+    /\bimport\s*\(\s*['"`]([^'"`]+)['"`]\s*\)/g,
+    /\b(?:import|export)\s[^'"`;]*?\bfrom\s*['"`]([^'"`]+)['"`]/g,
+    /\bimport\s*['"`]([^'"`]+)['"`]/g
+  ];
+
+  for (const pattern of patterns) {
+    for (const match of code.matchAll(pattern)) {
+      const specifier = match[1].trim();
+      if (specifier.startsWith('.') || specifier.startsWith('/') || PACKAGE_NAME.test(specifier)) {
+        specifiers.push(specifier);
+      }
+    }
+  }
+
+  return [...new Set(specifiers)];
+}
+
+/**
+ * Code file paths quoted in a config/HTML file ('./src/worker.js', src="app.js")
+ */
+function extractFileReferences(source) {
+  const references = [];
+  for (const match of source.matchAll(/(?:['"`]|src=["'])(\.{0,2}\/?[\w./-]+\.(?:[cm]?[jt]sx?))['"`]/g)) {
+    references.push(match[1].startsWith('.') || match[1].startsWith('/') ? match[1] : `./${match[1]}`);
+  }
+  return references;
+}
+
+/**
+ * Project-relative path a relative specifier points at - null for packages or missing files
+ */
+function resolveSpecifier(fromRel, specifier, knownFiles) {
+  if (!specifier.startsWith('.') && !specifier.startsWith('/')) return null;
+
+  const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromRel), specifier.split('?')[0]));
+  if (base.startsWith('..')) return null;
+
+  const candidates = [base];
+  for (const ext of CODE_EXTENSIONS.concat('.json')) candidates.push(base + ext);
+  for (const ext of CODE_EXTENSIONS) candidates.push(`${base}/index${ext}`);
+
+  return candidates.find(candidate => knownFiles.has(candidate)) || null;
+}
+
+/**
+ * Package name of a bare specifier ('@scope/pkg/sub' -> '@scope/pkg', 'node:fs' -> 'node:fs')
+ */
+function packageName(specifier) {
+  if (specifier.startsWith('node:')) return specifier;
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Parse one file, reusing the last result while size and mtime match
+ */
+async function parseFile(root, relPath, cache) {
+  const fullPath = path.join(root, relPath);
+  const stat = await fs.stat(fullPath).catch(() => null);
+  if (!stat || stat.size > MAX_FILE_SIZE) return { specifiers: [], references: [] };
+
+  const cached = cache.get(relPath);
+  if (cached && cached.size === stat.size && cached.mtime === stat.mtimeMs) return cached;
+
+  let source = '';
+  try {
+    source = await fs.readFile(fullPath, 'utf-8');
+  } catch (err) {
+    return { specifiers: [], references: [] };
+  }
+
+  const code = isCodeFile(relPath);
+  const entry = {
+    size: stat.size,
+    mtime: stat.mtimeMs,
+    specifiers: code ? extractSpecifiers(source) : [],
+    references: !code || CONFIG_CODE_FILES.test(relPath) ? extractFileReferences(source) : []
+  };
+
+  cache.set(relPath, entry);
+  return entry;
+}
+
+/**
+ * Strongly connected components with more than one module (or a module importing itself)
+ * Each cycle: { modules, path } - path is one loop through the component, first module repeated at the end
+ */
+function findCycles(modules) {
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  // Iterative Tarjan - deep import chains would overflow the call stack
+  for (const start of Object.keys(modules)) {
+    if (index.has(start)) continue;
+
+    const work = [{ node: start, next: 0 }];
+    index.set(start, counter);
+    low.set(start, counter++);
+    stack.push(start);
+    onStack.add(start);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const edges = modules[frame.node].imports;
+
+      if (frame.next < edges.length) {
+        const target = edges[frame.next++];
+        if (!index.has(target)) {
+          index.set(target, counter);
+          low.set(target, counter++);
+          stack.push(target);
+          onStack.add(target);
+          work.push({ node: target, next: 0 });
+        } else if (onStack.has(target)) {
+          low.set(frame.node, Math.min(low.get(frame.node), index.get(target)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.node)));
+      }
+
+      if (low.get(frame.node) === index.get(frame.node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== frame.node);
+
+        const selfLoop = component.length === 1 && modules[component[0]].imports.includes(component[0]);
+        if (component.length > 1 || selfLoop) components.push(component.sort());
+      }
+    }
+  }
+
+  return components.map(component => ({ modules: component, path: cyclePath(component, modules) }));
+}
+
+/**
+ * One loop through a component, found by BFS back to its first module
+ */
+function cyclePath(component, modules) {
+  const members = new Set(component);
+  const start = component[0];
+  const previous = new Map();
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const target of modules[current].imports) {
+      if (!members.has(target)) continue;
+      if (target === start) {
+        const loop = [start];
+        for (let node = current; node !== start; node = previous.get(node)) loop.splice(1, 0, node);
+        return [...loop, start];
+      }
+      if (!previous.has(target)) {
+        previous.set(target, current);
+        queue.push(target);
+      }
+    }
+  }
+
+  return [start, start];
+}
+
+/**
+ * Walk the project and build the graph
+ * Returns { modules: { relPath: { imports, importedBy, packages, unresolved } }, entries, cycles, packages, builtAt }
+ */
+async function buildGraph(projectPath) {
+  const root = path.resolve(projectPath);
+  const stat = await fs.stat(root).catch(() => null);
+  if (!stat || !stat.isDirectory()) {
+    const error = new Error(`Project path not found: ${projectPath}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const startTime = Date.now();
+  const files = (await walkFiles(root, {
+    match: (relPath, name) => isCodeFile(name) || REFERENCE_FILES.test(toPosix(relPath)),
+    maxDepth: MAX_DEPTH,
+    maxFiles: MAX_FILES
+  })).map(toPosix);
+
+  const codeFiles = files.filter(isCodeFile);
+  const knownFiles = new Set(files);
+  const cache = parsed.get(projectPath) || new Map();
+  parsed.set(projectPath, cache);
+
+  const modules = {};
+  for (const relPath of codeFiles) {
+    modules[relPath] = { imports: [], importedBy: [], packages: [], unresolved: [] };
+  }
+
+  const entries = new Set();
+
+  const pkg = await fs.readFile(path.join(root, 'package.json'), 'utf-8').then(JSON.parse).catch(() => null);
+  if (pkg) {
+    const named = [pkg.main, pkg.module, pkg.browser]
+      .concat(typeof pkg.bin === 'string' ? [pkg.bin] : Object.values(pkg.bin || {}))
+      .concat(Object.values(pkg.scripts || {}).flatMap(cmd => String(cmd).split(/\s+/)))
+      .filter(entry => typeof entry === 'string');
+
+    for (const entry of named) {
+      const resolved = resolveSpecifier('', entry.startsWith('.') ? entry : `./${entry}`, knownFiles);
+      if (resolved && modules[resolved]) entries.add(resolved);
+    }
+  }
+
+  for (const relPath of files) {
+    const { specifiers, references } = await parseFile(root, relPath, cache);
+
+    for (const reference of references) {
+      const resolved = resolveSpecifier(relPath, reference, knownFiles);
+      if (resolved && resolved !== relPath && modules[resolved]) entries.add(resolved);
+    }
+
+    const mod = modules[relPath];
+    if (!mod) continue;
+
+    // Tool configs (pm2, webpack, jest...) are loaded by the tool, not imported
+    if (CONFIG_CODE_FILES.test(relPath)) entries.add(relPath);
+
+    for (const specifier of specifiers) {
+      if (!specifier.startsWith('.') && !specifier.startsWith('/')) {
+        const name = packageName(specifier);
+        if (!mod.packages.includes(name)) mod.packages.push(name);
+        continue;
+      }
+
+      const resolved = resolveSpecifier(relPath, specifier, knownFiles);
+      if (!resolved) {
+        mod.unresolved.push(specifier);
+      } else if (modules[resolved] && !mod.imports.includes(resolved)) {
+        mod.imports.push(resolved);
+        modules[resolved].importedBy.push(relPath);
+      }
+    }
+  }
+
+  for (const mod of Object.values(modules)) {
+    mod.imports.sort();
+    mod.importedBy.sort();
+    mod.packages.sort();
+  }
+
+  const packages = {};
+  for (const mod of Object.values(modules)) {
+    for (const name of mod.packages) packages[name] = (packages[name] || 0) + 1;
+  }
+
+  const graph = {
+    modules,
+    entries: [...entries].sort(),
+    cycles: findCycles(modules),
+    packages,
+    truncated: files.length >= MAX_FILES,
+    builtAt: new Date().toISOString()
+  };
+
+  // Forget parse results for files that are gone
+  for (const relPath of cache.keys()) {
+    if (!knownFiles.has(relPath)) cache.delete(relPath);
+  }
+
+  logger.info('Dependency graph built', {
+    projectPath,
+    modules: codeFiles.length,
+    cycles: graph.cycles.length,
+    duration: `${Date.now() - startTime}ms`
+  });
+
+  return graph;
+}
+
+/**
+ * The project's graph, rebuilt when older than GRAPH_FRESH_MS (options.fresh forces it)
+ */
+async function getGraph(projectPath, { fresh = false } = {}) {
+  const cached = graphs.get(projectPath);
+  if (!fresh && cached && Date.now() - cached.builtAt < GRAPH_FRESH_MS) return cached.graph;
+
+  if (!pending.has(projectPath)) {
+    pending.set(projectPath, buildGraph(projectPath)
+      .then(graph => {
+        graphs.set(projectPath, { builtAt: Date.now(), graph });
+        return graph;
+      })
+      .finally(() => pending.delete(projectPath)));
+  }
+
+  return pending.get(projectPath);
+}
+
+/**
+ * Modules that import relPath - directly, or through other modules when transitive
+ */
+function getDependents(graph, relPath, { transitive = false } = {}) {
+  const target = toPosix(relPath);
+  if (!graph.modules[target]) return null;
+  if (!transitive) return graph.modules[target].importedBy;
+
+  const seen = new Set();
+  const queue = [...graph.modules[target].importedBy];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (seen.has(current) || current === target) continue;
+    seen.add(current);
+    queue.push(...graph.modules[current].importedBy);
+  }
+
+  return [...seen].sort();
+}
+
+/**
+ * Code files that are imported by another file or named as an entry point
+ */
+function getReferencedFiles(graph) {
+  const referenced = new Set(graph.entries);
+  for (const [relPath, mod] of Object.entries(graph.modules)) {
+    if (mod.importedBy.some(importer => importer !== relPath)) referenced.add(relPath);
+  }
+  return referenced;
+}
+
+/**
+ * Everything known about one module
+ */
+function describeModule(graph, relPath) {
+  const target = toPosix(relPath);
+  const mod = graph.modules[target];
+  if (!mod) return null;
+
+  return {
+    path: target,
+    imports: mod.imports,
+    importedBy: mod.importedBy,
+    dependents: getDependents(graph, target, { transitive: true }),
+    packages: mod.packages,
+    unresolved: mod.unresolved,
+    isEntry: graph.entries.includes(target),
+    cycles: graph.cycles.filter(cycle => cycle.modules.includes(target))
+  };
+}
+
+/**
+ * Counts plus the most used modules, unused modules and cycles
+ */
+function summarizeGraph(graph, { limit = 10 } = {}) {
+  const modules = Object.entries(graph.modules);
+  const referenced = getReferencedFiles(graph);
+
+  return {
+    modules: modules.length,
+    edges: modules.reduce((sum, [, mod]) => sum + mod.imports.length, 0),
+    entries: graph.entries,
+    cycles: graph.cycles,
+    mostUsed: modules
+      .filter(([, mod]) => mod.importedBy.length > 0)
+      .sort((a, b) => b[1].importedBy.length - a[1].importedBy.length || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([relPath, mod]) => ({ path: relPath, importedBy: mod.importedBy.length })),
+    unused: modules.map(([relPath]) => relPath).filter(relPath => !referenced.has(relPath)),
+    packages: Object.entries(graph.packages)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([name, usedBy]) => ({ name, usedBy })),
+    truncated: graph.truncated,
+    builtAt: graph.builtAt
+  };
+}
+
+function mermaidId(value) {
+  return `m_${String(value).replace(/[^A-Za-z0-9_]/g, '_')}`;
+}
+
+function mermaidLabel(text) {
+  return `"${String(text).replace(/"/g, '#quot;')}"`;
+}
+
+/**
+ * Mermaid flowchart of the graph - module by module when small enough, otherwise
+ * folder to folder (edge labels count the imports). Modules in a cycle are highlighted.
+ */
+function dependencyDiagram(graph, { maxNodes = DIAGRAM_MAX_NODES } = {}) {
+  const modules = Object.keys(graph.modules).filter(relPath =>
+    graph.modules[relPath].imports.length > 0 || graph.modules[relPath].importedBy.length > 0
+  );
+  if (modules.length === 0) return null;
+
+  const inCycle = new Set(graph.cycles.flatMap(cycle => cycle.modules));
+  const lines = ['flowchart LR'];
+
+  if (modules.length <= maxNodes) {
+    for (const relPath of modules.sort()) {
+      lines.push(`  ${mermaidId(relPath)}[${mermaidLabel(relPath)}]${inCycle.has(relPath) ? ':::cycle' : ''}`);
+    }
+    for (const relPath of modules) {
+      for (const target of graph.modules[relPath].imports) {
+        lines.push(`  ${mermaidId(relPath)} --> ${mermaidId(target)}`);
+      }
+    }
+  } else {
+    const folderOf = relPath => path.posix.dirname(relPath) === '.' ? '(root)' : path.posix.dirname(relPath);
+    const folders = new Map();
+    const edges = new Map();
+
+    for (const relPath of modules) {
+      const folder = folderOf(relPath);
+      const entry = folders.get(folder) || { modules: 0, cycle: false };
+      entry.modules++;
+      entry.cycle = entry.cycle || inCycle.has(relPath);
+      folders.set(folder, entry);
+
+      for (const target of graph.modules[relPath].imports) {
+        const targetFolder = folderOf(target);
+        if (targetFolder === folder) continue;
+        const key = `${folder}\n${targetFolder}`;
+        edges.set(key, (edges.get(key) || 0) + 1);
+      }
+    }
+
+    for (const [folder, entry] of [...folders.entries()].sort()) {
+      lines.push(`  ${mermaidId(folder)}[${mermaidLabel(`${folder}/ (${entry.modules})`)}]${entry.cycle ? ':::cycle' : ''}`);
+    }
+    for (const [key, count] of [...edges.entries()].sort()) {
+      const [source, target] = key.split('\n');
+      lines.push(`  ${mermaidId(source)} -->|${count}| ${mermaidId(target)}`);
+    }
+  }
+
+  if (inCycle.size > 0) {
+    lines.push('  classDef cycle fill:#ffebe9,stroke:#cf222e');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Plain-text module list for doc generation prompts
+ */
+function formatGraphForPrompt(graph, { maxModules = 150 } = {}) {
+  const lines = Object.entries(graph.modules)
+    .filter(([, mod]) => mod.imports.length > 0 || mod.importedBy.length > 0 || mod.packages.length > 0)
+    .slice(0, maxModules)
+    .map(([relPath, mod]) => {
+      const parts = [];
+      if (mod.imports.length > 0) parts.push(`imports ${mod.imports.join(', ')}`);
+      if (mod.packages.length > 0) parts.push(`packages ${mod.packages.join(', ')}`);
+      if (mod.importedBy.length > 0) parts.push(`used by ${mod.importedBy.length}`);
+      return `- ${relPath}: ${parts.join('; ')}`;
+    });
+
+  if (graph.cycles.length > 0) {
+    lines.push('', 'Circular dependencies:');
+    graph.cycles.forEach(cycle => lines.push(`- ${cycle.path.join(' -> ')}`));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  buildGraph,
+  getGraph,
+  getDependents,
+  getReferencedFiles,
+  describeModule,
+  summarizeGraph,
+  dependencyDiagram,
+  formatGraphForPrompt,
+  findCycles,
+  extractSpecifiers,
+  resolveSpecifier,
+  CODE_EXTENSIONS
+};
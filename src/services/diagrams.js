@@ -0,0 +1,572 @@
+/**
+ * Diagrams Service
+ *
+ * Builds Mermaid diagrams from data Clair already has - no AI involved,
+ * so the same inputs always give the same diagram:
+ * - components: folder graph from the structure tree
+ * - er: entity-relationship diagram from dev_ai_schemas
+ * - dataflow: entry file -> mounted routes -> services -> tables
+ * - dependencies: module graph from require/import statements (dependencyGraph)
+ *
+ * Schematic docs carry <!-- diagram:<kind> --> markers that get replaced
+ * with the generated ```mermaid blocks.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const { buildTree } = require('./fileTree');
+const dependencyGraph = require('./dependencyGraph');
+
+const logger = new Logger('Clair:Diagrams');
+
+const DIAGRAM_KINDS = ['components', 'er', 'dataflow', 'dependencies'];
+
+const DIAGRAM_TITLES = {
+  components: 'Component Map',
+  er: 'Data Model',
+  dataflow: 'Data Flow',
+  dependencies: 'Module Dependencies'
+};
+
+const LIMITS = {
+  componentNodes: 60,
+  schemas: 100,
+  modules: 200
+};
+
+/**
+ * Mermaid-safe node id from any string
+ */
+function nodeId(prefix, value) {
+  return `${prefix}_${String(value).replace(/[^A-Za-z0-9_]/g, '_')}`;
+}
+
+/**
+ * ER entity name (schema-qualified names keep only the table part)
+ */
+function entityName(table) {
+  return String(table).split('.').pop().replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ * Quote a label for flowchart nodes
+ */
+function label(text) {
+  return `"${String(text).replace(/"/g, '#quot;')}"`;
+}
+
+// ============================================
+// Component graph (structure tree)
+// ============================================
+
+/**
+ * Folder graph - directories only, labelled with file count and description
+ * descMap: { 'src/routes': 'Express routes', ... } (project-relative paths)
+ */
+function componentGraph(tree, descMap = {}) {
+  const lines = ['flowchart TD'];
+  const edges = [];
+  let count = 0;
+
+  function visit(node, relPath, parentId) {
+    if (count >= LIMITS.componentNodes) return;
+    count++;
+
+    const id = relPath ? nodeId('dir', relPath) : 'root';
+    const files = (node.children || []).filter(c => c.type === 'file').length;
+    const desc = relPath ? descMap[relPath] : null;
+
+    let text = `${node.name}/`;
+    if (files > 0) text += `<br/>${files} file${files === 1 ? '' : 's'}`;
+    if (desc) text += `<br/><i>${desc.length > 60 ? `${desc.slice(0, 57)}...` : desc}</i>`;
+
+    lines.push(`  ${id}[${label(text)}]`);
+    if (parentId) edges.push(`  ${parentId} --> ${id}`);
+
+    (node.children || [])
+      .filter(c => c.type === 'directory')
+      .forEach(child => visit(child, relPath ? `${relPath}/${child.name}` : child.name, id));
+  }
+
+  visit(tree, '', null);
+  return [...lines, ...edges].join('\n');
+}
+
+// ============================================
+// ER diagram (dev_ai_schemas)
+// ============================================
+
+/**
+ * Parse a foreign key reference: { table, column } | 'table(col)' | 'table.col'
+ */
+function parseReference(ref) {
+  if (!ref) return null;
+  if (typeof ref === 'object') {
+    const table = ref.table || ref.foreign_table || ref.references_table;
+    return table ? { table, column: ref.column || ref.foreign_column || 'id' } : null;
+  }
+  const match = String(ref).match(/^\s*([\w.]+?)\s*(?:\(\s*(\w+)\s*\)|\.(\w+))?\s*$/);
+  if (!match) return null;
+  return { table: match[1], column: match[2] || match[3] || 'id' };
+}
+
+/**
+ * Columns from CREATE TABLE style SQL
+ */
+function parseSqlColumns(sql) {
+  const columns = [];
+  const body = sql.includes('(') ? sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')')) : sql;
+
+  for (const raw of body.split(/,\s*\n|\n/)) {
+    const line = raw.trim().replace(/,$/, '');
+    if (!line || line.startsWith('--')) continue;
+
+    const tableFk = line.match(/^(?:CONSTRAINT\s+\w+\s+)?FOREIGN KEY\s*\(\s*(\w+)\s*\)\s*REFERENCES\s+([\w.]+)\s*\(\s*(\w+)\s*\)/i);
+    if (tableFk) {
+      const col = columns.find(c => c.name === tableFk[1]);
+      if (col) col.references = { table: tableFk[2], column: tableFk[3] };
+      continue;
+    }
+
+    const tablePk = line.match(/^(?:CONSTRAINT\s+\w+\s+)?PRIMARY KEY\s*\(([^)]+)\)/i);
+    if (tablePk) {
+      tablePk[1].split(',').map(c => c.trim()).forEach(name => {
+        const col = columns.find(c => c.name === name);
+        if (col) col.primaryKey = true;
+      });
+      continue;
+    }
+
+    if (/^(CONSTRAINT|UNIQUE|CHECK|INDEX|KEY)\b/i.test(line)) continue;
+
+    const col = line.match(/^"?(\w+)"?\s+([A-Za-z][\w ]*?)(?:\(|\s|$)/);
+    if (!col) continue;
+
+    const fk = line.match(/REFERENCES\s+([\w.]+)\s*\(\s*(\w+)\s*\)/i);
+    columns.push({
+      name: col[1],
+      type: col[2],
+      primaryKey: /PRIMARY KEY/i.test(line),
+      references: fk ? { table: fk[1], column: fk[2] } : null
+    });
+  }
+
+  return columns;
+}
+
+/**
+ * Normalize the many shapes schema_definition shows up in
+ * Returns [{ name, type, primaryKey, references }]
+ */
+function normalizeColumns(definition) {
+  if (!definition) return [];
+
+  if (typeof definition === 'string') {
+    try {
+      return normalizeColumns(JSON.parse(definition));
+    } catch (err) {
+      return parseSqlColumns(definition);
+    }
+  }
+
+  if (Array.isArray(definition)) {
+    return definition
+      .map(c => {
+        if (typeof c === 'string') return { name: c, type: 'text', primaryKey: false, references: null };
+        const name = c.name || c.column_name || c.column;
+        if (!name) return null;
+        return {
+          name,
+          type: c.type || c.data_type || c.udt_name || 'text',
+          primaryKey: Boolean(c.primary_key || c.primaryKey || c.is_primary || c.pk),
+          references: parseReference(c.references || c.foreign_key || c.fk)
+        };
+      })
+      .filter(Boolean);
+  }
+
+  if (typeof definition === 'object') {
+    if (definition.columns) return normalizeColumns(definition.columns);
+    return Object.entries(definition).map(([name, value]) => (
+      typeof value === 'object' && value !== null
+        ? normalizeColumns([{ name, ...value }])[0]
+        : { name, type: String(value), primaryKey: false, references: null }
+    ));
+  }
+
+  return [];
+}
+
+/**
+ * Mermaid ER attribute types must be a single word
+ */
+const TYPE_ALIASES = {
+  'character varying': 'varchar',
+  'timestamp with time zone': 'timestamptz',
+  'timestamp without time zone': 'timestamp',
+  'double precision': 'double'
+};
+
+function erType(type) {
+  const normalized = String(type || 'text').trim().toLowerCase().replace(/\(.*$/, '').trim();
+  if (TYPE_ALIASES[normalized]) return TYPE_ALIASES[normalized];
+  const word = normalized.split(/\s/)[0];
+  return word.replace(/[^\w]/g, '_') || 'text';
+}
+
+/**
+ * ER diagram from schema rows ({ table_name, schema_definition })
+ */
+function erDiagram(schemas) {
+  // One entry per table (last definition wins, like the database routes)
+  const tables = new Map();
+  schemas.forEach(s => tables.set(s.table_name, normalizeColumns(s.schema_definition)));
+
+  const names = [...tables.keys()].sort();
+  const lines = ['erDiagram'];
+  const relations = [];
+
+  for (const table of names) {
+    const columns = tables.get(table);
+    const entity = entityName(table);
+
+    lines.push(`  ${entity} {`);
+    columns.forEach(col => {
+      const keys = [col.primaryKey && 'PK', col.references && 'FK'].filter(Boolean).join(',');
+      lines.push(`    ${erType(col.type)} ${col.name.replace(/[^\w]/g, '_')}${keys ? ` ${keys}` : ''}`);
+    });
+    lines.push('  }');
+
+    columns
+      .filter(col => col.references)
+      .forEach(col => {
+        const target = entityName(col.references.table);
+        relations.push(`  ${entity} }o--|| ${target} : "${col.name}"`);
+      });
+  }
+
+  return [...lines, ...relations].join('\n');
+}
+
+// ============================================
+// Data flow (entry -> routes -> services -> tables)
+// ============================================
+
+const REQUIRE_RE = /require\(\s*['"`](\.{1,2}\/[^'"`]+)['"`]\s*\)/g;
+const TABLE_RE = /\bfrom\(\s*['"`]([\w.]+)['"`]\s*\)/g;
+
+/**
+ * Resolve a relative require to a .js file inside the project
+ */
+async function resolveModule(projectRoot, fromFile, request) {
+  const base = path.resolve(path.dirname(fromFile), request);
+  if (!base.startsWith(projectRoot + path.sep)) return null;
+
+  for (const candidate of [base, `${base}.js`, path.join(base, 'index.js')]) {
+    try {
+      const stat = await fs.stat(candidate);
+      if (stat.isFile()) return candidate;
+    } catch (err) {
+      // try next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Entry file: package.json "main", else index.js / server.js / app.js
+ */
+async function findEntry(projectRoot) {
+  const candidates = [];
+  try {
+    const pkg = JSON.parse(await fs.readFile(path.join(projectRoot, 'package.json'), 'utf-8'));
+    if (pkg.main) candidates.push(pkg.main);
+  } catch (err) {
+    // no package.json
+  }
+  candidates.push('index.js', 'server.js', 'app.js', 'src/index.js', 'src/server.js', 'src/app.js');
+
+  for (const candidate of candidates) {
+    const full = await resolveModule(projectRoot, path.join(projectRoot, 'index.js'), `./${candidate}`);
+    if (full) return full;
+  }
+  return null;
+}
+
+/**
+ * Mounted routers in the entry file: [{ mount, file }]
+ * Handles app.use('/x', require('./r')) and const r = require('./r'); app.use('/x', r)
+ */
+async function findMounts(projectRoot, entryFile, source) {
+  const vars = {};
+  for (const m of source.matchAll(/(?:const|let|var)\s+(\w+)\s*=\s*require\(\s*['"`](\.{1,2}\/[^'"`]+)['"`]\s*\)/g)) {
+    vars[m[1]] = m[2];
+  }
+
+  const mounts = [];
+  const useRe = /\b\w+\.use\(\s*['"`]([^'"`]+)['"`]\s*,\s*(?:require\(\s*['"`](\.{1,2}\/[^'"`]+)['"`]\s*\)|(\w+))/g;
+  for (const m of source.matchAll(useRe)) {
+    const request = m[2] || vars[m[3]];
+    if (!request) continue;
+    const file = await resolveModule(projectRoot, entryFile, request);
+    if (file) mounts.push({ mount: m[1], file });
+  }
+  return mounts;
+}
+
+/**
+ * Walk relative requires from the routes - { file: { requires, tables } }
+ */
+async function scanModules(projectRoot, startFiles) {
+  const modules = {};
+  const queue = [...startFiles];
+
+  while (queue.length > 0 && Object.keys(modules).length < LIMITS.modules) {
+    const file = queue.shift();
+    if (modules[file]) continue;
+
+    let source = '';
+    try {
+      source = await fs.readFile(file, 'utf-8');
+    } catch (err) {
+      modules[file] = { requires: [], tables: [] };
+      continue;
+    }
+
+    const requires = [];
+    for (const m of source.matchAll(REQUIRE_RE)) {
+      const resolved = await resolveModule(projectRoot, file, m[1]);
+      if (resolved && !requires.includes(resolved)) requires.push(resolved);
+    }
+
+    const tables = [...new Set([...source.matchAll(TABLE_RE)].map(m => m[1]))].sort();
+
+    modules[file] = { requires, tables };
+    requires.forEach(r => { if (!modules[r]) queue.push(r); });
+  }
+
+  return modules;
+}
+
+/**
+ * Worker data flow diagram, or null when there is no entry file / no routes
+ */
+async function dataFlowDiagram(projectPath) {
+  const projectRoot = path.resolve(projectPath);
+  const entryFile = await findEntry(projectRoot);
+  if (!entryFile) return null;
+
+  const mounts = await findMounts(projectRoot, entryFile, await fs.readFile(entryFile, 'utf-8'));
+  if (mounts.length === 0) return null;
+
+  const modules = await scanModules(projectRoot, mounts.map(m => m.file));
+  const rel = file => path.relative(projectRoot, file).split(path.sep).join('/');
+
+  // Only keep non-route modules that (eventually) touch a table
+  const reaches = {};
+  function touchesTable(file, seen = new Set()) {
+    if (reaches[file] !== undefined) return reaches[file];
+    if (seen.has(file)) return false;
+    seen.add(file);
+    const mod = modules[file];
+    const result = Boolean(mod) && (mod.tables.length > 0 || mod.requires.some(r => touchesTable(r, seen)));
+    reaches[file] = result;
+    return result;
+  }
+
+  const routeFiles = new Set(mounts.map(m => m.file));
+  const serviceFiles = Object.keys(modules)
+    .filter(f => !routeFiles.has(f) && touchesTable(f))
+    .sort();
+  const tables = new Set();
+
+  const lines = ['flowchart LR', `  client([Client])`];
+  const edges = [];
+
+  lines.push('  subgraph Routes');
+  mounts.forEach(m => {
+    const id = nodeId('route', rel(m.file));
+    lines.push(`    ${id}[${label(`${m.mount}<br/>${rel(m.file)}`)}]`);
+    edges.push(`  client --> ${id}`);
+  });
+  lines.push('  end');
+
+  if (serviceFiles.length > 0) {
+    lines.push('  subgraph Modules');
+    serviceFiles.forEach(f => lines.push(`    ${nodeId('mod', rel(f))}[${label(rel(f))}]`));
+    lines.push('  end');
+  }
+
+  const keep = new Set([...routeFiles, ...serviceFiles]);
+  for (const file of [...new Set(mounts.map(m => m.file)), ...serviceFiles]) {
+    const id = routeFiles.has(file) ? nodeId('route', rel(file)) : nodeId('mod', rel(file));
+    const mod = modules[file] || { requires: [], tables: [] };
+
+    mod.requires
+      .filter(r => keep.has(r) && !routeFiles.has(r))
+      .sort()
+      .forEach(r => edges.push(`  ${id} --> ${nodeId('mod', rel(r))}`));
+
+    mod.tables.forEach(t => {
+      tables.add(t);
+      edges.push(`  ${id} --> ${nodeId('tbl', t)}`);
+    });
+  }
+
+  if (tables.size > 0) {
+    lines.push('  subgraph Tables');
+    [...tables].sort().forEach(t => lines.push(`    ${nodeId('tbl', t)}[(${label(t)})]`));
+    lines.push('  end');
+  }
+
+  return [...lines, ...[...new Set(edges)]].join('\n');
+}
+
+// ============================================
+// Entry points
+// ============================================
+
+async function loadSchemas(tablePrefix) {
+  let query = from('dev_ai_schemas')
+    .select('table_name, schema_definition')
+    .order('table_name')
+    .limit(LIMITS.schemas);
+
+  if (tablePrefix) {
+    query = query.like('table_name', `${tablePrefix}%`);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+async function loadDescriptions(projectPath) {
+  const { data } = await from('dev_ai_folder_descriptions')
+    .select('folder_path, description')
+    .eq('project_id', projectPath);
+
+  const descMap = {};
+  data?.forEach(d => {
+    descMap[d.folder_path] = d.description;
+  });
+  return descMap;
+}
+
+/**
+ * Build one diagram kind - returns mermaid source or null (no data)
+ */
+async function buildDiagram(kind, projectPath, { tablePrefix, depth = 3 } = {}) {
+  switch (kind) {
+    case 'components': {
+      const [tree, descMap] = await Promise.all([
+        buildTree(projectPath, depth),
+        loadDescriptions(projectPath)
+      ]);
+      return tree.error ? null : componentGraph(tree, descMap);
+    }
+    case 'er': {
+      const schemas = await loadSchemas(tablePrefix);
+      return schemas.length > 0 ? erDiagram(schemas) : null;
+    }
+    case 'dataflow':
+      return dataFlowDiagram(projectPath);
+    case 'dependencies':
+      return dependencyGraph.dependencyDiagram(await dependencyGraph.getGraph(projectPath));
+    default:
+      throw new Error(`Unknown diagram kind. Must be one of: ${DIAGRAM_KINDS.join(', ')}`);
+  }
+}
+
+/**
+ * Build several kinds at once - { components, er, dataflow, dependencies } (null = no data)
+ * A failing kind is logged and left null so the others still render
+ */
+async function buildDiagrams(projectPath, options = {}) {
+  const kinds = options.kinds || DIAGRAM_KINDS;
+  const diagrams = {};
+
+  for (const kind of kinds) {
+    try {
+      diagrams[kind] = await buildDiagram(kind, projectPath, options);
+    } catch (err) {
+      logger.warn('Diagram failed', { kind, projectPath, error: err.message });
+      diagrams[kind] = null;
+    }
+  }
+
+  return diagrams;
+}
+
+/**
+ * Replace <!-- diagram:kind --> markers with mermaid blocks.
+ * Diagrams whose marker is missing are appended under "## Diagrams".
+ */
+function injectDiagrams(content, diagrams) {
+  const used = new Set();
+
+  let result = content.replace(/^[ \t]*<!--\s*diagram:(\w+)\s*-->[ \t]*$/gm, (marker, kind) => {
+    if (!diagrams[kind]) return '';
+    used.add(kind);
+    return `\`\`\`mermaid\n${diagrams[kind]}\n\`\`\``;
+  });
+
+  const missing = DIAGRAM_KINDS.filter(kind => diagrams[kind] && !used.has(kind));
+  if (missing.length > 0) {
+    result = `${result.trimEnd()}\n\n## Diagrams\n\n${missing.map(kind =>
+      `### ${DIAGRAM_TITLES[kind]}\n\n\`\`\`mermaid\n${diagrams[kind]}\n\`\`\``
+    ).join('\n\n')}\n`;
+  }
+
+  return result;
+}
+
+/**
+ * Mermaid blocks in a markdown doc - [{ index, heading, mermaid }]
+ */
+function extractDiagrams(markdown) {
+  const blocks = [];
+  let heading = null;
+  let inBlock = false;
+  let fence = null;
+  let buffer = [];
+
+  for (const line of (markdown || '').split('\n')) {
+    if (!inBlock) {
+      const h = line.match(/^#{1,6}\s+(.+)$/);
+      if (h) heading = h[1].trim();
+
+      const open = line.match(/^(\s*)(`{3,}|~{3,})\s*mermaid\s*$/);
+      if (open) {
+        inBlock = true;
+        fence = open[2];
+        buffer = [];
+      }
+    } else if (line.trim() === fence) {
+      blocks.push({ index: blocks.length + 1, heading, mermaid: buffer.join('\n') });
+      inBlock = false;
+    } else {
+      buffer.push(line);
+    }
+  }
+
+  return blocks;
+}
+
+module.exports = {
+  buildDiagram,
+  buildDiagrams,
+  injectDiagrams,
+  extractDiagrams,
+  componentGraph,
+  erDiagram,
+  dataFlowDiagram,
+  normalizeColumns,
+  findEntry,
+  findMounts,
+  resolveModule,
+  DIAGRAM_KINDS,
+  DIAGRAM_TITLES
+};
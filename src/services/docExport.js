@@ -0,0 +1,557 @@
+/**
+ * Doc Export Service
+ *
+ * Turns markdown docs into printable output - no external services:
+ * - Standalone HTML (inline CSS, table of contents, highlighted code, print page breaks)
+ * - PDF (rendered with pdfkit from the markdown tokens)
+ * - Manual: all published how-tos of a project bundled into one file
+ *
+ * Page breaks: every doc in a bundle starts on a new page, and a
+ * <!-- pagebreak --> line inside markdown forces one.
+ */
+
+const fs = require('fs');
+const { Marked } = require('marked');
+const hljs = require('highlight.js');
+const PDFDocument = require('pdfkit');
+const { from } = require('../lib/db');
+
+const PAGE_BREAK = /^<!--\s*pagebreak\s*-->\s*$/i;
+
+const CODE_COLORS = {
+  keyword: '#a626a4',
+  built_in: '#c18401',
+  type: '#c18401',
+  literal: '#0184bb',
+  number: '#986801',
+  string: '#50a14f',
+  regexp: '#50a14f',
+  comment: '#a0a1a7',
+  title: '#4078f2',
+  attr: '#986801',
+  variable: '#e45649',
+  meta: '#4078f2'
+};
+
+/**
+ * Published how-to guides for a project (the user-facing docs)
+ * Publishing requires review approval, so drafts and AI output never show up here
+ */
+async function getPublishedGuides(projectPath) {
+  const { data, error } = await from('dev_ai_generated_docs')
+    .select('*')
+    .eq('project_id', projectPath)
+    .in('doc_type', ['howto', 'guide'])
+    .eq('status', 'published')
+    .order('title');
+
+  if (error) throw error;
+  return data || [];
+}
+
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/<[^>]+>/g, '')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .slice(0, 80) || 'section';
+}
+
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Highlight code, falling back to auto-detection for unknown languages
+ */
+function highlight(code, lang) {
+  if (lang && hljs.getLanguage(lang)) {
+    return hljs.highlight(code, { language: lang, ignoreIllegals: true }).value;
+  }
+  return hljs.highlightAuto(code).value;
+}
+
+/**
+ * Render one doc's markdown to HTML, collecting headings for the TOC
+ * Heading ids are prefixed per doc so bundles don't collide
+ */
+function renderMarkdown(markdown, idPrefix = '') {
+  const headings = [];
+  const used = {};
+
+  const marked = new Marked({
+    renderer: {
+      heading(text, level, raw) {
+        let id = `${idPrefix}${slugify(raw)}`;
+        used[id] = (used[id] || 0) + 1;
+        if (used[id] > 1) id += `-${used[id]}`;
+        headings.push({ level, text: raw, id });
+        return `<h${level} id="${id}">${text}</h${level}>\n`;
+      },
+      code(code, infostring) {
+        const lang = (infostring || '').match(/^\S*/)?.[0];
+        if (lang === 'mermaid') {
+          return `<pre class="mermaid">${escapeHtml(code)}</pre>\n`;
+        }
+        return `<pre><code class="hljs${lang ? ` language-${escapeHtml(lang)}` : ''}">${highlight(code, lang)}</code></pre>\n`;
+      },
+      // Raw HTML in a doc is shown as text - only the page-break comment becomes markup
+      html(html) {
+        return PAGE_BREAK.test(html.trim()) ? '<div class="page-break"></div>\n' : escapeHtml(html);
+      }
+    }
+  });
+
+  return { html: marked.parse(markdown || ''), headings };
+}
+
+function buildToc(entries) {
+  const items = entries
+    .filter(h => h.level <= 3)
+    .map(h => `<li class="toc-l${h.level}"><a href="#${h.id}">${escapeHtml(h.text)}</a></li>`)
+    .join('\n');
+  return `<nav class="toc"><h2>Contents</h2><ul>\n${items}\n</ul></nav>`;
+}
+
+const HTML_STYLES = `
+  :root { --text: #1f2328; --muted: #59636e; --border: #d1d9e0; --code-bg: #f6f8fa; --accent: #0969da; }
+  * { box-sizing: border-box; }
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: var(--text); line-height: 1.6; max-width: 860px; margin: 0 auto; padding: 2rem; }
+  h1, h2, h3, h4 { line-height: 1.25; margin-top: 1.6em; page-break-after: avoid; }
+  h1 { border-bottom: 1px solid var(--border); padding-bottom: .3em; }
+  a { color: var(--accent); text-decoration: none; }
+  code { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: .9em; background: var(--code-bg); padding: .15em .35em; border-radius: 4px; }
+  pre { background: var(--code-bg); padding: 1rem; border-radius: 6px; overflow-x: auto; page-break-inside: avoid; }
+  pre code { background: none; padding: 0; }
+  table { border-collapse: collapse; width: 100%; page-break-inside: avoid; }
+  th, td { border: 1px solid var(--border); padding: .4em .7em; text-align: left; }
+  th { background: var(--code-bg); }
+  blockquote { margin: 0; padding: 0 1em; color: var(--muted); border-left: 4px solid var(--border); }
+  .meta { color: var(--muted); font-size: .9em; }
+  .toc { border: 1px solid var(--border); border-radius: 6px; padding: .5rem 1.5rem; margin: 1.5rem 0; }
+  .toc ul { list-style: none; padding-left: 0; }
+  .toc-l2 { padding-left: 1rem; } .toc-l3 { padding-left: 2rem; font-size: .95em; }
+  .doc + .doc, .page-break { page-break-before: always; break-before: page; }
+  .hljs-keyword { color: ${CODE_COLORS.keyword}; } .hljs-built_in, .hljs-type { color: ${CODE_COLORS.built_in}; }
+  .hljs-literal { color: ${CODE_COLORS.literal}; } .hljs-number, .hljs-attr { color: ${CODE_COLORS.number}; }
+  .hljs-string, .hljs-regexp { color: ${CODE_COLORS.string}; } .hljs-comment { color: ${CODE_COLORS.comment}; font-style: italic; }
+  .hljs-title, .hljs-meta { color: ${CODE_COLORS.title}; } .hljs-variable { color: ${CODE_COLORS.variable}; }
+  @page { margin: 2cm; }
+  @media print { body { max-width: none; padding: 0; } a { color: inherit; } .toc a::after { content: ""; } }
+`;
+
+// Local mermaid build - diagrams render offline, no CDN involved
+const MERMAID_BUNDLE_PATH = require.resolve('mermaid/dist/mermaid.min.js');
+const MERMAID_INIT = `<script>mermaid.initialize({ startOnLoad: true, theme: 'neutral' });</script>`;
+
+let mermaidBundleCache = null;
+
+/**
+ * mermaid.min.js source (read once), safe to inline inside a <script> tag
+ */
+function mermaidBundle() {
+  if (mermaidBundleCache === null) {
+    mermaidBundleCache = fs.readFileSync(MERMAID_BUNDLE_PATH, 'utf-8').replace(/<\/script/gi, '<\\/script');
+  }
+  return mermaidBundleCache;
+}
+
+/**
+ * Script tags that render <pre class="mermaid"> blocks
+ * src: relative URL of a mermaid.min.js shipped next to the page - without it the bundle is inlined (~3 MB)
+ */
+function mermaidScript(src = null) {
+  const loader = src ? `<script src="${src}"></script>` : `<script>${mermaidBundle()}</script>`;
+  return `${loader}\n${MERMAID_INIT}`;
+}
+
+/**
+ * Render one or more docs into a single standalone HTML document
+ */
+function renderHtml(docs, { title, subtitle } = {}) {
+  const list = Array.isArray(docs) ? docs : [docs];
+  const docTitle = title || list[0]?.title || 'Documentation';
+  const headings = [];
+
+  const sections = list.map((doc, index) => {
+    const prefix = list.length > 1 ? `d${index + 1}-` : '';
+    const rendered = renderMarkdown(doc.content, prefix);
+    headings.push(...rendered.headings);
+    const updated = doc.updated_at || doc.generated_at;
+    return `<section class="doc" id="${prefix}doc">
+${updated ? `<p class="meta">Last updated ${new Date(updated).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}</p>` : ''}
+${rendered.html}
+</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(docTitle)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+${list.length > 1 ? `<header><h1>${escapeHtml(docTitle)}</h1>${subtitle ? `<p class="meta">${escapeHtml(subtitle)}</p>` : ''}</header>` : ''}
+${buildToc(headings)}
+${sections.join('\n')}
+${sections.some(html => html.includes('class="mermaid"')) ? mermaidScript() : ''}
+</body>
+</html>
+`;
+}
+
+// ============================================
+// PDF RENDERING
+// ============================================
+
+const PDF_FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+  boldItalic: 'Helvetica-BoldOblique',
+  mono: 'Courier'
+};
+
+const HEADING_SIZES = { 1: 22, 2: 17, 3: 14, 4: 12, 5: 11, 6: 11 };
+
+function decodeEntities(text) {
+  return String(text || '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Split highlight.js HTML into colored text segments
+ */
+function highlightSegments(code, lang) {
+  const html = highlight(code, lang);
+  const segments = [];
+  const stack = [];
+  const re = /<span class="hljs-([\w-]+)[^"]*">|<\/span>|([^<]+)/g;
+  let match;
+  while ((match = re.exec(html)) !== null) {
+    if (match[1]) {
+      stack.push(match[1]);
+    } else if (match[0] === '</span>') {
+      stack.pop();
+    } else if (match[2]) {
+      const cls = [...stack].reverse().find(c => CODE_COLORS[c]);
+      segments.push({ text: decodeEntities(match[2]), color: cls ? CODE_COLORS[cls] : '#24292f' });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Flatten inline tokens into styled runs for pdfkit
+ */
+function inlineRuns(tokens, style = {}) {
+  const runs = [];
+  for (const token of tokens || []) {
+    switch (token.type) {
+      case 'strong':
+        runs.push(...inlineRuns(token.tokens, { ...style, bold: true }));
+        break;
+      case 'em':
+        runs.push(...inlineRuns(token.tokens, { ...style, italic: true }));
+        break;
+      case 'codespan':
+        runs.push({ text: decodeEntities(token.text), ...style, mono: true });
+        break;
+      case 'link':
+        runs.push(...inlineRuns(token.tokens, { ...style, link: token.href }));
+        break;
+      case 'br':
+        runs.push({ text: '\n', ...style });
+        break;
+      case 'del':
+        runs.push(...inlineRuns(token.tokens, { ...style, strike: true }));
+        break;
+      case 'image':
+        runs.push({ text: `[image: ${token.text || token.href}]`, ...style, italic: true });
+        break;
+      case 'html':
+        break;
+      default:
+        if (token.tokens) {
+          runs.push(...inlineRuns(token.tokens, style));
+        } else {
+          runs.push({ text: decodeEntities(token.text || token.raw || ''), ...style });
+        }
+    }
+  }
+  return runs;
+}
+
+function runFont(run) {
+  if (run.mono) return PDF_FONTS.mono;
+  if (run.bold && run.italic) return PDF_FONTS.boldItalic;
+  if (run.bold) return PDF_FONTS.bold;
+  if (run.italic) return PDF_FONTS.italic;
+  return PDF_FONTS.regular;
+}
+
+function writeRuns(pdf, runs, options = {}) {
+  const usable = runs.filter(r => r.text);
+  if (usable.length === 0) {
+    pdf.moveDown(0.5);
+    return;
+  }
+  usable.forEach((run, index) => {
+    const isLast = index === usable.length - 1;
+    pdf.font(runFont(run))
+      .fontSize(options.fontSize || 11)
+      .fillColor(run.link ? '#0969da' : (options.color || '#1f2328'))
+      .text(run.text, {
+        ...options.textOptions,
+        link: run.link && /^https?:/.test(run.link) ? run.link : undefined,
+        underline: !!run.link,
+        strike: !!run.strike,
+        continued: !isLast
+      });
+  });
+}
+
+function renderCodeBlock(pdf, token) {
+  const segments = highlightSegments(token.text, token.lang);
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - left - pdf.page.margins.right;
+
+  pdf.font(PDF_FONTS.mono).fontSize(9);
+  const height = pdf.heightOfString(token.text, { width: width - 16 }) + 12;
+  if (pdf.y + height > pdf.page.height - pdf.page.margins.bottom && height < pdf.page.height / 2) {
+    pdf.addPage();
+  }
+
+  const top = pdf.y;
+  pdf.save().rect(left, top, width, height).fill('#f6f8fa').restore();
+  pdf.x = left + 8;
+  pdf.y = top + 6;
+
+  // pdfkit drops newlines between continued runs - write the code line by line
+  const lines = [[]];
+  for (const segment of segments) {
+    segment.text.split('\n').forEach((part, i) => {
+      if (i > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ ...segment, text: part });
+    });
+  }
+
+  for (const line of lines) {
+    const runs = line.length > 0 ? line : [{ text: ' ', color: '#24292f' }];
+    runs.forEach((segment, index) => {
+      pdf.font(PDF_FONTS.mono).fontSize(9).fillColor(segment.color)
+        .text(segment.text, pdf.x, pdf.y, { width: width - 16, continued: index < runs.length - 1 });
+    });
+    pdf.x = left + 8;
+  }
+
+  pdf.x = left;
+  pdf.y = Math.max(pdf.y, top + height) + 6;
+  pdf.fillColor('#1f2328');
+}
+
+function renderTable(pdf, token) {
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - left - pdf.page.margins.right;
+  const colWidth = width / Math.max(token.header.length, 1);
+
+  const drawRow = (cells, bold) => {
+    pdf.font(bold ? PDF_FONTS.bold : PDF_FONTS.regular).fontSize(9);
+    const texts = cells.map(c => inlineRuns(c.tokens).map(r => r.text).join(''));
+    const rowHeight = Math.max(...texts.map(t => pdf.heightOfString(t || ' ', { width: colWidth - 8 }))) + 8;
+
+    if (pdf.y + rowHeight > pdf.page.height - pdf.page.margins.bottom) pdf.addPage();
+    const top = pdf.y;
+
+    texts.forEach((text, i) => {
+      const x = left + i * colWidth;
+      if (bold) pdf.save().rect(x, top, colWidth, rowHeight).fill('#f6f8fa').restore();
+      pdf.rect(x, top, colWidth, rowHeight).strokeColor('#d1d9e0').stroke();
+      pdf.fillColor('#1f2328').text(text, x + 4, top + 4, { width: colWidth - 8 });
+    });
+
+    pdf.x = left;
+    pdf.y = top + rowHeight;
+  };
+
+  drawRow(token.header, true);
+  token.rows.forEach(row => drawRow(row, false));
+  pdf.moveDown(0.5);
+}
+
+function renderList(pdf, token, depth = 0) {
+  const indent = pdf.page.margins.left + 14 + depth * 14;
+  const start = typeof token.start === 'number' ? token.start : 1;
+
+  token.items.forEach((item, index) => {
+    let bullet = token.ordered ? `${start + index}.` : '•';
+    if (item.task) bullet = item.checked ? '[x]' : '[ ]';
+
+    pdf.font(PDF_FONTS.regular).fontSize(11).fillColor('#1f2328')
+      .text(bullet, indent - 14, pdf.y, { width: 20, continued: false, lineBreak: false });
+    pdf.moveUp();
+
+    for (const child of item.tokens) {
+      if (child.type === 'list') {
+        renderList(pdf, child, depth + 1);
+      } else if (child.type === 'text' || child.type === 'paragraph') {
+        pdf.x = indent + 8;
+        writeRuns(pdf, inlineRuns(child.tokens || [child]), {
+          textOptions: { width: pdf.page.width - indent - 8 - pdf.page.margins.right }
+        });
+      } else {
+        renderBlock(pdf, child, depth + 1);
+      }
+    }
+  });
+
+  pdf.x = pdf.page.margins.left;
+  pdf.moveDown(0.4);
+}
+
+function renderBlock(pdf, token, depth = 0) {
+  const left = pdf.page.margins.left;
+
+  switch (token.type) {
+    case 'heading': {
+      if (pdf.y > pdf.page.height - pdf.page.margins.bottom - 80) pdf.addPage();
+      pdf.moveDown(token.depth <= 2 ? 0.8 : 0.5);
+      pdf.x = left;
+      if (token.anchor) pdf.addNamedDestination(token.anchor);
+      writeRuns(pdf, inlineRuns(token.tokens).map(r => ({ ...r, bold: true })), { fontSize: HEADING_SIZES[token.depth] });
+      pdf.moveDown(0.3);
+      break;
+    }
+    case 'paragraph':
+      pdf.x = left;
+      writeRuns(pdf, inlineRuns(token.tokens));
+      pdf.moveDown(0.5);
+      break;
+    case 'code':
+      renderCodeBlock(pdf, token);
+      break;
+    case 'list':
+      renderList(pdf, token, depth);
+      break;
+    case 'table':
+      renderTable(pdf, token);
+      break;
+    case 'blockquote': {
+      const top = pdf.y;
+      pdf.x = left + 14;
+      for (const child of token.tokens) {
+        if (child.type === 'paragraph') {
+          writeRuns(pdf, inlineRuns(child.tokens), { color: '#59636e', textOptions: { width: pdf.page.width - left - 14 - pdf.page.margins.right } });
+        } else {
+          renderBlock(pdf, child, depth);
+        }
+      }
+      pdf.save().moveTo(left + 4, top).lineTo(left + 4, pdf.y).lineWidth(3).strokeColor('#d1d9e0').stroke().restore();
+      pdf.x = left;
+      pdf.moveDown(0.5);
+      break;
+    }
+    case 'hr':
+      pdf.moveDown(0.5);
+      pdf.save().moveTo(left, pdf.y).lineTo(pdf.page.width - pdf.page.margins.right, pdf.y).strokeColor('#d1d9e0').stroke().restore();
+      pdf.moveDown(0.5);
+      break;
+    case 'html':
+      if (PAGE_BREAK.test(token.text.trim())) pdf.addPage();
+      break;
+    case 'space':
+      break;
+    default:
+      if (token.text) {
+        pdf.x = left;
+        pdf.font(PDF_FONTS.regular).fontSize(11).fillColor('#1f2328').text(decodeEntities(token.text));
+      }
+  }
+}
+
+/**
+ * Render one or more docs to a PDF buffer
+ */
+function renderPdf(docs, { title, subtitle } = {}) {
+  const list = Array.isArray(docs) ? docs : [docs];
+  const docTitle = title || list[0]?.title || 'Documentation';
+  const marked = new Marked();
+
+  // Lex everything first so the TOC can link to every heading
+  const lexed = list.map((doc, index) => {
+    const tokens = marked.lexer(doc.content || '');
+    const used = {};
+    tokens.filter(t => t.type === 'heading').forEach(t => {
+      let anchor = `d${index + 1}-${slugify(t.text)}`;
+      used[anchor] = (used[anchor] || 0) + 1;
+      if (used[anchor] > 1) anchor += `-${used[anchor]}`;
+      t.anchor = anchor;
+    });
+    return { doc, tokens };
+  });
+
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size: 'LETTER',
+      margins: { top: 60, bottom: 60, left: 60, right: 60 },
+      info: { Title: docTitle, Creator: 'Clair - AI Documentation Manager' }
+    });
+
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    // Title + table of contents
+    pdf.font(PDF_FONTS.bold).fontSize(26).fillColor('#1f2328').text(docTitle);
+    if (subtitle) pdf.font(PDF_FONTS.regular).fontSize(12).fillColor('#59636e').text(subtitle);
+    pdf.moveDown(1);
+    pdf.font(PDF_FONTS.bold).fontSize(16).fillColor('#1f2328').text('Contents');
+    pdf.moveDown(0.5);
+
+    for (const { tokens } of lexed) {
+      tokens.filter(t => t.type === 'heading' && t.depth <= 3).forEach(t => {
+        pdf.font(t.depth === 1 ? PDF_FONTS.bold : PDF_FONTS.regular)
+          .fontSize(t.depth === 1 ? 12 : 11)
+          .fillColor('#0969da')
+          .text(decodeEntities(t.text), pdf.page.margins.left + (t.depth - 1) * 14, pdf.y, { goTo: t.anchor });
+      });
+    }
+    pdf.x = pdf.page.margins.left;
+
+    // Each doc starts on its own page
+    for (const { doc, tokens } of lexed) {
+      pdf.addPage();
+      const firstHeading = tokens.find(t => t.type === 'heading');
+      pdf.outline.addItem(firstHeading ? decodeEntities(firstHeading.text) : doc.title);
+      for (const token of tokens) {
+        renderBlock(pdf, token);
+      }
+    }
+
+    pdf.end();
+  });
+}
+
+module.exports = {
+  getPublishedGuides,
+  renderHtml,
+  renderPdf,
+  renderMarkdown,
+  slugify,
+  escapeHtml,
+  mermaidBundle,
+  mermaidScript
+};
@@ -0,0 +1,318 @@
+/**
+ * Doc Generator Service
+ *
+ * Builds source material for a project from what Clair already knows:
+ * - Knowledge entries (dev_ai_knowledge)
+ * - Coding conventions (dev_ai_conventions)
+ * - Folder descriptions (dev_ai_folder_descriptions)
+ * - Table schemas (dev_ai_schemas)
+ * - Project files named in source_data.files
+ * - The module dependency graph (breakdown docs)
+ * - Anything passed in by the caller as source_data
+ *
+ * Then asks Claude to write the document, using the doc type's registry template as the outline.
+ * Templates with <!-- diagram:... --> markers get Mermaid diagrams built from data, not from the model.
+ */
+
+const fs = require('fs').promises;
+const { from } = require('../lib/db');
+const claude = require('../lib/claude');
+const { Logger } = require('../lib/logger');
+const { resolveSourceFile } = require('./staleDocs');
+const { buildManifest } = require('./sourceManifest');
+const { buildDiagrams, injectDiagrams, DIAGRAM_KINDS } = require('./diagrams');
+const dependencyGraph = require('./dependencyGraph');
+const { renderTemplate } = require('./docTemplates');
+
+const logger = new Logger('Clair:DocGenerator');
+
+// Source limits - keeps prompts well inside the model context
+const LIMITS = {
+  knowledge: 40,
+  conventions: 50,
+  folders: 60,
+  schemas: 30,
+  files: 20,
+  fileChars: 12000,
+  entryChars: 1200
+};
+
+/**
+ * Trim long text so one entry can't crowd out the rest
+ */
+function clip(text, max = LIMITS.entryChars) {
+  if (!text) return '';
+  const str = typeof text === 'string' ? text : JSON.stringify(text);
+  return str.length > max ? `${str.slice(0, max)}...` : str;
+}
+
+/**
+ * Score how relevant an entry is to the doc title (shared words)
+ */
+function relevance(title, text) {
+  if (!title || !text) return 0;
+  const words = title.toLowerCase().split(/\W+/).filter(w => w.length > 2);
+  const haystack = text.toLowerCase();
+  return words.reduce((score, word) => score + (haystack.includes(word) ? 1 : 0), 0);
+}
+
+/**
+ * Gather knowledge entries, most relevant to the title first
+ */
+async function getKnowledge(projectPath, title) {
+  const { data, error } = await from('dev_ai_knowledge')
+    .select('id, title, summary, content, category, knowledge_type, created_at')
+    .eq('project_id', projectPath)
+    .order('created_at', { ascending: false })
+    .limit(200);
+
+  if (error) {
+    logger.warn('Failed to load knowledge', { error: error.message, projectPath });
+    return [];
+  }
+
+  return (data || [])
+    .map(k => ({ ...k, score: relevance(title, `${k.title} ${k.summary || ''}`) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, LIMITS.knowledge);
+}
+
+async function getConventions(projectPath) {
+  const { data, error } = await from('dev_ai_conventions')
+    .select('id, category, pattern, example, notes')
+    .eq('project_id', projectPath)
+    .order('category')
+    .limit(LIMITS.conventions);
+
+  if (error) {
+    logger.warn('Failed to load conventions', { error: error.message, projectPath });
+    return [];
+  }
+  return data || [];
+}
+
+async function getFolderDescriptions(projectPath) {
+  const { data, error } = await from('dev_ai_folder_descriptions')
+    .select('id, folder_path, description')
+    .eq('project_id', projectPath)
+    .order('folder_path')
+    .limit(LIMITS.folders);
+
+  if (error) {
+    logger.warn('Failed to load folder descriptions', { error: error.message, projectPath });
+    return [];
+  }
+  return data || [];
+}
+
+async function getSchemas(tablePrefix) {
+  let query = from('dev_ai_schemas')
+    .select('id, table_name, database_name, description, schema_definition')
+    .order('table_name')
+    .limit(LIMITS.schemas);
+
+  if (tablePrefix) {
+    query = query.like('table_name', `${tablePrefix}%`);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    logger.warn('Failed to load schemas', { error: error.message });
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Read project files (paths relative to the project root)
+ */
+async function getFiles(projectPath, filePaths = []) {
+  const files = [];
+  for (const relPath of filePaths.slice(0, LIMITS.files)) {
+    try {
+      const content = await fs.readFile(await resolveSourceFile(projectPath, relPath), 'utf-8');
+      files.push({ path: relPath, content });
+    } catch (err) {
+      logger.warn('Skipping source file', { path: relPath, error: err.message });
+    }
+  }
+  return files;
+}
+
+/**
+ * Collect all source material for a doc
+ *
+ * sourceData (optional, from the request body):
+ * - content: free text notes to include verbatim
+ * - files: project-relative file paths to include (tracked for staleness)
+ * - sourceIds: extra source ids to record on the doc
+ * - tablePrefix: only include schemas for tables with this prefix
+ */
+async function gatherSources(projectPath, title, sourceData = {}) {
+  const [knowledge, conventions, folders, schemas, files] = await Promise.all([
+    getKnowledge(projectPath, title),
+    getConventions(projectPath),
+    getFolderDescriptions(projectPath),
+    getSchemas(sourceData.tablePrefix),
+    getFiles(projectPath, sourceData.files)
+  ]);
+
+  return { knowledge, conventions, folders, schemas, files, extra: sourceData };
+}
+
+/**
+ * Turn gathered sources into the prompt's source content block
+ */
+function formatSources(sources) {
+  const sections = [];
+
+  if (sources.extra?.content) {
+    sections.push(`## Provided Notes\n${clip(sources.extra.content, 8000)}`);
+  }
+
+  if (sources.files.length > 0) {
+    sections.push(`## Source Files\n${sources.files.map(f =>
+      `### ${f.path}\n\`\`\`\n${clip(f.content, LIMITS.fileChars)}\n\`\`\``
+    ).join('\n\n')}`);
+  }
+
+  if (sources.knowledge.length > 0) {
+    sections.push(`## Knowledge Entries\n${sources.knowledge.map(k =>
+      `### ${k.title} (${k.knowledge_type || k.category || 'note'})\n${clip(k.content || k.summary)}`
+    ).join('\n\n')}`);
+  }
+
+  if (sources.conventions.length > 0) {
+    sections.push(`## Coding Conventions\n${sources.conventions.map(c => {
+      let line = `- [${c.category}] ${c.pattern}`;
+      if (c.example) line += ` (e.g. ${clip(c.example, 200)})`;
+      if (c.notes) line += ` - ${clip(c.notes, 300)}`;
+      return line;
+    }).join('\n')}`);
+  }
+
+  if (sources.folders.length > 0) {
+    sections.push(`## Folder Descriptions\n${sources.folders.map(f =>
+      `- ${f.folder_path}: ${f.description}`
+    ).join('\n')}`);
+  }
+
+  if (sources.modules) {
+    sections.push(`## Module Dependencies (from require/import statements)\n${clip(sources.modules, 8000)}`);
+  }
+
+  const diagrams = Object.entries(sources.diagrams || {}).filter(([, mermaid]) => mermaid);
+  if (diagrams.length > 0) {
+    sections.push(`## Generated Diagrams (inserted at the diagram markers)\n${diagrams.map(([kind, mermaid]) =>
+      `### ${kind}\n\`\`\`mermaid\n${clip(mermaid, 4000)}\n\`\`\``
+    ).join('\n\n')}`);
+  }
+
+  if (sources.schemas.length > 0) {
+    sections.push(`## Database Tables\n${sources.schemas.map(s =>
+      `### ${s.table_name}${s.description ? ` - ${s.description}` : ''}\n${clip(s.schema_definition, 800)}`
+    ).join('\n\n')}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * IDs of every row that went into the doc (plus caller-provided ids)
+ */
+function collectSourceIds(sources) {
+  const ids = [
+    ...(sources.extra?.sourceIds || []),
+    ...sources.knowledge.map(k => k.id),
+    ...sources.conventions.map(c => c.id),
+    ...sources.folders.map(f => f.id),
+    ...sources.schemas.map(s => s.id)
+  ];
+  return [...new Set(ids.filter(Boolean))];
+}
+
+/**
+ * Generate document content from the project's sources
+ * options.onProgress({ stage, ... }) reports each step, options.onText(delta) streams the model output
+ * Returns { content, sourceIds, manifest }
+ */
+async function generateDocContent(docType, title, sourceData, projectPath, options = {}) {
+  const progress = options.onProgress || (() => {});
+
+  const template = await renderTemplate(docType, projectPath, { title });
+  if (!template) {
+    throw new Error(`Unknown doc type: ${docType}`);
+  }
+
+  progress({ stage: 'sources', template: template.source });
+  const sources = await gatherSources(projectPath, title, sourceData || {});
+
+  // Only the kinds the outline asks for
+  const kinds = [...template.outline.matchAll(/<!--\s*diagram:(\w+)\s*-->/g)]
+    .map(m => m[1])
+    .filter(kind => DIAGRAM_KINDS.includes(kind));
+  if (kinds.length > 0) {
+    progress({ stage: 'diagrams' });
+    sources.diagrams = await buildDiagrams(projectPath, { tablePrefix: sourceData?.tablePrefix, kinds: [...new Set(kinds)] });
+  }
+
+  if (docType === 'breakdown' && projectPath) {
+    try {
+      sources.modules = dependencyGraph.formatGraphForPrompt(await dependencyGraph.getGraph(projectPath)) || null;
+    } catch (err) {
+      logger.warn('Dependency graph unavailable', { projectPath, error: err.message });
+    }
+  }
+
+  const sourceContent = formatSources(sources);
+
+  if (!sourceContent) {
+    const error = new Error('No source material found for this project - add knowledge or pass source_data.content');
+    error.status = 400;
+    throw error;
+  }
+
+  logger.info('Generating doc', {
+    projectPath,
+    docType,
+    title,
+    knowledge: sources.knowledge.length,
+    conventions: sources.conventions.length,
+    folders: sources.folders.length,
+    schemas: sources.schemas.length,
+    files: sources.files.length,
+    template: template.source
+  });
+
+  progress({
+    stage: 'generating',
+    knowledge: sources.knowledge.length,
+    conventions: sources.conventions.length,
+    folders: sources.folders.length,
+    schemas: sources.schemas.length,
+    files: sources.files.length
+  });
+
+  const request = { outline: template.outline, systemPrompt: template.system_prompt };
+  let content = options.onText
+    ? await claude.streamDoc(docType, title, sourceContent, projectPath, { ...request, onText: options.onText })
+    : await claude.generateDoc(docType, title, sourceContent, projectPath, request);
+
+  if (sources.diagrams) {
+    content = injectDiagrams(content, sources.diagrams);
+  }
+
+  return {
+    content,
+    sourceIds: collectSourceIds(sources),
+    manifest: buildManifest(sources)
+  };
+}
+
+module.exports = {
+  generateDocContent,
+  gatherSources,
+  formatSources,
+  collectSourceIds
+};
@@ -0,0 +1,292 @@
+/**
+ * Doc Import Service
+ *
+ * Brings existing markdown files from a project into dev_ai_generated_docs:
+ * - Finds *.md files under the project path (same ignore rules as the structure scan, .gitignore included)
+ * - Infers doc_type from the file path, then from the headings
+ * - Upserts by source_path - unchanged files are skipped, changed files become a new revision
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const frontMatter = require('../lib/frontMatter');
+const { walkFiles } = require('./fileTree');
+const docTemplates = require('./docTemplates');
+const docRevisions = require('./docRevisions');
+const links = require('./links');
+const pathPolicy = require('./pathPolicy');
+const { DRAFT_FIELDS } = require('./docReviews');
+
+const logger = new Logger('Clair:DocImport');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const MAX_FILES = 500;
+const MAX_DEPTH = 8;
+const MAX_FILE_SIZE = 1024 * 1024;
+const FALLBACK_TYPE = 'reference';
+
+// First match wins - checked against the lowercased relative path
+const PATH_RULES = [
+  { pattern: /(^|\/)readme\.(md|markdown)$/, type: 'guide' },
+  { pattern: /(^|\/)(how-?to|howtos|tutorials?|recipes)(\/|[-_])/, type: 'howto' },
+  { pattern: /(^|\/)runbooks?(\/|[-_.])/, type: 'runbook' },
+  { pattern: /(^|\/)(adr|adrs|decisions)(\/|[-_])/, type: 'adr' },
+  { pattern: /(^|\/)(architecture|design|schematics?)(\/|[-_.])/, type: 'schematic' },
+  { pattern: /(^|\/)(api|reference|references)(\/|[-_.])/, type: 'reference' },
+  { pattern: /(^|\/)(breakdowns?|modules|components)(\/|[-_.])/, type: 'breakdown' },
+  { pattern: /(^|\/)(guides?|docs)\//, type: 'guide' }
+];
+
+// Checked against the file's headings when the path says nothing
+const HEADING_RULES = [
+  { test: h => /^(steps|prerequisites|installation|step \d+)/.test(h), type: 'howto' },
+  { test: h => /^(architecture|data ?flow|system overview|diagram)/.test(h), type: 'schematic' },
+  { test: h => /^(endpoints?|api|parameters|methods|options)$/.test(h), type: 'reference' },
+  { test: h => /^(components?|dependencies|modules?)$/.test(h), type: 'breakdown' }
+];
+
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+function extractHeadings(markdown) {
+  const text = (markdown || '').replace(/^(\s*)(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\s*\2\s*$/gm, '');
+  return [...text.matchAll(/^(#{1,6})\s+(.+?)\s*#*\s*$/gm)].map(m => ({
+    level: m[1].length,
+    text: m[2].trim()
+  }));
+}
+
+/**
+ * Title from front-matter, first H1, or the file name
+ */
+function inferTitle(relPath, body, data = {}) {
+  if (data.title) return String(data.title);
+
+  const h1 = extractHeadings(body).find(h => h.level === 1);
+  if (h1) return h1.text;
+
+  const base = path.basename(relPath, path.extname(relPath));
+  if (/^readme$/i.test(base)) {
+    const dir = path.dirname(relPath);
+    return dir === '.' ? 'README' : `${path.basename(dir)} README`;
+  }
+
+  return base.replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+/**
+ * Guess the doc type of a markdown file
+ * docTypes: types available for the project - inferred types outside it fall back to 'reference'
+ */
+function inferDocType(relPath, body, docTypes = null, data = {}) {
+  const allowed = type => !docTypes || docTypes.includes(type);
+
+  if (data.doc_type && allowed(data.doc_type)) return data.doc_type;
+
+  const lowerPath = relPath.split(path.sep).join('/').toLowerCase();
+  const byPath = PATH_RULES.find(rule => rule.pattern.test(lowerPath) && allowed(rule.type));
+  if (byPath) return byPath.type;
+
+  if (/^```mermaid/m.test(body || '') && allowed('schematic')) return 'schematic';
+
+  const headings = extractHeadings(body).map(h => h.text.toLowerCase());
+  for (const rule of HEADING_RULES) {
+    if (allowed(rule.type) && headings.some(rule.test)) return rule.type;
+  }
+
+  return allowed(FALLBACK_TYPE) ? FALLBACK_TYPE : (docTypes?.[0] || FALLBACK_TYPE);
+}
+
+/**
+ * Relative paths of markdown files under the project (ignore files honored)
+ */
+async function findMarkdownFiles(projectPath, { maxFiles = MAX_FILES, maxDepth = MAX_DEPTH } = {}) {
+  return walkFiles(projectPath, {
+    match: (relPath, name) => MARKDOWN_EXTENSIONS.includes(path.extname(name).toLowerCase()),
+    maxDepth,
+    maxFiles
+  });
+}
+
+/**
+ * Read and classify one file - null when it can't be imported
+ */
+async function readMarkdownFile(projectPath, relPath, docTypes) {
+  let fullPath;
+  try {
+    fullPath = await pathPolicy.resolveInside(projectPath, relPath);
+  } catch (err) {
+    if (!err.status) throw err;
+    return { skipped: 'outside project' };
+  }
+
+  let stat;
+  try {
+    stat = await fs.stat(fullPath);
+  } catch (err) {
+    return { skipped: 'not found' };
+  }
+
+  if (!stat.isFile()) return { skipped: 'not a file' };
+  if (stat.size > MAX_FILE_SIZE) return { skipped: 'too large' };
+
+  const raw = await fs.readFile(fullPath, 'utf-8');
+  const { data, body } = frontMatter.parse(raw);
+  if (!body.trim()) return { skipped: 'empty' };
+
+  // Written by docSync - the doc already exists, edits flow back through the sync
+  if (data.clair_id) return { skipped: 'synced by clair' };
+
+  return {
+    source_path: relPath.split(path.sep).join('/'),
+    source_hash: hashContent(raw),
+    title: inferTitle(relPath, body, data),
+    doc_type: inferDocType(relPath, body, docTypes, data),
+    content: body.trim() + '\n'
+  };
+}
+
+/**
+ * Insert or update the doc for one file
+ * Returns { action: 'created'|'updated'|'unchanged', doc }
+ */
+async function upsertImportedDoc(projectPath, file, existing, { author = 'import' } = {}) {
+  const now = new Date().toISOString();
+
+  if (existing) {
+    if (existing.source_hash === file.source_hash) {
+      return { action: 'unchanged', doc: existing };
+    }
+
+    await docRevisions.ensureBaseline(existing);
+
+    const { data, error } = await from('dev_ai_generated_docs')
+      .update({
+        title: file.title,
+        content: file.content,
+        source_hash: file.source_hash,
+        imported_at: now,
+        ...DRAFT_FIELDS,
+        updated_at: now
+      })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await docRevisions.recordRevision(data, { author, reason: 'import', note: `Re-imported from ${file.source_path}` });
+    return { action: 'updated', doc: data };
+  }
+
+  const { data, error } = await from('dev_ai_generated_docs')
+    .insert({
+      project_id: projectPath,
+      doc_type: file.doc_type,
+      title: file.title,
+      content: file.content,
+      generated_at: now,
+      source_path: file.source_path,
+      source_hash: file.source_hash,
+      imported_at: now,
+      status: 'draft',
+      is_published: false
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await docRevisions.recordRevision(data, { author, reason: 'import', note: `Imported from ${file.source_path}` });
+  return { action: 'created', doc: data };
+}
+
+/**
+ * Scan a project and import its markdown files
+ * options.paths limits the import to specific relative paths, options.dryRun only reports
+ * Returns { scanned, created, updated, unchanged, skipped, missing, docs }
+ */
+async function importProject(projectPath, { paths = null, dryRun = false, author = 'import' } = {}) {
+  const root = path.resolve(projectPath);
+  const stat = await fs.stat(root).catch(() => null);
+  if (!stat || !stat.isDirectory()) {
+    const error = new Error(`Project path not found: ${projectPath}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const docTypes = await docTemplates.listDocTypes(projectPath);
+  const relPaths = paths && paths.length > 0 ? paths : await findMarkdownFiles(root);
+
+  const { data: existingDocs, error } = await from('dev_ai_generated_docs')
+    .select('id, project_id, title, content, doc_type, source_path, source_hash, status')
+    .eq('project_id', projectPath)
+    .not('source_path', 'is', null);
+
+  if (error) throw error;
+
+  const bySource = new Map((existingDocs || []).map(d => [d.source_path, d]));
+  const result = { scanned: 0, created: 0, updated: 0, unchanged: 0, skipped: [], missing: [], docs: [] };
+  const changed = [];
+
+  for (const relPath of relPaths) {
+    result.scanned++;
+    const file = await readMarkdownFile(root, relPath, docTypes);
+
+    if (file.skipped) {
+      result.skipped.push({ path: relPath, reason: file.skipped });
+      continue;
+    }
+
+    const existing = bySource.get(file.source_path);
+
+    if (dryRun) {
+      const action = !existing ? 'created' : existing.source_hash === file.source_hash ? 'unchanged' : 'updated';
+      result[action]++;
+      result.docs.push({ action, id: existing?.id || null, source_path: file.source_path, title: file.title, doc_type: existing?.doc_type || file.doc_type });
+      continue;
+    }
+
+    const { action, doc } = await upsertImportedDoc(projectPath, file, existing, { author });
+    result[action]++;
+    result.docs.push({ action, id: doc.id, source_path: file.source_path, title: doc.title, doc_type: doc.doc_type });
+    if (action !== 'unchanged') changed.push(doc);
+  }
+
+  // Files that were imported before but are gone now - reported, never deleted
+  if (!paths || paths.length === 0) {
+    const seen = new Set(relPaths.map(p => p.split(path.sep).join('/')));
+    result.missing = (existingDocs || [])
+      .filter(d => !seen.has(d.source_path))
+      .map(d => ({ id: d.id, source_path: d.source_path, title: d.title }));
+  }
+
+  for (const doc of changed) {
+    await links.trySyncLinks(projectPath, 'doc', doc);
+  }
+
+  logger.info('Markdown import finished', {
+    projectPath,
+    dryRun,
+    scanned: result.scanned,
+    created: result.created,
+    updated: result.updated,
+    unchanged: result.unchanged
+  });
+
+  return result;
+}
+
+module.exports = {
+  importProject,
+  findMarkdownFiles,
+  readMarkdownFile,
+  inferDocType,
+  inferTitle,
+  extractHeadings,
+  MARKDOWN_EXTENSIONS
+};
@@ -0,0 +1,316 @@
+/**
+ * Doc Reviews Service
+ *
+ * Lifecycle for generated docs: draft -> in_review -> approved -> published
+ * - Submitting assigns reviewers (one dev_ai_doc_reviews row each)
+ * - Any reviewer requesting changes sends the doc back to draft
+ * - The doc is approved once every assigned reviewer approved
+ * - Only approved docs can be published (the /howto listing and exports read published docs)
+ * - Editing the content of a doc in any other state sends it back to draft
+ */
+
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Clair:DocReviews');
+
+const DOC_STATUSES = ['draft', 'in_review', 'approved', 'published'];
+const DECISIONS = ['approve', 'request_changes'];
+
+// Spread into any update that changes doc content - approval was for the old content
+const DRAFT_FIELDS = {
+  status: 'draft',
+  is_published: false,
+  approved_revision: null,
+  approved_at: null
+};
+
+/**
+ * Error with an HTTP status for the routes
+ */
+function workflowError(message, status = 409) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function getDoc(docId) {
+  const { data, error } = await from('dev_ai_generated_docs')
+    .select('*')
+    .eq('id', docId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  if (!data) throw workflowError('Doc not found', 404);
+  return data;
+}
+
+async function updateDoc(docId, updates) {
+  const { data, error } = await from('dev_ai_generated_docs')
+    .update(updates)
+    .eq('id', docId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function supersedePending(docId) {
+  await from('dev_ai_doc_reviews')
+    .update({ status: 'superseded', decided_at: new Date().toISOString() })
+    .eq('doc_id', docId)
+    .eq('status', 'pending');
+}
+
+async function insertComment(doc, { author, body, anchor = null, reviewId = null }) {
+  const { data, error } = await from('dev_ai_doc_review_comments')
+    .insert({
+      doc_id: doc.id,
+      review_id: reviewId,
+      author,
+      body,
+      anchor,
+      revision_number: doc.revision || null
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * draft -> in_review, assigning reviewers
+ */
+async function submitForReview(docId, { reviewers, requestedBy = 'user', note = null } = {}) {
+  const names = [...new Set((reviewers || []).map(r => String(r).trim()).filter(Boolean))];
+  if (names.length === 0) throw workflowError('At least one reviewer is required', 400);
+
+  const doc = await getDoc(docId);
+  if (doc.status !== 'draft') {
+    throw workflowError(`Only draft docs can be submitted for review (doc is ${doc.status})`);
+  }
+
+  await supersedePending(docId);
+
+  const { data: reviews, error } = await from('dev_ai_doc_reviews')
+    .insert(names.map(reviewer => ({
+      doc_id: doc.id,
+      project_id: doc.project_id,
+      reviewer,
+      requested_by: requestedBy,
+      revision_number: doc.revision || null,
+      status: 'pending'
+    })))
+    .select();
+
+  if (error) throw error;
+
+  const updated = await updateDoc(docId, { status: 'in_review' });
+
+  if (note) {
+    await insertComment(updated, { author: requestedBy, body: note });
+  }
+
+  logger.info('Doc submitted for review', { docId, reviewers: names, requestedBy });
+  return { doc: updated, reviews };
+}
+
+/**
+ * A reviewer approves or requests changes
+ */
+async function decide(docId, { reviewer, decision, comment = null } = {}) {
+  if (!reviewer) throw workflowError('reviewer is required', 400);
+  if (!DECISIONS.includes(decision)) {
+    throw workflowError(`decision must be one of: ${DECISIONS.join(', ')}`, 400);
+  }
+  if (decision === 'request_changes' && !comment) {
+    throw workflowError('A comment is required when requesting changes', 400);
+  }
+
+  const doc = await getDoc(docId);
+  if (doc.status !== 'in_review') {
+    throw workflowError(`Doc is not in review (doc is ${doc.status})`);
+  }
+
+  const { data: pending } = await from('dev_ai_doc_reviews')
+    .select('*')
+    .eq('doc_id', docId)
+    .eq('reviewer', reviewer)
+    .eq('status', 'pending')
+    .limit(1);
+
+  const review = pending?.[0];
+  if (!review) throw workflowError(`${reviewer} is not an assigned reviewer for this doc`, 403);
+
+  const { data: decided, error } = await from('dev_ai_doc_reviews')
+    .update({
+      status: decision === 'approve' ? 'approved' : 'changes_requested',
+      decided_at: new Date().toISOString()
+    })
+    .eq('id', review.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  if (comment) {
+    await insertComment(doc, { author: reviewer, body: comment, reviewId: review.id });
+  }
+
+  let updated = doc;
+
+  if (decision === 'request_changes') {
+    await supersedePending(docId);
+    updated = await updateDoc(docId, { status: 'draft' });
+    logger.info('Changes requested', { docId, reviewer });
+  } else {
+    const { data: stillPending } = await from('dev_ai_doc_reviews')
+      .select('id')
+      .eq('doc_id', docId)
+      .eq('status', 'pending');
+
+    if (!stillPending || stillPending.length === 0) {
+      updated = await updateDoc(docId, {
+        status: 'approved',
+        approved_revision: doc.revision || null,
+        approved_at: new Date().toISOString()
+      });
+      logger.info('Doc approved', { docId, revision: doc.revision });
+    }
+  }
+
+  return { doc: updated, review: decided };
+}
+
+/**
+ * approved -> published
+ */
+async function publish(docId, { publishedBy = 'user' } = {}) {
+  const doc = await getDoc(docId);
+  if (doc.status !== 'approved') {
+    throw workflowError(`Only approved docs can be published (doc is ${doc.status})`);
+  }
+
+  const updated = await updateDoc(docId, {
+    status: 'published',
+    is_published: true,
+    published_at: new Date().toISOString(),
+    published_by: publishedBy
+  });
+
+  logger.info('Doc published', { docId, publishedBy });
+  return updated;
+}
+
+/**
+ * published -> approved (taken off the portal, approval kept)
+ */
+async function unpublish(docId) {
+  const doc = await getDoc(docId);
+  if (doc.status !== 'published') {
+    throw workflowError(`Doc is not published (doc is ${doc.status})`);
+  }
+
+  return updateDoc(docId, { status: 'approved', is_published: false });
+}
+
+/**
+ * Comment on a doc - linked to the author's open review when they have one
+ */
+async function addComment(docId, { author, body, anchor = null } = {}) {
+  if (!author || !body) throw workflowError('author and body are required', 400);
+
+  const doc = await getDoc(docId);
+
+  const { data: pending } = await from('dev_ai_doc_reviews')
+    .select('id')
+    .eq('doc_id', docId)
+    .eq('reviewer', author)
+    .eq('status', 'pending')
+    .limit(1);
+
+  return insertComment(doc, { author, body, anchor, reviewId: pending?.[0]?.id || null });
+}
+
+async function resolveComment(commentId, isResolved = true) {
+  const { data, error } = await from('dev_ai_doc_review_comments')
+    .update({ is_resolved: isResolved, updated_at: new Date().toISOString() })
+    .eq('id', commentId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Reviews (newest round first) and comments for a doc
+ */
+async function getReviewState(docId) {
+  const doc = await getDoc(docId);
+
+  const [{ data: reviews, error: reviewError }, { data: comments, error: commentError }] = await Promise.all([
+    from('dev_ai_doc_reviews')
+      .select('*')
+      .eq('doc_id', docId)
+      .order('created_at', { ascending: false }),
+    from('dev_ai_doc_review_comments')
+      .select('*')
+      .eq('doc_id', docId)
+      .order('created_at', { ascending: true })
+  ]);
+
+  if (reviewError) throw reviewError;
+  if (commentError) throw commentError;
+
+  return {
+    docId,
+    status: doc.status,
+    revision: doc.revision,
+    approvedRevision: doc.approved_revision,
+    reviews: reviews || [],
+    comments: comments || []
+  };
+}
+
+/**
+ * Docs waiting on a reviewer (or on anyone) in a project
+ */
+async function getReviewQueue(projectPath, reviewer = null) {
+  let query = from('dev_ai_doc_reviews')
+    .select('id, doc_id, reviewer, requested_by, revision_number, created_at')
+    .eq('project_id', projectPath)
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true });
+
+  if (reviewer) {
+    query = query.eq('reviewer', reviewer);
+  }
+
+  const { data: reviews, error } = await query;
+  if (error) throw error;
+  if (!reviews || reviews.length === 0) return [];
+
+  const { data: docs } = await from('dev_ai_generated_docs')
+    .select('id, title, doc_type, status')
+    .in('id', [...new Set(reviews.map(r => r.doc_id))]);
+
+  const docMap = new Map((docs || []).map(d => [d.id, d]));
+  return reviews.map(r => ({ ...r, doc: docMap.get(r.doc_id) || null }));
+}
+
+module.exports = {
+  submitForReview,
+  decide,
+  publish,
+  unpublish,
+  addComment,
+  resolveComment,
+  getReviewState,
+  getReviewQueue,
+  DOC_STATUSES,
+  DECISIONS,
+  DRAFT_FIELDS
+};
@@ -0,0 +1,257 @@
+/**
+ * Doc Revisions Service
+ *
+ * Every content change to dev_ai_generated_docs is stored as a full snapshot
+ * in dev_ai_doc_revisions, so nothing is lost when a doc is rewritten.
+ * - List revisions, diff any two, restore an older one
+ */
+
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const { DRAFT_FIELDS } = require('./docReviews');
+
+const logger = new Logger('Clair:DocRevisions');
+
+// Above this many LCS cells (4 bytes each) the changed middle is shown as one removed + added block
+const MAX_DIFF_CELLS = 4 * 1024 * 1024;
+
+const REVISION_REASONS = ['initial', 'ai_generation', 'ai_regeneration', 'manual_edit', 'correction_applied', 'restore', 'test_run', 'import', 'disk_edit', 'code_scan'];
+
+/**
+ * Snapshot the doc's current title/content as the next revision
+ */
+async function recordRevision(doc, { author = 'user', reason = 'manual_edit', note = null } = {}) {
+  if (!REVISION_REASONS.includes(reason)) {
+    throw new Error(`Invalid revision reason. Must be one of: ${REVISION_REASONS.join(', ')}`);
+  }
+
+  const { data: latest } = await from('dev_ai_doc_revisions')
+    .select('revision_number')
+    .eq('doc_id', doc.id)
+    .order('revision_number', { ascending: false })
+    .limit(1);
+
+  const revisionNumber = (latest?.[0]?.revision_number || 0) + 1;
+
+  const { data, error } = await from('dev_ai_doc_revisions')
+    .insert({
+      doc_id: doc.id,
+      project_id: doc.project_id,
+      revision_number: revisionNumber,
+      title: doc.title,
+      content: doc.content,
+      author,
+      reason,
+      note
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await from('dev_ai_generated_docs')
+    .update({ revision: revisionNumber })
+    .eq('id', doc.id);
+
+  logger.info('Revision recorded', { docId: doc.id, revision: revisionNumber, reason, author });
+  return data;
+}
+
+/**
+ * Docs created before revisions existed have no history -
+ * snapshot their current content before it gets overwritten
+ */
+async function ensureBaseline(doc) {
+  const { data: existing } = await from('dev_ai_doc_revisions')
+    .select('id')
+    .eq('doc_id', doc.id)
+    .limit(1);
+
+  if (existing && existing.length > 0) return null;
+
+  return recordRevision(doc, { author: 'clair', reason: 'initial', note: 'Content before revision tracking' });
+}
+
+/**
+ * List revisions for a doc (newest first, without content)
+ */
+async function listRevisions(docId) {
+  const { data, error } = await from('dev_ai_doc_revisions')
+    .select('id, doc_id, revision_number, title, author, reason, note, created_at')
+    .eq('doc_id', docId)
+    .order('revision_number', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+function revisionNotFound(revisionNumber) {
+  const error = new Error(`Revision ${revisionNumber} not found`);
+  error.status = 404;
+  return error;
+}
+
+/**
+ * Get a single revision with content
+ */
+async function getRevision(docId, revisionNumber) {
+  const { data, error } = await from('dev_ai_doc_revisions')
+    .select('*')
+    .eq('doc_id', docId)
+    .eq('revision_number', revisionNumber)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data || null;
+}
+
+/**
+ * Changed middle of a diff (common prefix/suffix already removed)
+ * offset is the number of lines before it in both texts
+ */
+function diffMiddle(midA, midB, offset) {
+  const n = midA.length;
+  const m = midB.length;
+  const remove = i => ({ type: 'remove', text: midA[i], oldLine: offset + i + 1, newLine: null });
+  const add = j => ({ type: 'add', text: midB[j], oldLine: null, newLine: offset + j + 1 });
+
+  // Too large for the LCS table - show the whole block as replaced
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    return [...midA.map((_, i) => remove(i)), ...midB.map((_, j) => add(j))];
+  }
+
+  // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  const at = (i, j) => i * (m + 1) + j;
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[at(i, j)] = midA[i] === midB[j]
+        ? lcs[at(i + 1, j + 1)] + 1
+        : Math.max(lcs[at(i + 1, j)], lcs[at(i, j + 1)]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && midA[i] === midB[j]) {
+      changes.push({ type: 'equal', text: midA[i], oldLine: offset + i + 1, newLine: offset + j + 1 });
+      i++;
+      j++;
+    } else if (i < n && (j >= m || lcs[at(i + 1, j)] >= lcs[at(i, j + 1)])) {
+      changes.push(remove(i++));
+    } else {
+      changes.push(add(j++));
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Line diff between two texts (LCS based)
+ * Returns [{ type: 'equal'|'add'|'remove', text, oldLine, newLine }]
+ */
+function diffLines(oldText, newText) {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  // Skip the common prefix/suffix so the LCS table stays small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changes = [];
+  for (let k = 0; k < start; k++) {
+    changes.push({ type: 'equal', text: a[k], oldLine: k + 1, newLine: k + 1 });
+  }
+
+  changes.push(...diffMiddle(a.slice(start, endA), b.slice(start, endB), start));
+
+  for (let k = 0; k < a.length - endA; k++) {
+    changes.push({ type: 'equal', text: a[endA + k], oldLine: endA + k + 1, newLine: endB + k + 1 });
+  }
+
+  return changes;
+}
+
+/**
+ * Render diff changes as unified-style text (+/-/space prefixed)
+ */
+function formatDiff(changes) {
+  const prefix = { equal: ' ', add: '+', remove: '-' };
+  return changes.map(c => `${prefix[c.type]} ${c.text}`).join('\n');
+}
+
+/**
+ * Diff two revisions of a doc
+ */
+async function diffRevisions(docId, fromRevision, toRevision) {
+  const [older, newer] = await Promise.all([
+    getRevision(docId, fromRevision),
+    getRevision(docId, toRevision)
+  ]);
+
+  if (!older) throw revisionNotFound(fromRevision);
+  if (!newer) throw revisionNotFound(toRevision);
+
+  const changes = diffLines(older.content, newer.content);
+
+  return {
+    from: fromRevision,
+    to: toRevision,
+    titleChanged: older.title !== newer.title,
+    added: changes.filter(c => c.type === 'add').length,
+    removed: changes.filter(c => c.type === 'remove').length,
+    changes,
+    unified: formatDiff(changes)
+  };
+}
+
+/**
+ * Restore an older revision as the doc's current content
+ * (recorded as a new 'restore' revision - history is never rewritten)
+ */
+async function restoreRevision(docId, revisionNumber, author = 'user') {
+  const revision = await getRevision(docId, revisionNumber);
+  if (!revision) throw revisionNotFound(revisionNumber);
+
+  const { data: doc, error } = await from('dev_ai_generated_docs')
+    .update({
+      title: revision.title,
+      content: revision.content,
+      ...DRAFT_FIELDS,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', docId)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const restored = await recordRevision(doc, {
+    author,
+    reason: 'restore',
+    note: `Restored from revision ${revisionNumber}`
+  });
+
+  return { doc: { ...doc, revision: restored.revision_number }, revision: restored };
+}
+
+module.exports = {
+  recordRevision,
+  ensureBaseline,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+  diffLines,
+  formatDiff,
+  REVISION_REASONS
+};
@@ -0,0 +1,377 @@
+/**
+ * Doc Sync Service
+ *
+ * Opt-in per project: writes published docs into the repo as markdown
+ * (default folder docs/clair/<doc_type>/<slug>.md) with front-matter holding
+ * the doc id and revision, so developers see them next to the code.
+ *
+ * Each run compares the file on disk with the hash Clair last wrote:
+ * - File unchanged, doc has a newer revision -> file is rewritten
+ * - File edited on disk, doc unchanged       -> the edit becomes a 'disk_edit' revision (doc goes back to draft)
+ * - Both changed since the last sync         -> reported as a conflict, nothing is overwritten
+ *
+ * Files are never deleted - unpublished docs are only reported.
+ * Runs every hour at :45 (PST) and right after a doc is published.
+ */
+
+const cron = require('node-cron');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const frontMatter = require('../lib/frontMatter');
+const { slugify } = require('./docExport');
+const docRevisions = require('./docRevisions');
+const links = require('./links');
+const { DRAFT_FIELDS } = require('./docReviews');
+const pathPolicy = require('./pathPolicy');
+
+const logger = new Logger('Clair:DocSync');
+
+const JOB_NAME = 'Sync Docs To Repo';
+const DEFAULT_FOLDER = 'docs/clair';
+const DOC_FIELDS = 'id, project_id, doc_type, title, content, status, revision, sync_path, sync_hash, synced_revision';
+
+let isRunning = false;
+
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+function syncError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Validate a sync folder - must stay inside the project
+ */
+function normalizeFolder(folder) {
+  const value = String(folder || '').trim().replace(/\\/g, '/').replace(/^\.\/+/, '').replace(/\/+$/, '');
+  if (!value) throw syncError('folder is required');
+  if (path.isAbsolute(value) || value.split('/').includes('..')) {
+    throw syncError('folder must be a relative path inside the project');
+  }
+  return value;
+}
+
+/**
+ * Sync settings for a project (defaults when never configured)
+ */
+async function getSettings(projectPath) {
+  const { data, error } = await from('dev_ai_doc_sync')
+    .select('*')
+    .eq('project_id', projectPath)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data || { project_id: projectPath, is_enabled: false, folder: DEFAULT_FOLDER, last_synced_at: null };
+}
+
+async function updateSettings(projectPath, { is_enabled, folder } = {}) {
+  const current = await getSettings(projectPath);
+
+  const { data, error } = await from('dev_ai_doc_sync')
+    .upsert({
+      project_id: projectPath,
+      is_enabled: is_enabled === undefined ? current.is_enabled : Boolean(is_enabled),
+      folder: folder === undefined ? current.folder : normalizeFolder(folder),
+      updated_at: new Date().toISOString()
+    }, {
+      onConflict: 'project_id'
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info('Sync settings updated', { projectPath, isEnabled: data.is_enabled, folder: data.folder });
+  return data;
+}
+
+/**
+ * Markdown file Clair writes for a doc
+ */
+function renderFile(doc) {
+  return frontMatter.stringify({
+    clair_id: doc.id,
+    revision: doc.revision || 0,
+    doc_type: doc.doc_type,
+    title: doc.title
+  }, `${(doc.content || '').trim()}\n`);
+}
+
+/**
+ * Relative path for a doc's file - stable once assigned, so renames don't move it
+ */
+function targetPath(doc, folder, taken) {
+  if (doc.sync_path) return doc.sync_path;
+
+  const base = `${folder}/${slugify(doc.doc_type)}/${slugify(doc.title)}`;
+  const candidate = taken.has(`${base}.md`) ? `${base}-${doc.id.slice(0, 8)}.md` : `${base}.md`;
+  taken.add(candidate);
+  return candidate;
+}
+
+async function readFile(fullPath) {
+  try {
+    return await fs.readFile(fullPath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function markSynced(docId, updates) {
+  const { error } = await from('dev_ai_generated_docs')
+    .update({ ...updates, synced_at: new Date().toISOString() })
+    .eq('id', docId);
+
+  if (error) throw error;
+}
+
+/**
+ * Turn a developer's edit of the synced file into a new doc revision
+ */
+async function pullDiskEdit(doc, raw, relPath, fullPath) {
+  const { data, body } = frontMatter.parse(raw);
+  const content = `${body.trim()}\n`;
+  const title = data.title ? String(data.title) : doc.title;
+
+  if (content.trim() === (doc.content || '').trim() && title === doc.title) {
+    await markSynced(doc.id, { sync_hash: hashContent(raw) });
+    return { action: 'unchanged' };
+  }
+
+  await docRevisions.ensureBaseline(doc);
+
+  const { data: updated, error } = await from('dev_ai_generated_docs')
+    .update({ title, content, ...DRAFT_FIELDS, updated_at: new Date().toISOString() })
+    .eq('id', doc.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const revision = await docRevisions.recordRevision(updated, {
+    author: 'disk',
+    reason: 'disk_edit',
+    note: `Edited on disk: ${relPath}`
+  });
+
+  // Rewrite so the front-matter carries the new revision
+  const file = renderFile({ ...updated, revision: revision.revision_number });
+  await pathPolicy.writeFile(fullPath, file, { source: 'docSync' });
+
+  await markSynced(doc.id, { sync_hash: hashContent(file), synced_revision: revision.revision_number });
+  await links.trySyncLinks(doc.project_id, 'doc', updated);
+
+  return { action: 'pulled', revision: revision.revision_number };
+}
+
+/**
+ * Sync one doc with its file
+ * Returns { action: 'written'|'pulled'|'conflict'|'unchanged'|'unpublished', path }
+ */
+async function syncDoc(projectPath, doc, folder, taken) {
+  const relPath = targetPath(doc, folder, taken);
+  const fullPath = await pathPolicy.resolveInside(projectPath, relPath);
+
+  const raw = await readFile(fullPath);
+  const editedOnDisk = raw !== null && Boolean(doc.sync_hash) && hashContent(raw) !== doc.sync_hash;
+  const docChanged = (doc.revision || 0) !== (doc.synced_revision || 0);
+
+  if (editedOnDisk) {
+    const { data } = frontMatter.parse(raw);
+    if (data.clair_id && data.clair_id !== doc.id) {
+      return { action: 'conflict', path: relPath, reason: `File belongs to doc ${data.clair_id}` };
+    }
+    if (docChanged) {
+      return {
+        action: 'conflict',
+        path: relPath,
+        reason: `Edited on disk and in Clair since revision ${doc.synced_revision}`
+      };
+    }
+    return { ...(await pullDiskEdit(doc, raw, relPath, fullPath)), path: relPath };
+  }
+
+  if (doc.status !== 'published') {
+    return { action: raw === null ? 'unchanged' : 'unpublished', path: relPath };
+  }
+
+  if (raw !== null && !docChanged && doc.sync_path) {
+    return { action: 'unchanged', path: relPath };
+  }
+
+  // Never overwrite a file Clair didn't write
+  if (raw !== null && !doc.sync_hash && frontMatter.parse(raw).data.clair_id !== doc.id) {
+    return { action: 'conflict', path: relPath, reason: 'A file Clair did not write already exists at this path' };
+  }
+
+  const file = renderFile(doc);
+  await pathPolicy.mkdir(path.dirname(fullPath), { source: 'docSync' });
+  await pathPolicy.writeFile(fullPath, file, { source: 'docSync' });
+
+  await markSynced(doc.id, {
+    sync_path: relPath,
+    sync_hash: hashContent(file),
+    synced_revision: doc.revision || 0
+  });
+
+  return { action: 'written', path: relPath };
+}
+
+/**
+ * Sync a project's published (and previously synced) docs
+ * options.docIds limits the run, options.force runs even when sync is disabled
+ */
+async function syncProject(projectPath, { docIds = null, force = false } = {}) {
+  const settings = await getSettings(projectPath);
+  if (!settings.is_enabled && !force) {
+    throw syncError('Doc sync is not enabled for this project', 409);
+  }
+
+  const root = path.resolve(projectPath);
+  const stat = await fs.stat(root).catch(() => null);
+  if (!stat || !stat.isDirectory()) throw syncError(`Project path not found: ${projectPath}`, 404);
+
+  const folder = normalizeFolder(settings.folder || DEFAULT_FOLDER);
+
+  const [{ data: published, error: pubError }, { data: tracked, error: trackError }] = await Promise.all([
+    from('dev_ai_generated_docs').select(DOC_FIELDS).eq('project_id', projectPath).eq('status', 'published'),
+    from('dev_ai_generated_docs').select(DOC_FIELDS).eq('project_id', projectPath).not('sync_path', 'is', null)
+  ]);
+
+  if (pubError) throw pubError;
+  if (trackError) throw trackError;
+
+  const docs = new Map([...(tracked || []), ...(published || [])].map(d => [d.id, d]));
+  const selected = [...docs.values()].filter(d => !docIds || docIds.includes(d.id));
+  const taken = new Set([...docs.values()].map(d => d.sync_path).filter(Boolean));
+
+  const result = { written: [], pulled: [], conflicts: [], unpublished: [], unchanged: 0, errors: [] };
+
+  for (const doc of selected) {
+    try {
+      const outcome = await syncDoc(root, doc, folder, taken);
+      const entry = { id: doc.id, title: doc.title, path: outcome.path };
+
+      if (outcome.action === 'written') result.written.push(entry);
+      else if (outcome.action === 'pulled') result.pulled.push({ ...entry, revision: outcome.revision });
+      else if (outcome.action === 'conflict') result.conflicts.push({ ...entry, reason: outcome.reason });
+      else if (outcome.action === 'unpublished') result.unpublished.push(entry);
+      else result.unchanged++;
+    } catch (err) {
+      logger.error('Doc sync failed', { docId: doc.id, error: err.message });
+      result.errors.push({ id: doc.id, title: doc.title, error: err.message });
+    }
+  }
+
+  if (settings.id) {
+    await from('dev_ai_doc_sync')
+      .update({
+        last_synced_at: new Date().toISOString(),
+        last_result: {
+          written: result.written.length,
+          pulled: result.pulled.length,
+          conflicts: result.conflicts.length,
+          errors: result.errors.length
+        }
+      })
+      .eq('id', settings.id);
+  }
+
+  logger.info('Doc sync finished', {
+    projectPath,
+    written: result.written.length,
+    pulled: result.pulled.length,
+    conflicts: result.conflicts.length
+  });
+
+  return { folder, ...result };
+}
+
+async function updateJobStatus(status, result = {}) {
+  try {
+    await from('dev_ai_clair_schedule')
+      .update({
+        status,
+        last_run_at: new Date().toISOString(),
+        last_result: result,
+        last_error: result.error || null
+      })
+      .eq('job_name', JOB_NAME);
+  } catch (err) {
+    logger.error('Failed to update job status', { error: err.message });
+  }
+}
+
+/**
+ * Scheduled run across every project with sync enabled
+ */
+async function runDocSync() {
+  if (isRunning) {
+    logger.info('Doc sync already running, skipping');
+    return null;
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+
+  try {
+    await updateJobStatus('running');
+
+    const { data: projects, error } = await from('dev_ai_doc_sync')
+      .select('project_id')
+      .eq('is_enabled', true);
+
+    if (error) throw error;
+
+    const totals = { projects: 0, written: 0, pulled: 0, conflicts: 0 };
+    for (const { project_id } of projects || []) {
+      try {
+        const result = await syncProject(project_id);
+        totals.projects++;
+        totals.written += result.written.length;
+        totals.pulled += result.pulled.length;
+        totals.conflicts += result.conflicts.length;
+      } catch (err) {
+        logger.error('Project doc sync failed', { projectPath: project_id, error: err.message });
+      }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    logger.info('Doc sync complete', { ...totals, duration: `${duration}s` });
+    await updateJobStatus('completed', { success: true, ...totals, duration: `${duration}s` });
+
+    return totals;
+  } catch (error) {
+    logger.error('Doc sync failed', { error: error.message });
+    await updateJobStatus('failed', { error: error.message });
+    return { success: false, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
+
+function initDocSyncScheduler() {
+  cron.schedule('45 * * * *', async () => {
+    await runDocSync();
+  }, { timezone: 'America/Los_Angeles' });
+
+  console.log('[DocSync] Scheduler ready - hourly at :45');
+}
+
+module.exports = {
+  initDocSyncScheduler,
+  runDocSync,
+  syncProject,
+  getSettings,
+  updateSettings,
+  normalizeFolder,
+  renderFile,
+  DEFAULT_FOLDER
+};
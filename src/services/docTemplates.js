@@ -0,0 +1,364 @@
+/**
+ * Doc Templates Service
+ *
+ * Registry of doc types and their outlines (dev_ai_doc_templates).
+ * Lookup order for a doc type: project override -> global row -> built-in.
+ * Outlines and prompts use {{placeholders}} filled from project metadata.
+ */
+
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Clair:DocTemplates');
+
+const DOC_TYPE_PATTERN = /^[a-z][a-z0-9_-]{1,29}$/;
+
+/**
+ * Built-in templates - used until a registry row overrides them
+ */
+const BUILTIN_TEMPLATES = {
+  howto: {
+    name: 'How-To Guide',
+    description: 'Step-by-step instructions for a task',
+    outline: `# {{title}}
+
+## Overview
+[Description of what this guide covers]
+
+## Prerequisites
+- [ ] Prerequisite 1
+- [ ] Prerequisite 2
+
+## Steps
+
+### Step 1: [Action]
+[Instructions]
+
+### Step 2: [Action]
+[Instructions]
+
+## Troubleshooting
+[Common issues and solutions]
+
+## Related Guides
+- [Link to related guide]
+`
+  },
+  schematic: {
+    name: 'System Schematic',
+    description: 'Components, data flow and data model with generated diagrams',
+    outline: `# {{title}}
+
+## Overview
+[System description]
+
+## Components
+| Component | Purpose | Location |
+|-----------|---------|----------|
+| | | |
+
+## Data Flow
+<!-- diagram:dataflow -->
+[How requests move through the system]
+
+## Component Map
+<!-- diagram:components -->
+
+## Data Model
+<!-- diagram:er -->
+
+## Connections
+[How components interact]
+`
+  },
+  breakdown: {
+    name: 'System Breakdown',
+    description: 'Each component, where it lives and what it depends on',
+    outline: `# {{title}}
+
+## Purpose
+[What this system does]
+
+## Components
+
+### Component 1
+- **Purpose**:
+- **Location**:
+- **Dependencies**:
+
+### Component 2
+- **Purpose**:
+- **Location**:
+- **Dependencies**:
+
+## Module Dependencies
+<!-- diagram:dependencies -->
+[Which modules the others lean on, and any circular dependencies]
+
+## How It Works
+[Step-by-step explanation]
+`
+  },
+  reference: {
+    name: 'Reference Document',
+    description: 'Concise technical reference',
+    outline: `# {{title}}
+
+## Overview
+[Description]
+
+## Details
+[Content]
+
+## See Also
+- [Related items]
+`
+  },
+  guide: {
+    name: 'Guide',
+    description: 'General informative guide',
+    outline: `# {{title}}
+
+## Introduction
+[Overview]
+
+## Content
+[Main content]
+
+## Summary
+[Key takeaways]
+`
+  }
+};
+
+/**
+ * Validate a template body - returns a list of problems (empty = valid)
+ */
+function validateTemplate(body, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || body.doc_type !== undefined) {
+    if (!DOC_TYPE_PATTERN.test(body.doc_type || '')) {
+      errors.push('doc_type must be 2-30 lowercase letters, digits, _ or - (starting with a letter)');
+    }
+  }
+  if (!partial || body.name !== undefined) {
+    if (!body.name) errors.push('name is required');
+  }
+  if (!partial || body.outline !== undefined) {
+    if (!body.outline) errors.push('outline is required');
+  }
+
+  return errors;
+}
+
+/**
+ * Project metadata for placeholders (dev_project_ids -> dev_projects)
+ */
+async function getProjectMetadata(projectPath) {
+  const values = {
+    project_path: projectPath || '',
+    project_name: projectPath ? projectPath.split('/').pop() : '',
+    project_slug: '',
+    project_description: '',
+    git_repo: '',
+    port_dev: '',
+    date: new Date().toISOString().split('T')[0]
+  };
+
+  if (!projectPath) return values;
+
+  const { data: pathData } = await from('dev_project_ids')
+    .select('project_id')
+    .eq('path', projectPath)
+    .single();
+
+  if (!pathData) return values;
+
+  const { data: project } = await from('dev_projects')
+    .select('*')
+    .eq('id', pathData.project_id)
+    .single();
+
+  if (!project) return values;
+
+  return {
+    ...values,
+    project_name: project.name || values.project_name,
+    project_slug: project.slug || '',
+    project_description: project.description || '',
+    git_repo: project.git_repo || '',
+    port_dev: project.port_dev ? String(project.port_dev) : ''
+  };
+}
+
+/**
+ * Replace {{key}} with values[key] - unknown keys are left as-is
+ */
+function fillPlaceholders(text, values) {
+  if (!text) return text;
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+  ));
+}
+
+/**
+ * Registry rows visible to a project (globals + its overrides)
+ */
+async function getRegistryRows(projectPath) {
+  const { data, error } = await from('dev_ai_doc_templates')
+    .select('*')
+    .eq('is_active', true)
+    .order('doc_type');
+
+  if (error) {
+    logger.warn('Failed to load doc templates, using built-ins', { error: error.message });
+    return [];
+  }
+
+  return (data || []).filter(row => !row.project_id || row.project_id === projectPath);
+}
+
+/**
+ * Effective template per doc type for a project
+ * Returns { [docType]: { doc_type, name, description, outline, system_prompt, source, id } }
+ */
+async function getEffectiveTemplates(projectPath) {
+  const effective = {};
+
+  for (const [docType, template] of Object.entries(BUILTIN_TEMPLATES)) {
+    effective[docType] = { doc_type: docType, ...template, system_prompt: null, source: 'builtin', id: null };
+  }
+
+  const rows = await getRegistryRows(projectPath);
+
+  // Globals first so project overrides win
+  const ordered = [...rows.filter(r => !r.project_id), ...rows.filter(r => r.project_id)];
+  for (const row of ordered) {
+    effective[row.doc_type] = {
+      doc_type: row.doc_type,
+      name: row.name,
+      description: row.description,
+      outline: row.outline,
+      system_prompt: row.system_prompt,
+      source: row.project_id ? 'project' : 'global',
+      id: row.id
+    };
+  }
+
+  return effective;
+}
+
+/**
+ * Doc types available to a project
+ */
+async function listDocTypes(projectPath) {
+  return Object.keys(await getEffectiveTemplates(projectPath)).sort();
+}
+
+/**
+ * Resolve and fill the template for a doc - null when the type doesn't exist
+ * Returns { doc_type, name, outline, system_prompt, source, values }
+ */
+async function renderTemplate(docType, projectPath, { title } = {}) {
+  const templates = await getEffectiveTemplates(projectPath);
+  const template = templates[docType];
+  if (!template) return null;
+
+  const values = {
+    ...(await getProjectMetadata(projectPath)),
+    doc_type: docType,
+    title: title || template.name
+  };
+
+  return {
+    ...template,
+    outline: fillPlaceholders(template.outline, values),
+    system_prompt: fillPlaceholders(template.system_prompt, values),
+    values
+  };
+}
+
+// ============================================
+// Registry CRUD
+// ============================================
+
+async function listTemplates(projectPath = null) {
+  const { data, error } = await from('dev_ai_doc_templates')
+    .select('*')
+    .order('doc_type');
+
+  if (error) throw error;
+
+  return (data || []).filter(row => !projectPath || !row.project_id || row.project_id === projectPath);
+}
+
+async function getTemplateById(id) {
+  const { data, error } = await from('dev_ai_doc_templates')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data || null;
+}
+
+async function createTemplate(body) {
+  const { data, error } = await from('dev_ai_doc_templates')
+    .insert({
+      doc_type: body.doc_type,
+      project_id: body.project_id || null,
+      name: body.name,
+      description: body.description || null,
+      outline: body.outline,
+      system_prompt: body.system_prompt || null,
+      is_active: body.is_active !== false
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info('Template created', { docType: data.doc_type, projectId: data.project_id });
+  return data;
+}
+
+async function updateTemplate(id, body) {
+  const updates = {};
+  ['doc_type', 'name', 'description', 'outline', 'system_prompt', 'is_active'].forEach(field => {
+    if (body[field] !== undefined) updates[field] = body[field];
+  });
+  updates.updated_at = new Date().toISOString();
+
+  const { data, error } = await from('dev_ai_doc_templates')
+    .update(updates)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function deleteTemplate(id) {
+  const { error } = await from('dev_ai_doc_templates')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+}
+
+module.exports = {
+  renderTemplate,
+  listDocTypes,
+  getEffectiveTemplates,
+  getProjectMetadata,
+  fillPlaceholders,
+  validateTemplate,
+  listTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  BUILTIN_TEMPLATES
+};
@@ -0,0 +1,312 @@
+/**
+ * File Status Service
+ *
+ * Classifies every node of a project's tree for the Structure tab color coding:
+ * - active, deprecated, config, test, generated
+ * - Rules cover test naming, config filenames, build output and code files nothing references
+ *   (from the dependency graph)
+ * - Manual overrides per project (dev_ai_file_status_overrides) beat the rules; a folder
+ *   override applies to everything inside it that has no override of its own
+ * - Folders without a rule or override roll up their files' statuses
+ *
+ * Classifications are cached per project until the tree index or the overrides change.
+ */
+
+const path = require('path');
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const treeIndex = require('./treeIndex');
+const dependencyGraph = require('./dependencyGraph');
+
+const logger = new Logger('Clair:FileStatus');
+
+const FILE_STATUSES = ['active', 'deprecated', 'config', 'test', 'generated'];
+const CACHE_MS = 10 * 60 * 1000;
+
+// Checked against the lowercased relative path, first match wins
+const FILE_RULES = [
+  { status: 'generated', reason: 'Lockfile', pattern: /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|composer\.lock|gemfile\.lock|poetry\.lock|cargo\.lock)$/ },
+  { status: 'generated', reason: 'Minified or bundled output', pattern: /\.(min\.(js|css)|bundle\.js|map)$/ },
+  { status: 'generated', reason: 'Generated file', pattern: /(\.generated\.|\.g\.|\.pb\.)[a-z]+$/ },
+  { status: 'test', reason: 'Test file name', pattern: /\.(test|spec|e2e)\.[a-z]+$|(^|\/)test_[^/]+\.py$|_test\.(go|py|rb)$|_spec\.rb$/ },
+  { status: 'config', reason: 'Environment file', pattern: /(^|\/)\.env(\.[^/]+)?$/ },
+  { status: 'config', reason: 'Config file name', pattern: /(^|\/)[^/]+\.(config|conf|rc)\.[a-z]+$|(^|\/)\.[^/]+rc(\.[a-z]+)?$/ },
+  { status: 'config', reason: 'Config file name', pattern: /(^|\/)(package\.json|tsconfig[^/]*\.json|jsconfig\.json|ecosystem\.config\.[a-z]+|dockerfile|docker-compose[^/]*\.ya?ml|makefile|procfile|\.gitignore|\.clairignore|\.dockerignore|\.npmignore|\.editorconfig|\.nvmrc|\.node-version|vercel\.json|netlify\.toml|pyproject\.toml|setup\.cfg|requirements[^/]*\.txt|gemfile|cargo\.toml|go\.mod)$/ },
+  { status: 'config', reason: 'Config file', pattern: /\.(ya?ml|toml|ini)$/ },
+  { status: 'deprecated', reason: 'Marked old in its name', pattern: /\.(old|bak|orig|backup)$|[._-](old|deprecated|legacy|backup|bak)\.[a-z]+$|(^|\/)(old|deprecated|legacy)[._-][^/]+$/ }
+];
+
+// Checked against a folder's lowercased name - applies to everything inside it
+const FOLDER_RULES = [
+  { status: 'generated', reason: 'Build output folder', pattern: /^(dist|build|out|coverage|\.next|\.nuxt|\.turbo|\.output|__generated__|generated)$/ },
+  { status: 'test', reason: 'Test folder', pattern: /^(tests?|__tests__|__mocks__|specs?|e2e|cypress|fixtures|__fixtures__)$/ },
+  { status: 'config', reason: 'Config folder', pattern: /^(config|\.github|\.vscode|\.husky)$/ },
+  { status: 'deprecated', reason: 'Deprecated folder', pattern: /^(old|deprecated|legacy|archive|archived|_old)$/ }
+];
+
+// Code files that run without being required by anything (checked against the lowercased relative path)
+const ENTRY_RULES = [
+  /^(index|server|app|main)\.[a-z]+$/,
+  /(^|\/)(bin|scripts|migrations|seeds|pages|app)\//,
+  /(^|\/)(middleware|instrumentation)\.[a-z]+$/
+];
+
+// projectPath -> { refreshedAt, builtAt, cachedAt, statuses }
+const cache = new Map();
+
+function toPosix(relPath) {
+  return String(relPath || '').split(path.sep).join('/');
+}
+
+/**
+ * Status a rule gives a file - null when no rule matches
+ */
+function classifyFile(relPath) {
+  const lower = toPosix(relPath).toLowerCase();
+  const rule = FILE_RULES.find(r => r.pattern.test(lower));
+  return rule ? { status: rule.status, reason: rule.reason } : null;
+}
+
+function classifyFolder(name) {
+  const lower = String(name || '').toLowerCase();
+  const rule = FOLDER_RULES.find(r => r.pattern.test(lower));
+  return rule ? { status: rule.status, reason: rule.reason } : null;
+}
+
+function isEntryPoint(relPath) {
+  const lower = toPosix(relPath).toLowerCase();
+  return ENTRY_RULES.some(pattern => pattern.test(lower));
+}
+
+function emptyCounts() {
+  return Object.fromEntries(FILE_STATUSES.map(status => [status, 0]));
+}
+
+/**
+ * Folder status from its files' counts: the only status present, otherwise active when
+ * anything is active, otherwise the most common one
+ */
+function rollupStatus(counts) {
+  const present = FILE_STATUSES.filter(status => counts[status] > 0);
+  if (present.length === 0) return 'active';
+  if (present.length === 1) return present[0];
+  if (counts.active > 0) return 'active';
+  return present.sort((a, b) => counts[b] - counts[a])[0];
+}
+
+/**
+ * Classify a whole index tree
+ * graph is the project's dependency graph - its modules that nothing references count as deprecated
+ * Returns Map(relPath -> { status, reason, source: 'override'|'rule'|'rollup'|'default', counts? })
+ * The project root is keyed ''
+ */
+function classifyTree(tree, overrides = [], graph = null) {
+  const overrideMap = new Map(overrides.map(o => [toPosix(o.path).replace(/^\/+|\/+$/g, ''), o]));
+  const referenced = graph ? dependencyGraph.getReferencedFiles(graph) : null;
+  const statuses = new Map();
+
+  function visit(node, relPath, inherited) {
+    const override = overrideMap.get(relPath);
+
+    if (node.type !== 'directory') {
+      let entry;
+      if (override) {
+        entry = { status: override.status, reason: override.note || 'Set by hand', source: 'override' };
+      } else if (inherited) {
+        entry = { ...inherited };
+      } else {
+        const rule = classifyFile(relPath);
+        if (rule) {
+          entry = { ...rule, source: 'rule' };
+        } else if (graph?.modules[relPath] && !referenced.has(relPath) && !isEntryPoint(relPath)) {
+          entry = { status: 'deprecated', reason: 'Not referenced by any other file', source: 'rule' };
+        } else {
+          entry = { status: 'active', reason: null, source: 'default' };
+        }
+      }
+      statuses.set(relPath, entry);
+      return entry.status;
+    }
+
+    // Overrides and folder rules are handed down; a child's own override still wins
+    let own = null;
+    if (override) {
+      own = { status: override.status, reason: override.note || 'Set by hand', source: 'override' };
+    } else if (inherited) {
+      own = { ...inherited };
+    } else if (relPath) {
+      const rule = classifyFolder(node.name);
+      if (rule) own = { ...rule, source: 'rule' };
+    }
+
+    const counts = emptyCounts();
+    for (const child of node.children || []) {
+      const childRel = relPath ? `${relPath}/${child.name}` : child.name;
+      const childStatus = visit(child, childRel, own);
+      if (child.type === 'directory') {
+        const childCounts = statuses.get(childRel).counts;
+        for (const status of FILE_STATUSES) counts[status] += childCounts[status];
+      } else {
+        counts[childStatus]++;
+      }
+    }
+
+    const entry = own
+      ? { ...own, counts }
+      : { status: rollupStatus(counts), reason: null, source: 'rollup', counts };
+    statuses.set(relPath, entry);
+    return entry.status;
+  }
+
+  visit(tree, '', null);
+  return statuses;
+}
+
+/**
+ * Manual overrides for a project
+ */
+async function listOverrides(projectPath) {
+  const { data, error } = await from('dev_ai_file_status_overrides')
+    .select('*')
+    .eq('project_id', projectPath)
+    .order('path');
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Set (or replace) the override for a path
+ */
+async function setOverride(projectPath, relPath, status, { note = null, author = 'user' } = {}) {
+  const cleanPath = toPosix(relPath).replace(/^\/+|\/+$/g, '');
+
+  if (!FILE_STATUSES.includes(status)) {
+    const error = new Error(`status must be one of: ${FILE_STATUSES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  if (!cleanPath || cleanPath.split('/').includes('..')) {
+    const error = new Error('path must be a relative path inside the project');
+    error.status = 400;
+    throw error;
+  }
+
+  const { data, error } = await from('dev_ai_file_status_overrides')
+    .upsert({
+      project_id: projectPath,
+      path: cleanPath,
+      status,
+      note,
+      created_by: author,
+      updated_at: new Date().toISOString()
+    }, {
+      onConflict: 'project_id,path'
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  cache.delete(projectPath);
+  return data;
+}
+
+async function removeOverride(projectPath, id) {
+  const { error } = await from('dev_ai_file_status_overrides')
+    .delete()
+    .eq('project_id', projectPath)
+    .eq('id', id);
+
+  if (error) throw error;
+
+  cache.delete(projectPath);
+}
+
+/**
+ * Status of every path in the project, from cache while the tree index hasn't changed
+ */
+async function getStatuses(projectPath, { fresh = false } = {}) {
+  const index = await treeIndex.getIndex(projectPath);
+  const cached = cache.get(projectPath);
+
+  if (!fresh && cached &&
+      cached.refreshedAt === index.refreshedAt &&
+      cached.builtAt === index.builtAt &&
+      Date.now() - cached.cachedAt < CACHE_MS) {
+    return cached.statuses;
+  }
+
+  const startTime = Date.now();
+  const overrides = await listOverrides(projectPath);
+  const graph = await dependencyGraph.getGraph(projectPath).catch(err => {
+    logger.warn('Dependency graph unavailable, skipping the unreferenced rule', { projectPath, error: err.message });
+    return null;
+  });
+  const statuses = classifyTree(index.tree, overrides, graph);
+
+  cache.set(projectPath, {
+    refreshedAt: index.refreshedAt,
+    builtAt: index.builtAt,
+    cachedAt: Date.now(),
+    statuses
+  });
+
+  logger.info('File statuses classified', { projectPath, paths: statuses.size, duration: `${Date.now() - startTime}ms` });
+  return statuses;
+}
+
+/**
+ * Add status, statusReason (and statusCounts for folders) to a tree from treeIndex.getTree
+ */
+function applyStatuses(node, statuses, rootPath) {
+  const entry = statuses.get(toPosix(path.relative(rootPath, node.path)));
+
+  if (entry) {
+    node.status = entry.status;
+    if (entry.reason) node.statusReason = entry.reason;
+    if (entry.source === 'override') node.statusOverridden = true;
+    if (entry.counts) node.statusCounts = entry.counts;
+  }
+
+  for (const child of node.children || []) {
+    applyStatuses(child, statuses, rootPath);
+  }
+
+  return node;
+}
+
+/**
+ * Counts and file lists per status, optionally below one folder
+ */
+async function summarize(projectPath, { relPath = '', status = null } = {}) {
+  const statuses = await getStatuses(projectPath);
+  const prefix = toPosix(relPath).replace(/^\/+|\/+$/g, '');
+  const counts = emptyCounts();
+  const files = Object.fromEntries(FILE_STATUSES.map(s => [s, []]));
+
+  for (const [filePath, entry] of statuses) {
+    if (entry.counts) continue;
+    if (prefix && filePath !== prefix && !filePath.startsWith(`${prefix}/`)) continue;
+
+    counts[entry.status]++;
+    if (!status || status === entry.status) {
+      files[entry.status].push({ path: filePath, reason: entry.reason, source: entry.source });
+    }
+  }
+
+  return { counts, files: status ? { [status]: files[status] || [] } : files };
+}
+
+module.exports = {
+  getStatuses,
+  applyStatuses,
+  summarize,
+  classifyTree,
+  classifyFile,
+  classifyFolder,
+  listOverrides,
+  setOverride,
+  removeOverride,
+  FILE_STATUSES
+};
@@ -0,0 +1,169 @@
+/**
+ * File Tree Service
+ *
+ * Walks a project folder into a { name, path, type, children } tree.
+ * Shared by the structure routes and the diagram builder.
+ * Both walkers skip IGNORE_PATTERNS and whatever the project's ignore files exclude.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { createIgnoreMatcher } = require('./ignoreRules');
+
+// Folders/files to ignore
+const IGNORE_PATTERNS = [
+  'node_modules',
+  '.git',
+  '.next',
+  'dist',
+  'build',
+  '.cache',
+  '__pycache__',
+  '.DS_Store',
+  'Thumbs.db',
+  '*.log'
+];
+
+/**
+ * Build file tree from filesystem
+ * Honors the project's .gitignore / .clairignore files (matcher is created for the root call)
+ */
+async function buildTree(dirPath, maxDepth, currentDepth = 0, matcher = null) {
+  const ignore = matcher || createIgnoreMatcher(dirPath);
+  const relDir = path.relative(ignore.root, dirPath);
+
+  const tree = {
+    name: path.basename(dirPath),
+    path: dirPath,
+    type: 'directory',
+    children: []
+  };
+
+  if (currentDepth >= maxDepth) {
+    tree.truncated = true;
+    return tree;
+  }
+
+  try {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    await ignore.loadDir(relDir);
+
+    for (const entry of entries) {
+      // Skip ignored patterns
+      if (shouldIgnore(entry.name)) continue;
+      if (ignore.ignores(path.join(relDir, entry.name), entry.isDirectory())) continue;
+
+      const entryPath = path.join(dirPath, entry.name);
+
+      if (entry.isDirectory()) {
+        const subtree = await buildTree(entryPath, maxDepth, currentDepth + 1, ignore);
+        tree.children.push(subtree);
+      } else {
+        tree.children.push({
+          name: entry.name,
+          path: entryPath,
+          type: 'file',
+          extension: path.extname(entry.name)
+        });
+      }
+    }
+
+    // Sort: directories first, then files, alphabetically
+    tree.children.sort((a, b) => {
+      if (a.type !== b.type) {
+        return a.type === 'directory' ? -1 : 1;
+      }
+      return a.name.localeCompare(b.name);
+    });
+  } catch (err) {
+    tree.error = err.message;
+  }
+
+  return tree;
+}
+
+/**
+ * Check if file/folder should be ignored
+ */
+function shouldIgnore(name) {
+  return IGNORE_PATTERNS.some(pattern => {
+    if (pattern.includes('*')) {
+      const regex = new RegExp('^' + pattern.replace('*', '.*') + '$');
+      return regex.test(name);
+    }
+    return name === pattern;
+  });
+}
+
+/**
+ * Relative paths of files under a project that pass the ignore rules
+ * options.match(relPath, name) picks files, maxDepth/maxFiles bound the walk
+ */
+async function walkFiles(rootPath, { match = () => true, maxDepth = 12, maxFiles = 5000 } = {}) {
+  const root = path.resolve(rootPath);
+  const ignore = createIgnoreMatcher(root);
+  const found = [];
+
+  async function walk(relDir, depth) {
+    if (depth > maxDepth || found.length >= maxFiles) return;
+
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(root, relDir), { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+
+    await ignore.loadDir(relDir);
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (found.length >= maxFiles) return;
+      if (shouldIgnore(entry.name)) continue;
+
+      const relPath = relDir ? path.join(relDir, entry.name) : entry.name;
+      if (ignore.ignores(relPath, entry.isDirectory())) continue;
+
+      if (entry.isDirectory()) {
+        await walk(relPath, depth + 1);
+      } else if (entry.isFile() && match(relPath, entry.name)) {
+        found.push(relPath);
+      }
+    }
+  }
+
+  await walk('', 0);
+  return found;
+}
+
+/**
+ * Annotate tree with descriptions
+ * Keys are project-relative paths ('src/lib'); older keys prefixed with the root name still match
+ * Values are description strings or { description, source } - a human description wins whichever key it is under
+ * relPath is the parent's relative path - null when node is the project root
+ */
+function annotateTree(node, descMap, currentPath, relPath = null) {
+  const nodePath = currentPath ? `${currentPath}/${node.name}` : node.name;
+  const nodeRel = relPath === null ? '' : (relPath ? `${relPath}/${node.name}` : node.name);
+
+  const candidates = [nodeRel && descMap[nodeRel], descMap[nodePath]].filter(Boolean);
+  const entry = candidates.find(c => c.source === 'human') || candidates[0];
+  const description = typeof entry === 'string' ? entry : entry?.description;
+  if (description) {
+    node.description = description;
+  }
+
+  if (node.children) {
+    node.children.forEach(child => {
+      annotateTree(child, descMap, nodePath, nodeRel);
+    });
+  }
+}
+
+module.exports = {
+  buildTree,
+  walkFiles,
+  shouldIgnore,
+  annotateTree,
+  IGNORE_PATTERNS
+};
@@ -0,0 +1,463 @@
+/**
+ * Folder Describer Service
+ *
+ * Writes short AI descriptions for the Structure tab (dev_ai_folder_descriptions):
+ * - Samples each folder's files: names, exports and header comments
+ * - One model call per folder returns the folder description plus one line per file
+ * - Human-written descriptions (source = 'human') are never overwritten
+ * - AI descriptions are refreshed when the folder's entries changed significantly
+ *   (at least 3 entries and 30% of the folder added or removed since the last run)
+ *
+ * Runs as the 'Scan Project Structure' job at 4am (PST) when its config has add_descriptions
+ */
+
+const cron = require('node-cron');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { from } = require('../lib/db');
+const ai = require('../lib/ai');
+const { Logger } = require('../lib/logger');
+const treeIndex = require('./treeIndex');
+
+const logger = new Logger('Clair:FolderDescriber');
+
+const JOB_NAME = 'Scan Project Structure';
+const DEFAULTS = { max_folders: 40, max_depth: 4, describe_files: true, model: 'gpt-4o-mini' };
+const SAMPLE_FILES = 12;
+const SAMPLE_CHARS = 4000;
+const SIGNIFICANT_MIN = 3;
+const SIGNIFICANT_RATIO = 0.3;
+
+const TEXT_EXTENSIONS = [
+  '.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.json', '.md', '.py', '.rb', '.go', '.rs',
+  '.java', '.php', '.sh', '.sql', '.yml', '.yaml', '.toml', '.css', '.scss', '.html', '.vue', '.svelte'
+];
+
+let isRunning = false;
+
+/**
+ * Header comment and exported names from the top of a source file
+ */
+function summarizeSource(content) {
+  const text = content || '';
+  let header = null;
+
+  const block = text.match(/^\s*(?:#![^\n]*\n\s*)?\/\*\*?([\s\S]*?)\*\//);
+  if (block) {
+    header = block[1].split('\n').map(l => l.replace(/^\s*\*\s?/, '').trim()).filter(Boolean).join(' ');
+  } else {
+    const lines = text.match(/^(?:\s*(?:\/\/|#)(?!!)[^\n]*\n)+/);
+    if (lines) header = lines[0].split('\n').map(l => l.replace(/^\s*(?:\/\/|#)\s?/, '').trim()).filter(Boolean).join(' ');
+  }
+
+  if (!header) {
+    const heading = text.match(/^#\s+(.+)$/m);
+    if (heading) header = heading[1].trim();
+  }
+
+  const exportsFound = new Set();
+  const cjs = text.match(/module\.exports\s*=\s*\{([^}]*)\}/);
+  if (cjs) {
+    cjs[1].split(',').map(e => e.split(':')[0].trim()).filter(e => /^\w+$/.test(e)).forEach(e => exportsFound.add(e));
+  }
+  for (const match of text.matchAll(/^export\s+(?:default\s+)?(?:async\s+)?(?:function\*?|class|const|let|var)\s+(\w+)/gm)) {
+    exportsFound.add(match[1]);
+  }
+  for (const match of text.matchAll(/^exports\.(\w+)\s*=/gm)) {
+    exportsFound.add(match[1]);
+  }
+
+  return {
+    header: header ? header.slice(0, 300) : null,
+    exports: [...exportsFound].slice(0, 15)
+  };
+}
+
+/**
+ * Entry names a folder description is written from ('name/' for subfolders)
+ */
+function folderEntries(node) {
+  return (node.children || [])
+    .map(c => (c.type === 'directory' ? `${c.name}/` : c.name))
+    .sort();
+}
+
+function entrySignature(entries) {
+  return crypto.createHash('sha256').update(entries.join('\n')).digest('hex');
+}
+
+/**
+ * Did the folder change enough since its description was written?
+ */
+function changedSignificantly(previous, current) {
+  if (!Array.isArray(previous)) return true;
+
+  const before = new Set(previous);
+  const after = new Set(current);
+  const added = current.filter(e => !before.has(e)).length;
+  const removed = previous.filter(e => !after.has(e)).length;
+  const changed = added + removed;
+
+  return changed >= SIGNIFICANT_MIN && changed / Math.max(before.size, after.size, 1) >= SIGNIFICANT_RATIO;
+}
+
+/**
+ * Names, exports and header comments of a folder's files
+ */
+async function sampleFolder(node) {
+  const files = (node.children || []).filter(c => c.type === 'file');
+  const folders = (node.children || []).filter(c => c.type === 'directory').map(c => c.name);
+
+  const readable = files
+    .filter(f => TEXT_EXTENSIONS.includes((f.extension || '').toLowerCase()) && (f.size ?? 0) < 512 * 1024)
+    .slice(0, SAMPLE_FILES);
+
+  const sampled = [];
+  for (const file of readable) {
+    try {
+      const handle = await fs.open(file.path, 'r');
+      const buffer = Buffer.alloc(SAMPLE_CHARS);
+      const { bytesRead } = await handle.read(buffer, 0, SAMPLE_CHARS, 0);
+      await handle.close();
+      sampled.push({ name: file.name, ...summarizeSource(buffer.toString('utf-8', 0, bytesRead)) });
+    } catch (err) {
+      sampled.push({ name: file.name, header: null, exports: [] });
+    }
+  }
+
+  return {
+    files: files.map(f => f.name),
+    folders,
+    sampled
+  };
+}
+
+function buildPrompt(relPath, sample, describeFiles) {
+  const lines = [`Folder: ${relPath}`];
+
+  if (sample.folders.length > 0) lines.push(`Subfolders: ${sample.folders.join(', ')}`);
+  lines.push(`Files (${sample.files.length}): ${sample.files.slice(0, 40).join(', ')}${sample.files.length > 40 ? ', ...' : ''}`);
+
+  if (sample.sampled.length > 0) {
+    lines.push('', 'File details:');
+    sample.sampled.forEach(f => {
+      const parts = [];
+      if (f.header) parts.push(`header: ${f.header}`);
+      if (f.exports.length > 0) parts.push(`exports: ${f.exports.join(', ')}`);
+      lines.push(`- ${f.name}${parts.length > 0 ? ` (${parts.join('; ')})` : ''}`);
+    });
+  }
+
+  lines.push('', `Return JSON: {"folder": "one sentence, max 15 words, what this folder is for"${describeFiles
+    ? ', "files": {"<file name>": "max 12 words, what the file does"}} - only files listed under File details'
+    : '}'}`);
+  lines.push('Only describe what the names, headers and exports show. No guessing about features that are not visible.');
+
+  return lines.join('\n');
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    const match = String(text || '').match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    try {
+      return JSON.parse(match[0]);
+    } catch (innerErr) {
+      return null;
+    }
+  }
+}
+
+function modelKeyFor(model) {
+  const entry = Object.entries(ai.MODELS).find(([key, id]) => key === model || id === model);
+  return entry ? entry[0] : 'gpt_mini';
+}
+
+/**
+ * Ask the model for one folder - returns { folder, files: { name: description } }
+ */
+async function describeFolder(relPath, sample, { modelKey = 'gpt_mini', describeFiles = true } = {}) {
+  const response = await ai.generateWithModel(modelKey, buildPrompt(relPath, sample, describeFiles), {
+    system: 'You are Clair, the documentation manager. You write short, factual descriptions of code folders and files for a project structure view.',
+    maxTokens: describeFiles ? 900 : 200,
+    jsonMode: !modelKey.startsWith('claude'),
+    taskType: 'simple_summary'
+  });
+
+  const parsed = parseJson(response.content);
+  if (!parsed || typeof parsed.folder !== 'string' || !parsed.folder.trim()) {
+    throw new Error(`Model returned no folder description for ${relPath}`);
+  }
+
+  const known = new Set(sample.sampled.map(f => f.name));
+  const files = {};
+  if (describeFiles && parsed.files && typeof parsed.files === 'object') {
+    for (const [name, description] of Object.entries(parsed.files)) {
+      if (known.has(name) && typeof description === 'string' && description.trim()) {
+        files[name] = description.trim();
+      }
+    }
+  }
+
+  return { folder: parsed.folder.trim(), files, modelId: response.modelId };
+}
+
+/**
+ * Insert or update an AI description - human rows are left alone
+ */
+async function saveAiDescription(projectPath, relPath, pathType, description, existing, extra = {}) {
+  if (existing?.source === 'human') return null;
+
+  const row = {
+    description,
+    source: 'ai',
+    path_type: pathType,
+    generated_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    ...extra
+  };
+
+  if (existing) {
+    const { data, error } = await from('dev_ai_folder_descriptions')
+      .update(row)
+      .eq('id', existing.id)
+      .eq('source', 'ai')
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  const { data, error } = await from('dev_ai_folder_descriptions')
+    .insert({ project_id: projectPath, folder_path: relPath, ...row })
+    .select()
+    .single();
+
+  // Someone described it by hand in the meantime - theirs wins
+  if (error) {
+    logger.warn('Skipped AI description', { projectPath, relPath, error: error.message });
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Description rows keyed by project-relative path
+ * Older rows were stored as '<root name>/src/lib' - they count for 'src/lib', and a human row
+ * wins over an AI one when both keys are present
+ */
+function descriptionsByPath(rows, projectPath) {
+  const legacyPrefix = `${path.basename(projectPath)}/`;
+  const byPath = new Map();
+
+  for (const row of rows || []) {
+    const legacy = row.folder_path.startsWith(legacyPrefix);
+    const key = legacy ? row.folder_path.slice(legacyPrefix.length) : row.folder_path;
+    const current = byPath.get(key);
+
+    if (!current || (row.source === 'human' && current.source !== 'human') ||
+        (row.source === current.source && !legacy)) {
+      byPath.set(key, row);
+    }
+  }
+
+  return byPath;
+}
+
+/**
+ * Folders of the indexed tree, breadth first, with their relative paths
+ */
+function collectFolders(tree, maxDepth) {
+  const folders = [];
+  const queue = (tree.children || []).filter(c => c.type === 'directory').map(node => ({ node, relPath: node.name, depth: 1 }));
+
+  while (queue.length > 0) {
+    const item = queue.shift();
+    if ((item.node.children || []).length > 0) folders.push(item);
+    if (item.depth >= maxDepth) continue;
+
+    (item.node.children || [])
+      .filter(c => c.type === 'directory')
+      .forEach(child => queue.push({ node: child, relPath: `${item.relPath}/${child.name}`, depth: item.depth + 1 }));
+  }
+
+  return folders;
+}
+
+/**
+ * Describe a project's undescribed (or significantly changed) folders
+ * options: force (rewrite every AI description), paths (only these folders),
+ *          max_folders, max_depth, describe_files, model, dryRun (only report what would be described)
+ */
+async function describeProject(projectPath, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const modelKey = modelKeyFor(settings.model);
+
+  const { tree } = await treeIndex.getIndex(projectPath, { wait: true });
+
+  const { data: rows, error } = await from('dev_ai_folder_descriptions')
+    .select('id, folder_path, description, source, sampled_entries')
+    .eq('project_id', projectPath);
+
+  if (error) throw error;
+
+  const existing = descriptionsByPath(rows, projectPath);
+  const wanted = settings.paths ? new Set(settings.paths.map(p => String(p).replace(/^\/+|\/+$/g, ''))) : null;
+
+  const result = { folders: 0, described: [], refreshed: [], human: 0, unchanged: 0, failed: [], remaining: 0 };
+  const queue = [];
+
+  for (const { node, relPath } of collectFolders(tree, settings.max_depth)) {
+    if (wanted && !wanted.has(relPath)) continue;
+    result.folders++;
+
+    const row = existing.get(relPath);
+    if (row?.source === 'human') {
+      result.human++;
+      continue;
+    }
+
+    const entries = folderEntries(node);
+    if (row && !settings.force && !changedSignificantly(row.sampled_entries, entries)) {
+      result.unchanged++;
+      continue;
+    }
+
+    queue.push({ node, relPath, row, entries });
+  }
+
+  const batch = queue.slice(0, settings.max_folders);
+  result.remaining = queue.length - batch.length;
+
+  if (settings.dryRun) {
+    return { ...result, pending: batch.map(f => ({ path: f.relPath, refresh: Boolean(f.row) })) };
+  }
+
+  for (const { node, relPath, row, entries } of batch) {
+    try {
+      const sample = await sampleFolder(node);
+      const described = await describeFolder(relPath, sample, { modelKey, describeFiles: settings.describe_files });
+
+      const saved = await saveAiDescription(projectPath, relPath, 'folder', described.folder, row, {
+        sampled_entries: entries,
+        content_signature: entrySignature(entries),
+        model: described.modelId
+      });
+
+      for (const [name, description] of Object.entries(described.files)) {
+        const filePath = `${relPath}/${name}`;
+        await saveAiDescription(projectPath, filePath, 'file', description, existing.get(filePath), { model: described.modelId });
+      }
+
+      if (saved) {
+        (row ? result.refreshed : result.described).push({ path: relPath, description: described.folder, files: Object.keys(described.files).length });
+      }
+    } catch (err) {
+      logger.error('Folder description failed', { projectPath, relPath, error: err.message });
+      result.failed.push({ path: relPath, error: err.message });
+    }
+  }
+
+  logger.info('Folder descriptions written', {
+    projectPath,
+    described: result.described.length,
+    refreshed: result.refreshed.length,
+    human: result.human,
+    remaining: result.remaining
+  });
+
+  return result;
+}
+
+async function updateJobStatus(status, result = {}) {
+  try {
+    await from('dev_ai_clair_schedule')
+      .update({
+        status,
+        last_run_at: new Date().toISOString(),
+        last_result: result,
+        last_error: result.error || null
+      })
+      .eq('job_name', JOB_NAME);
+  } catch (err) {
+    logger.error('Failed to update job status', { error: err.message });
+  }
+}
+
+/**
+ * Scheduled run over every project folder, following the job's config
+ */
+async function runDescriptionJob() {
+  if (isRunning) {
+    logger.info('Description job already running, skipping');
+    return null;
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+
+  try {
+    const { data: job } = await from('dev_ai_clair_schedule')
+      .select('is_enabled, config')
+      .eq('job_name', JOB_NAME)
+      .single();
+
+    if (!job || !job.is_enabled || !job.config?.add_descriptions) {
+      await updateJobStatus('skipped', { reason: 'add_descriptions is off' });
+      return { skipped: true };
+    }
+
+    await updateJobStatus('running');
+
+    const { data: paths, error } = await from('dev_project_ids').select('path');
+    if (error) throw error;
+
+    const totals = { projects: 0, described: 0, refreshed: 0, failed: 0 };
+    for (const projectPath of [...new Set((paths || []).map(p => p.path).filter(Boolean))]) {
+      const stat = await fs.stat(path.resolve(projectPath)).catch(() => null);
+      if (!stat || !stat.isDirectory()) continue;
+
+      try {
+        const result = await describeProject(projectPath, job.config);
+        totals.projects++;
+        totals.described += result.described.length;
+        totals.refreshed += result.refreshed.length;
+        totals.failed += result.failed.length;
+      } catch (err) {
+        logger.error('Project description run failed', { projectPath, error: err.message });
+      }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    await updateJobStatus('completed', { success: true, ...totals, duration: `${duration}s` });
+    return totals;
+  } catch (error) {
+    logger.error('Description job failed', { error: error.message });
+    await updateJobStatus('failed', { error: error.message });
+    return { success: false, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
+
+function initDescriptionScheduler() {
+  cron.schedule('0 4 * * *', async () => {
+    await runDescriptionJob();
+  }, { timezone: 'America/Los_Angeles' });
+
+  console.log('[FolderDescriber] Scheduler ready - daily at 4am');
+}
+
+module.exports = {
+  initDescriptionScheduler,
+  runDescriptionJob,
+  describeProject,
+  summarizeSource,
+  changedSignificantly,
+  folderEntries,
+  buildPrompt
+};
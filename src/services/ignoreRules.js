@@ -0,0 +1,197 @@
+/**
+ * Ignore Rules Service
+ *
+ * Git-style ignore matching for the project scanners (structure tree, tree index, TODO scan, doc import):
+ * - .gitignore files at any level, .git/info/exclude, plus an optional .clairignore
+ *   (read after .gitignore in the same folder, so it can override it)
+ * - Same semantics as git: last matching rule wins, deeper files beat higher ones,
+ *   "!" re-includes, trailing "/" matches folders only, a "/" elsewhere anchors the
+ *   pattern to its file's folder, "**" spans folders
+ * - Like git, nothing inside an ignored folder can be re-included (walkers don't descend)
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const IGNORE_FILES = ['.gitignore', '.clairignore'];
+
+function escapeRegex(char) {
+  return /[.+^${}()|[\]\\]/.test(char) ? `\\${char}` : char;
+}
+
+/**
+ * One path segment of a glob (no slashes) as a regex source
+ */
+function segmentToRegex(segment) {
+  let re = '';
+
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+
+    if (char === '\\' && i + 1 < segment.length) {
+      re += escapeRegex(segment[++i]);
+    } else if (char === '*') {
+      while (segment[i + 1] === '*') i++;
+      re += '[^/]*';
+    } else if (char === '?') {
+      re += '[^/]';
+    } else if (char === '[') {
+      const close = segment.indexOf(']', i + 2);
+      if (close === -1) {
+        re += '\\[';
+        continue;
+      }
+      let body = segment.slice(i + 1, close);
+      if (body[0] === '!') body = `^${body.slice(1)}`;
+      re += `[${body.replace(/\\/g, '\\\\')}]`;
+      i = close;
+    } else {
+      re += escapeRegex(char);
+    }
+  }
+
+  return re;
+}
+
+/**
+ * Compile one ignore-file line - null for blanks and comments
+ * Returns { pattern, regex, negate, dirOnly }
+ */
+function compileRule(line) {
+  // Trailing spaces are dropped unless escaped
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  let dirOnly = false;
+  if (pattern.endsWith('/')) {
+    dirOnly = true;
+    pattern = pattern.replace(/\/+$/, '');
+  }
+  if (!pattern) return null;
+
+  const anchored = pattern.includes('/');
+  const segments = pattern.replace(/^\//, '').split('/').filter(Boolean);
+
+  let re = '';
+  let needSlash = false;
+  segments.forEach((segment, i) => {
+    const last = i === segments.length - 1;
+    if (segment === '**') {
+      if (last) re += needSlash ? '/.*' : '.*';
+      else re += needSlash ? '(?:/.*)?/' : '(?:.*/)?';
+      needSlash = false;
+    } else {
+      re += (needSlash ? '/' : '') + segmentToRegex(segment);
+      needSlash = true;
+    }
+  });
+
+  return {
+    pattern: line.trim(),
+    regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${re}$`),
+    negate,
+    dirOnly
+  };
+}
+
+function parseIgnoreFile(content) {
+  return String(content || '').split(/\r?\n/).map(compileRule).filter(Boolean);
+}
+
+function toPosix(relPath) {
+  return String(relPath || '').split(path.sep).join('/').replace(/^\.(?:\/|$)/, '');
+}
+
+/**
+ * Matcher for one project root
+ * - loadDir(relDir) reads the ignore files in a folder (walkers call it before listing the folder)
+ * - ignores(relPath, isDirectory) checks a path against every loaded folder above it
+ * - files: { 'relative/.gitignore': mtimeMs } of the ignore files found so far
+ */
+function createIgnoreMatcher(rootPath, { extraRules = [] } = {}) {
+  const root = path.resolve(rootPath);
+  const rulesByDir = new Map();
+  const files = {};
+
+  async function readRules(fullPath, relFile) {
+    try {
+      const [content, stat] = await Promise.all([fs.readFile(fullPath, 'utf-8'), fs.stat(fullPath)]);
+      files[relFile] = stat.mtimeMs;
+      return parseIgnoreFile(content);
+    } catch (err) {
+      return [];
+    }
+  }
+
+  async function loadDir(relDir = '') {
+    const dir = toPosix(relDir);
+    if (rulesByDir.has(dir)) return rulesByDir.get(dir);
+
+    const rules = [];
+    if (dir === '') {
+      rules.push(...extraRules.map(compileRule).filter(Boolean));
+      rules.push(...await readRules(path.join(root, '.git', 'info', 'exclude'), '.git/info/exclude'));
+    }
+
+    for (const name of IGNORE_FILES) {
+      const relFile = dir ? `${dir}/${name}` : name;
+      rules.push(...await readRules(path.join(root, relFile), relFile));
+    }
+
+    rulesByDir.set(dir, rules);
+    return rules;
+  }
+
+  function ignores(relPath, isDirectory = false) {
+    const target = toPosix(relPath);
+    if (!target) return false;
+
+    let ignored = false;
+    const parts = target.split('/');
+
+    // Root folder first, deepest last - later matches win
+    for (let depth = 0; depth < parts.length; depth++) {
+      const dir = parts.slice(0, depth).join('/');
+      const rules = rulesByDir.get(dir);
+      if (!rules || rules.length === 0) continue;
+
+      const local = parts.slice(depth).join('/');
+      for (const rule of rules) {
+        if (rule.dirOnly && !isDirectory) continue;
+        if (rule.regex.test(local)) ignored = !rule.negate;
+      }
+    }
+
+    return ignored;
+  }
+
+  return { root, loadDir, ignores, files };
+}
+
+/**
+ * Matcher with every ignore file on the way from the root down to relDir loaded
+ */
+async function loadAncestors(matcher, relDir) {
+  const parts = toPosix(relDir).split('/').filter(Boolean);
+  await matcher.loadDir('');
+  for (let i = 1; i <= parts.length; i++) {
+    await matcher.loadDir(parts.slice(0, i).join('/'));
+  }
+  return matcher;
+}
+
+module.exports = {
+  createIgnoreMatcher,
+  loadAncestors,
+  compileRule,
+  parseIgnoreFile,
+  IGNORE_FILES
+};
@@ -0,0 +1,402 @@
+/**
+ * Links Service
+ *
+ * Cross-references between docs, knowledge entries, journal entries (ideas, work logs)
+ * and decisions / lessons (dev_ai_decisions, dev_ai_lessons) written inside content as:
+ * - [[Title]]            resolved by title (docs first, then knowledge, journal, decisions, lessons)
+ * - [[type:id]]          resolved by id, e.g. [[doc:5f1c...]] or [[decision:9a2e...]]
+ * - [[type:Title]]       title lookup limited to one type
+ * - [[target|label]]     any of the above with display text
+ *
+ * Links are stored in dev_ai_links on save, which gives backlinks and the project graph.
+ */
+
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Clair:Links');
+
+// content: the columns whose text is scanned for links
+const ITEM_TABLES = {
+  doc: { table: 'dev_ai_generated_docs', kind: 'doc_type', content: ['content'] },
+  knowledge: { table: 'dev_ai_knowledge', kind: 'knowledge_type', content: ['content'] },
+  journal: { table: 'dev_ai_journal', kind: 'entry_type', content: ['content'] },
+  decision: {
+    table: 'dev_ai_decisions',
+    kind: 'status',
+    content: ['context', 'path_a_description', 'results_a', 'path_b_description', 'results_b', 'reasoning']
+  },
+  lesson: { table: 'dev_ai_lessons', kind: 'category', content: ['what_was_tried', 'the_problem', 'the_solution', 'prevention_notes'] }
+};
+
+const ITEM_TYPES = Object.keys(ITEM_TABLES);
+
+// Prefixes allowed in [[type:...]] and the item types they search
+const TYPE_ALIASES = {
+  doc: ['doc'],
+  knowledge: ['knowledge'],
+  journal: ['journal'],
+  decision: ['decision', 'journal', 'knowledge'],
+  lesson: ['lesson', 'journal', 'knowledge'],
+  idea: ['journal', 'knowledge'],
+  work_log: ['journal', 'knowledge']
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const LINK_PATTERN = /\[\[([^[\]\n|]+?)(?:\|([^[\]\n]+?))?\]\]/g;
+
+/**
+ * Find [[...]] links in content (ignores code blocks and inline code)
+ * Returns [{ ref, label, types, id, title }] - one per distinct ref
+ */
+function parseLinks(content) {
+  const text = (content || '')
+    .replace(/^(\s*)(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\s*\2\s*$/gm, '')
+    .replace(/`[^`\n]*`/g, '');
+
+  const links = new Map();
+
+  for (const match of text.matchAll(LINK_PATTERN)) {
+    const ref = match[1].trim();
+    if (!ref || links.has(ref)) continue;
+
+    const link = { ref, label: match[2]?.trim() || null, types: null, id: null, title: ref };
+
+    const typed = ref.match(/^(\w+):\s*(.+)$/);
+    if (typed && TYPE_ALIASES[typed[1].toLowerCase()]) {
+      link.types = TYPE_ALIASES[typed[1].toLowerCase()];
+      const value = typed[2].trim();
+      if (UUID_PATTERN.test(value)) {
+        link.id = value;
+        link.title = null;
+      } else {
+        link.title = value;
+      }
+    }
+
+    links.set(ref, link);
+  }
+
+  return [...links.values()];
+}
+
+/**
+ * Text of an item's content columns, in one string
+ */
+function itemContent(type, item) {
+  return ITEM_TABLES[type].content.map(column => item[column]).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Every linkable item in a project - [{ type, id, title, kind }]
+ */
+async function loadIndex(projectPath, { withContent = false } = {}) {
+  const index = [];
+
+  for (const [type, { table, kind, content }] of Object.entries(ITEM_TABLES)) {
+    const { data, error } = await from(table)
+      .select(`id, title, ${kind}${withContent ? `, ${content.join(', ')}` : ''}`)
+      .eq('project_id', projectPath);
+
+    if (error) {
+      logger.warn('Failed to load items for link index', { table, error: error.message });
+      continue;
+    }
+
+    (data || []).forEach(item => index.push({
+      type,
+      id: item.id,
+      title: item.title || '',
+      kind: item[kind] || null,
+      ...(withContent ? { content: itemContent(type, item) } : {})
+    }));
+  }
+
+  return index;
+}
+
+/**
+ * Resolve one parsed link against the index
+ * Returns { target: { type, id, title } | null, ambiguous }
+ */
+function resolveLink(link, index) {
+  const allowed = link.types || ITEM_TYPES;
+
+  if (link.id) {
+    const item = index.find(i => i.id === link.id && allowed.includes(i.type));
+    return { target: item ? { type: item.type, id: item.id, title: item.title } : null, ambiguous: false };
+  }
+
+  const wanted = link.title.toLowerCase();
+  const matches = index
+    .filter(i => allowed.includes(i.type) && i.title.toLowerCase() === wanted)
+    .sort((a, b) => allowed.indexOf(a.type) - allowed.indexOf(b.type));
+
+  if (matches.length === 0) return { target: null, ambiguous: false };
+  const [first] = matches;
+  return { target: { type: first.type, id: first.id, title: first.title }, ambiguous: matches.length > 1 };
+}
+
+/**
+ * Parse + resolve without saving (editor validation)
+ * Returns { links: [{ ref, label, target, ambiguous }], unresolved: [ref], ambiguous: [ref] }
+ */
+async function validateContent(projectPath, content, index = null) {
+  const items = index || await loadIndex(projectPath);
+  const links = parseLinks(content).map(link => ({ ref: link.ref, label: link.label, ...resolveLink(link, items) }));
+
+  return {
+    links,
+    unresolved: links.filter(l => !l.target).map(l => l.ref),
+    ambiguous: links.filter(l => l.ambiguous).map(l => l.ref)
+  };
+}
+
+/**
+ * Re-resolve the project's dangling links (a new/renamed item may now match)
+ */
+async function resolvePending(projectPath, index) {
+  const { data: pending, error } = await from('dev_ai_links')
+    .select('id, target_ref')
+    .eq('project_id', projectPath)
+    .is('target_id', null);
+
+  if (error || !pending || pending.length === 0) return 0;
+
+  let resolved = 0;
+  for (const row of pending) {
+    const [link] = parseLinks(`[[${row.target_ref}]]`);
+    const { target } = link ? resolveLink(link, index) : { target: null };
+    if (!target) continue;
+
+    await from('dev_ai_links')
+      .update({ target_type: target.type, target_id: target.id })
+      .eq('id', row.id);
+    resolved++;
+  }
+
+  if (resolved > 0) logger.info('Resolved pending links', { projectPath, resolved });
+  return resolved;
+}
+
+/**
+ * Store the links found in an item's content (replaces its previous links)
+ * Call after every save of a doc / knowledge / journal entry
+ */
+async function syncLinks(projectPath, sourceType, sourceId, content, index = null) {
+  if (!ITEM_TABLES[sourceType]) {
+    throw new Error(`Invalid link source type. Must be one of: ${ITEM_TYPES.join(', ')}`);
+  }
+
+  const items = index || await loadIndex(projectPath);
+  const result = await validateContent(projectPath, content, items);
+
+  const { error: deleteError } = await from('dev_ai_links')
+    .delete()
+    .eq('source_type', sourceType)
+    .eq('source_id', sourceId);
+
+  if (deleteError) throw deleteError;
+
+  const rows = result.links
+    .filter(l => !(l.target && l.target.type === sourceType && l.target.id === sourceId))
+    .map(l => ({
+      project_id: projectPath,
+      source_type: sourceType,
+      source_id: sourceId,
+      target_ref: l.ref,
+      target_type: l.target?.type || null,
+      target_id: l.target?.id || null,
+      label: l.label
+    }));
+
+  if (rows.length > 0) {
+    const { error } = await from('dev_ai_links').insert(rows);
+    if (error) throw error;
+  }
+
+  await resolvePending(projectPath, items);
+
+  return result;
+}
+
+/**
+ * syncLinks for writes that already succeeded - a failure is logged and returns null
+ * item: the saved row (its content columns are read)
+ */
+async function trySyncLinks(projectPath, sourceType, item) {
+  try {
+    return await syncLinks(projectPath, sourceType, item.id, itemContent(sourceType, item));
+  } catch (err) {
+    logger.error('Link sync failed', { projectPath, sourceType, sourceId: item.id, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Item deleted - drop its links and turn links pointing at it into dangling ones
+ */
+async function removeItemLinks(type, id) {
+  await from('dev_ai_links')
+    .delete()
+    .eq('source_type', type)
+    .eq('source_id', id);
+
+  await from('dev_ai_links')
+    .update({ target_type: null, target_id: null })
+    .eq('target_type', type)
+    .eq('target_id', id);
+}
+
+/**
+ * Titles for a set of { type, id } items - { 'type:id': { title, kind } }
+ */
+async function describeItems(refs) {
+  const described = {};
+
+  for (const type of ITEM_TYPES) {
+    const ids = [...new Set(refs.filter(r => r.type === type).map(r => r.id))];
+    if (ids.length === 0) continue;
+
+    const { table, kind } = ITEM_TABLES[type];
+    const { data } = await from(table)
+      .select(`id, title, ${kind}`)
+      .in('id', ids);
+
+    (data || []).forEach(item => {
+      described[`${type}:${item.id}`] = { title: item.title, kind: item[kind] || null };
+    });
+  }
+
+  return described;
+}
+
+/**
+ * Everything that links to an item
+ */
+async function getBacklinks(type, id) {
+  const { data, error } = await from('dev_ai_links')
+    .select('source_type, source_id, target_ref, label, created_at')
+    .eq('target_type', type)
+    .eq('target_id', id)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const described = await describeItems((data || []).map(l => ({ type: l.source_type, id: l.source_id })));
+
+  return (data || []).map(l => ({
+    type: l.source_type,
+    id: l.source_id,
+    title: described[`${l.source_type}:${l.source_id}`]?.title || null,
+    kind: described[`${l.source_type}:${l.source_id}`]?.kind || null,
+    ref: l.target_ref,
+    label: l.label
+  }));
+}
+
+/**
+ * Links written in an item (resolved and dangling)
+ */
+async function getOutgoing(type, id) {
+  const { data, error } = await from('dev_ai_links')
+    .select('target_ref, target_type, target_id, label')
+    .eq('source_type', type)
+    .eq('source_id', id);
+
+  if (error) throw error;
+
+  const described = await describeItems((data || [])
+    .filter(l => l.target_id)
+    .map(l => ({ type: l.target_type, id: l.target_id })));
+
+  return (data || []).map(l => ({
+    ref: l.target_ref,
+    label: l.label,
+    resolved: Boolean(l.target_id),
+    type: l.target_type,
+    id: l.target_id,
+    title: l.target_id ? described[`${l.target_type}:${l.target_id}`]?.title || null : null
+  }));
+}
+
+/**
+ * Project knowledge graph for the UI
+ * nodes: [{ id: 'type:id', type, itemId, title, kind, inbound, outbound }]
+ * edges: [{ source: 'type:id', target: 'type:id', label }]
+ */
+async function getGraph(projectPath, { includeIsolated = true } = {}) {
+  const [index, { data: links, error }] = await Promise.all([
+    loadIndex(projectPath),
+    from('dev_ai_links')
+      .select('source_type, source_id, target_type, target_id, label')
+      .eq('project_id', projectPath)
+  ]);
+
+  if (error) throw error;
+
+  const nodes = new Map(index.map(item => [`${item.type}:${item.id}`, {
+    id: `${item.type}:${item.id}`,
+    type: item.type,
+    itemId: item.id,
+    title: item.title,
+    kind: item.kind,
+    inbound: 0,
+    outbound: 0
+  }]));
+
+  const edges = [];
+  let unresolved = 0;
+
+  for (const link of links || []) {
+    if (!link.target_id) {
+      unresolved++;
+      continue;
+    }
+
+    const source = nodes.get(`${link.source_type}:${link.source_id}`);
+    const target = nodes.get(`${link.target_type}:${link.target_id}`);
+    if (!source || !target) continue;
+
+    source.outbound++;
+    target.inbound++;
+    edges.push({ source: source.id, target: target.id, label: link.label });
+  }
+
+  const nodeList = [...nodes.values()].filter(n => includeIsolated || n.inbound > 0 || n.outbound > 0);
+
+  return { nodes: nodeList, edges, unresolved };
+}
+
+/**
+ * Re-scan every item in a project (backfill after the migration)
+ */
+async function rebuildProject(projectPath) {
+  const index = await loadIndex(projectPath, { withContent: true });
+  let links = 0;
+  let unresolved = 0;
+
+  for (const item of index) {
+    if (!item.content || !item.content.includes('[[')) continue;
+    const result = await syncLinks(projectPath, item.type, item.id, item.content, index);
+    links += result.links.length;
+    unresolved += result.unresolved.length;
+  }
+
+  logger.info('Links rebuilt', { projectPath, items: index.length, links, unresolved });
+  return { items: index.length, links, unresolved };
+}
+
+module.exports = {
+  parseLinks,
+  resolveLink,
+  validateContent,
+  syncLinks,
+  trySyncLinks,
+  removeItemLinks,
+  getBacklinks,
+  getOutgoing,
+  getGraph,
+  rebuildProject,
+  ITEM_TYPES
+};
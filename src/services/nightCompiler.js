@@ -14,6 +14,9 @@
 const cron = require('node-cron');
 const supabase = require('../../../shared/db');
 const ai = require('../lib/ai');
+const { getStaleDocs } = require('./staleDocs');
+const { getStructuralChanges } = require('./structureSnapshots');
+const links = require('./links');
 
 
 async function updateJobStatus(jobName, status, result = {}) {
@@ -198,6 +201,16 @@ async function processLessonsTab(projectId) {
   };
 }
 
+// Folders registered for a project - doc, knowledge and structure rows are keyed by path, not by dev_projects.id
+async function getProjectPaths(projectId) {
+  const { data: paths } = await supabase
+    .from('dev_project_ids')
+    .select('path')
+    .eq("project_id", projectId);
+
+  return [...new Set((paths || []).map(p => p.path).filter(Boolean))];
+}
+
 async function processDocsTab(projectId) {
   const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
 
@@ -213,15 +226,46 @@ async function processDocsTab(projectId) {
     .eq("project_id", projectId)
     .gte('created_at', yesterday);
 
-  const needsUpdate = (structures?.length > 0) || (conventions?.length > 0);
+  // Docs whose source files/knowledge changed since they were written
+  const stale = [];
+  for (const projectPath of await getProjectPaths(projectId)) {
+    try {
+      stale.push(...await getStaleDocs(projectPath));
+    } catch (err) {
+      console.error(`[NightCompiler] Failed to load stale docs for ${projectPath}:`, err.message);
+    }
+  }
+
+  const needsUpdate = (structures?.length > 0) || (conventions?.length > 0) || stale.length > 0;
 
   return {
     updated: needsUpdate,
     structureChanged: structures?.length > 0,
-    newConventions: conventions?.length || 0
+    newConventions: conventions?.length || 0,
+    staleDocs: stale.map(d => ({ id: d.id, title: d.title, reason: d.stale_reason }))
   };
 }
 
+async function processStructureTab(projectId) {
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  const changes = [];
+  for (const projectPath of await getProjectPaths(projectId)) {
+    try {
+      const diff = await getStructuralChanges(projectPath, yesterday);
+      if (diff?.updated) changes.push({ path: projectPath, ...diff });
+    } catch (err) {
+      console.error(`[NightCompiler] Structure diff failed for ${projectPath}:`, err.message);
+    }
+  }
+
+  if (changes.length === 0) {
+    return { updated: false, reason: 'No structural changes' };
+  }
+
+  return { updated: true, paths: changes };
+}
+
 async function processTimelineTab(projectId) {
   const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
 
@@ -291,13 +335,16 @@ LESSONS: ${JSON.stringify(tabResults.lessons, null, 2)}
 
 DOCS: ${JSON.stringify(tabResults.docs, null, 2)}
 
+STRUCTURE (files/folders added, removed, moved or resized): ${JSON.stringify(tabResults.structure, null, 2)}
+
 TIMELINE: ${JSON.stringify(tabResults.timeline, null, 2)}
 
 Write a concise journal entry with:
 1. OVERVIEW (2-3 sentences)
 2. KEY ACCOMPLISHMENTS (bullet points)
-3. CHALLENGES (if any)
-4. NEXT STEPS
+3. STRUCTURAL CHANGES (the actual paths added, removed, moved or resized - from STRUCTURE)
+4. CHALLENGES (if any)
+5. NEXT STEPS
 
 ONLY include sections that have actual data. Be accurate, no fluff.`;
 
@@ -316,6 +363,10 @@ ONLY include sections that have actual data. Be accurate, no fluff.`;
       .select()
       .single();
 
+    // Links resolve against the path-keyed docs and knowledge - use the project's first registered path
+    const [projectPath] = journal ? await getProjectPaths(projectId) : [];
+    if (projectPath) await links.trySyncLinks(projectPath, 'journal', journal);
+
     console.log(`[NightCompiler] Journal created for ${projectName}`);
     return journal;
 
@@ -353,6 +404,7 @@ async function runNightCompilation() {
         decisions: await processDecisionsTab(projectId),
         lessons: await processLessonsTab(projectId),
         docs: await processDocsTab(projectId),
+        structure: await processStructureTab(projectId),
         timeline: await processTimelineTab(projectId)
       };
 
@@ -410,5 +462,6 @@ module.exports = {
   processDecisionsTab,
   processLessonsTab,
   processDocsTab,
+  processStructureTab,
   processTimelineTab
 };
@@ -0,0 +1,242 @@
+/**
+ * Path Policy Service
+ *
+ * Filesystem paths taken from requests must stay inside a project root registered in dev_project_ids:
+ * - A project path resolves to a registered root or a folder inside one
+ * - Relative paths can't climb out of their base with .. or an absolute path
+ * - Symlinks are resolved (realpath) before the check, so a link can't point outside its root
+ * - Reads of project files (doc sources, imports, route files) resolve through resolveInside as well
+ * - Writes go through writeFile / mkdir here and are recorded in dev_ai_fs_audit, refused ones included
+ *
+ * Refusals are errors with status 403.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Clair:PathPolicy');
+
+const ROOTS_CACHE_MS = 60 * 1000;
+
+// { loadedAt, roots: [{ path, real }] }
+let rootsCache = null;
+
+function policyError(message, status = 403) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isInside(child, parent) {
+  return child === parent || child.startsWith(parent.endsWith(path.sep) ? parent : parent + path.sep);
+}
+
+function hasTraversal(requested) {
+  return String(requested).split(/[\\/]+/).includes('..');
+}
+
+/**
+ * Real path of target - for a path that doesn't exist yet, the real path of its nearest
+ * existing parent with the rest appended
+ */
+async function realpathNearest(target) {
+  let current = target;
+  const rest = [];
+
+  while (true) {
+    try {
+      return path.join(await fs.realpath(current), ...rest);
+    } catch (err) {
+      if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') throw err;
+      const parent = path.dirname(current);
+      if (parent === current) return target;
+      rest.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Registered project roots: [{ path, real }]
+ */
+async function getRoots({ fresh = false } = {}) {
+  if (!fresh && rootsCache && Date.now() - rootsCache.loadedAt < ROOTS_CACHE_MS) {
+    return rootsCache.roots;
+  }
+
+  const { data, error } = await from('dev_project_ids').select('path');
+  if (error) throw error;
+
+  const unique = [...new Set((data || []).map(row => row.path).filter(Boolean).map(p => path.resolve(p)))];
+  const roots = await Promise.all(unique.map(async root => ({ path: root, real: await realpathNearest(root) })));
+
+  rootsCache = { loadedAt: Date.now(), roots };
+  return roots;
+}
+
+/**
+ * Resolve an absolute path requested by a client
+ * Returns { path, root } - path is normalized, root is the registered root it lives in
+ */
+async function resolvePath(requested) {
+  if (!requested || !path.isAbsolute(String(requested))) {
+    throw policyError(`Path must be absolute: ${requested}`, 400);
+  }
+  if (hasTraversal(requested)) {
+    throw policyError(`Path traversal is not allowed: ${requested}`);
+  }
+
+  const resolved = path.resolve(String(requested));
+  const roots = await getRoots();
+  const root = roots
+    .filter(r => isInside(resolved, r.path))
+    .sort((a, b) => b.path.length - a.path.length)[0];
+
+  if (!root) {
+    throw policyError(`Not inside a registered project: ${resolved}`);
+  }
+
+  const real = await realpathNearest(resolved);
+  if (!isInside(real, root.real)) {
+    throw policyError(`Path leaves its project through a symlink: ${resolved}`);
+  }
+
+  return { path: resolved, root: root.path };
+}
+
+/**
+ * Resolve a relative path below base (itself checked with resolvePath)
+ * Returns the absolute path
+ */
+async function resolveInside(base, relPath = '') {
+  const rel = String(relPath || '');
+  if (path.isAbsolute(rel) || hasTraversal(rel)) {
+    throw policyError(`Path must stay inside ${base}: ${rel}`);
+  }
+
+  const { path: basePath } = await resolvePath(base);
+  const target = path.resolve(basePath, rel);
+  if (!isInside(target, basePath)) {
+    throw policyError(`Path must stay inside ${base}: ${rel}`);
+  }
+
+  const real = await realpathNearest(target);
+  if (!isInside(real, await realpathNearest(basePath))) {
+    throw policyError(`Path leaves ${base} through a symlink: ${rel}`);
+  }
+
+  return target;
+}
+
+/**
+ * Record a filesystem write - never throws, a failed audit insert is only logged
+ */
+async function audit({ root = null, target, operation, bytes = null, source = null, actor = 'clair', allowed = true, error = null }) {
+  try {
+    const { error: insertError } = await from('dev_ai_fs_audit').insert({
+      project_id: root,
+      path: target,
+      operation,
+      bytes,
+      source,
+      actor,
+      allowed,
+      error
+    });
+    if (insertError) throw insertError;
+  } catch (err) {
+    logger.error('Failed to write audit entry', { target, operation, error: err.message });
+  }
+
+  if (!allowed) {
+    logger.warn('Filesystem write refused', { target, operation, source, error });
+  }
+}
+
+/**
+ * Check a write target, run the write, and audit the outcome
+ */
+async function guardedWrite(target, operation, { source, actor, bytes = null }, write) {
+  let resolved;
+  try {
+    resolved = await resolvePath(target);
+  } catch (err) {
+    await audit({ target: String(target), operation, bytes, source, actor, allowed: false, error: err.message });
+    throw err;
+  }
+
+  try {
+    await write(resolved.path);
+  } catch (err) {
+    await audit({ root: resolved.root, target: resolved.path, operation, bytes, source, actor, allowed: true, error: err.message });
+    throw err;
+  }
+
+  await audit({ root: resolved.root, target: resolved.path, operation, bytes, source, actor });
+  return resolved.path;
+}
+
+/**
+ * fs.writeFile inside a registered project, audited
+ * options: { source: 'todos.create', actor: 'user', flag }
+ */
+async function writeFile(target, content, { source = null, actor = 'clair', flag = 'w' } = {}) {
+  return guardedWrite(target, 'write', { source, actor, bytes: Buffer.byteLength(content) }, fullPath =>
+    fs.writeFile(fullPath, content, { encoding: 'utf-8', flag })
+  );
+}
+
+/**
+ * fs.mkdir -p inside a registered project, audited
+ */
+async function mkdir(target, { source = null, actor = 'clair' } = {}) {
+  return guardedWrite(target, 'mkdir', { source, actor }, fullPath =>
+    fs.mkdir(fullPath, { recursive: true })
+  );
+}
+
+/**
+ * router.param('project', guardProject) - refuses requests whose :project is not a registered path
+ */
+async function guardProject(req, res, next, project) {
+  try {
+    await resolvePath(decodeURIComponent(project));
+    next();
+  } catch (error) {
+    logger.warn('Project path refused', { method: req.method, path: req.originalUrl, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Recent audit entries for a project root, newest first
+ */
+async function listAudit(projectPath, { limit = 100 } = {}) {
+  const { root } = await resolvePath(projectPath);
+
+  const { data, error } = await from('dev_ai_fs_audit')
+    .select('*')
+    .eq('project_id', root)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+function clearRootsCache() {
+  rootsCache = null;
+}
+
+module.exports = {
+  resolvePath,
+  resolveInside,
+  writeFile,
+  mkdir,
+  guardProject,
+  listAudit,
+  getRoots,
+  clearRootsCache
+};
@@ -0,0 +1,327 @@
+/**
+ * Portal Export Service - User Portal Knowledge Base
+ *
+ * Turns a project's published how-to guides into a self-contained static site:
+ * - index.html with category navigation and search
+ * - One page per category and per guide
+ * - Client-side search index (works from file:// - no server needed)
+ * - "Related guides" links between guides that cover similar topics
+ *
+ * Output to a directory on disk or streamed as a zip.
+ */
+
+const path = require('path');
+const archiver = require('archiver');
+const docExport = require('./docExport');
+const pathPolicy = require('./pathPolicy');
+
+const DOC_TYPE_CATEGORIES = {
+  howto: 'How-To Guides',
+  guide: 'Guides'
+};
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'how', 'you', 'your', 'this', 'that', 'from', 'into', 'are', 'can',
+  'will', 'use', 'using', 'step', 'steps', 'guide', 'overview', 'prerequisites', 'troubleshooting',
+  'related', 'guides', 'summary', 'introduction', 'what', 'when', 'then', 'have', 'has', 'not'
+]);
+
+const SITE_STYLES = `
+* { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; line-height: 1.6; }
+a { color: #0969da; text-decoration: none; } a:hover { text-decoration: underline; }
+.layout { display: flex; min-height: 100vh; }
+.sidebar { width: 270px; flex-shrink: 0; background: #f6f8fa; border-right: 1px solid #d1d9e0; padding: 1.5rem 1rem; }
+.sidebar h2 { font-size: 1rem; margin: 1.2rem 0 .4rem; } .sidebar ul { list-style: none; padding: 0; margin: 0; }
+.sidebar li { margin: .2rem 0; font-size: .93rem; } .sidebar .active { font-weight: 600; }
+.brand { font-size: 1.15rem; font-weight: 700; color: #1f2328; }
+main { flex: 1; max-width: 860px; padding: 2rem 2.5rem; }
+.search { width: 100%; padding: .5rem .7rem; border: 1px solid #d1d9e0; border-radius: 6px; font-size: 1rem; margin: 1rem 0 0; }
+.results { list-style: none; padding: 0; } .results li { padding: .6rem 0; border-bottom: 1px solid #eef1f4; }
+.results small, .meta { color: #59636e; }
+.cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: 1rem; }
+.card { border: 1px solid #d1d9e0; border-radius: 8px; padding: 1rem 1.2rem; }
+.card h3 { margin-top: 0; }
+pre { background: #f6f8fa; padding: 1rem; border-radius: 6px; overflow-x: auto; }
+code { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: .9em; }
+table { border-collapse: collapse; } th, td { border: 1px solid #d1d9e0; padding: .4em .7em; }
+.related { border-top: 1px solid #d1d9e0; margin-top: 2.5rem; padding-top: 1rem; }
+.hljs-keyword { color: #a626a4; } .hljs-string { color: #50a14f; } .hljs-comment { color: #a0a1a7; font-style: italic; }
+.hljs-number { color: #986801; } .hljs-title { color: #4078f2; } .hljs-built_in { color: #c18401; }
+@media (max-width: 760px) { .layout { flex-direction: column; } .sidebar { width: auto; } }
+`;
+
+// Runs in the browser - reads window.CLAIR_SEARCH_INDEX from search-index.js
+const SEARCH_SCRIPT = `
+(function () {
+  var input = document.getElementById('search');
+  var list = document.getElementById('results');
+  if (!input || !list) return;
+  var root = document.body.getAttribute('data-root') || '';
+  var index = window.CLAIR_SEARCH_INDEX || [];
+
+  function score(entry, terms) {
+    var total = 0;
+    for (var i = 0; i < terms.length; i++) {
+      var t = terms[i];
+      if (entry.title.toLowerCase().indexOf(t) !== -1) total += 5;
+      if (entry.headings.join(' ').toLowerCase().indexOf(t) !== -1) total += 2;
+      if (entry.text.indexOf(t) !== -1) total += 1; else return 0;
+    }
+    return total;
+  }
+
+  input.addEventListener('input', function () {
+    var terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    list.innerHTML = '';
+    if (terms.length === 0) return;
+    index
+      .map(function (e) { return { entry: e, score: score(e, terms) }; })
+      .filter(function (r) { return r.score > 0; })
+      .sort(function (a, b) { return b.score - a.score; })
+      .slice(0, 20)
+      .forEach(function (r) {
+        var li = document.createElement('li');
+        var a = document.createElement('a');
+        a.href = root + r.entry.url;
+        a.textContent = r.entry.title;
+        var small = document.createElement('small');
+        small.textContent = ' - ' + r.entry.category + ': ' + r.entry.excerpt;
+        li.appendChild(a);
+        li.appendChild(small);
+        list.appendChild(li);
+      });
+  });
+})();
+`;
+
+function categoryOf(doc) {
+  return doc.category || DOC_TYPE_CATEGORIES[doc.doc_type] || 'Guides';
+}
+
+function plainText(markdown) {
+  return String(markdown || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/[#>*_`|\[\]()!-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function headingsOf(markdown) {
+  return (String(markdown || '').match(/^#{1,3}\s+.+$/gm) || []).map(h => h.replace(/^#+\s+/, '').trim());
+}
+
+function keywords(doc) {
+  const text = `${doc.title} ${doc.title} ${headingsOf(doc.content).join(' ')}`.toLowerCase();
+  return new Set(text.split(/\W+/).filter(w => w.length > 2 && !STOP_WORDS.has(w)));
+}
+
+/**
+ * Pick up to `limit` related guides by shared keywords (same category breaks ties)
+ */
+function findRelated(pages, limit = 3) {
+  const related = {};
+  for (const page of pages) {
+    related[page.slug] = pages
+      .filter(other => other.slug !== page.slug)
+      .map(other => {
+        let shared = 0;
+        for (const word of page.keywords) {
+          if (other.keywords.has(word)) shared++;
+        }
+        return { page: other, score: shared + (shared > 0 && other.category === page.category ? 0.5 : 0) };
+      })
+      .filter(r => r.score >= 1)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(r => r.page);
+  }
+  return related;
+}
+
+function layout({ siteTitle, pageTitle, root, categories, activeSlug, body }) {
+  const nav = categories.map(cat => `<h2><a href="${root}categories/${cat.slug}.html">${docExport.escapeHtml(cat.name)}</a></h2>
+<ul>${cat.pages.map(p => `<li${p.slug === activeSlug ? ' class="active"' : ''}><a href="${root}guides/${p.slug}.html">${docExport.escapeHtml(p.title)}</a></li>`).join('')}</ul>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${docExport.escapeHtml(pageTitle ? `${pageTitle} - ${siteTitle}` : siteTitle)}</title>
+<link rel="stylesheet" href="${root}assets/style.css">
+</head>
+<body data-root="${root}">
+<div class="layout">
+<aside class="sidebar">
+<a class="brand" href="${root}index.html">${docExport.escapeHtml(siteTitle)}</a>
+<input id="search" class="search" type="search" placeholder="Search guides..." autocomplete="off">
+<ul id="results" class="results"></ul>
+${nav}
+</aside>
+<main>
+${body}
+</main>
+</div>
+<script src="${root}assets/search-index.js"></script>
+<script src="${root}assets/search.js"></script>
+${body.includes('class="mermaid"') ? docExport.mermaidScript(`${root}assets/mermaid.min.js`) : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build every file of the site in memory
+ * Returns { files: [{ path, content }], guides, categories }
+ */
+async function buildSite(projectPath, { title } = {}) {
+  const guides = await docExport.getPublishedGuides(projectPath);
+  const projectName = projectPath.split('/').pop() || projectPath;
+  const siteTitle = title || `${projectName} Knowledge Base`;
+
+  // Unique slugs per guide
+  const usedSlugs = {};
+  const pages = guides.map(doc => {
+    let slug = docExport.slugify(doc.title);
+    usedSlugs[slug] = (usedSlugs[slug] || 0) + 1;
+    if (usedSlugs[slug] > 1) slug += `-${usedSlugs[slug]}`;
+    return {
+      doc,
+      slug,
+      title: doc.title,
+      category: categoryOf(doc),
+      keywords: keywords(doc)
+    };
+  });
+
+  const categoryMap = {};
+  for (const page of pages) {
+    if (!categoryMap[page.category]) {
+      categoryMap[page.category] = { name: page.category, slug: docExport.slugify(page.category), pages: [] };
+    }
+    categoryMap[page.category].pages.push(page);
+  }
+  const categories = Object.values(categoryMap).sort((a, b) => a.name.localeCompare(b.name));
+  const related = findRelated(pages);
+
+  const files = [];
+
+  // Guide pages
+  for (const page of pages) {
+    const { html } = docExport.renderMarkdown(page.doc.content);
+    const relatedLinks = related[page.slug];
+    const updated = page.doc.updated_at || page.doc.generated_at;
+
+    files.push({
+      path: `guides/${page.slug}.html`,
+      content: layout({
+        siteTitle,
+        pageTitle: page.title,
+        root: '../',
+        categories,
+        activeSlug: page.slug,
+        body: `<p class="meta"><a href="../categories/${categoryMap[page.category].slug}.html">${docExport.escapeHtml(page.category)}</a>${updated ? ` - updated ${new Date(updated).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}` : ''}</p>
+${html}
+${relatedLinks.length > 0 ? `<section class="related"><h2>Related guides</h2><ul>${relatedLinks.map(r => `<li><a href="${r.slug}.html">${docExport.escapeHtml(r.title)}</a></li>`).join('')}</ul></section>` : ''}`
+      })
+    });
+  }
+
+  // Category pages
+  for (const category of categories) {
+    files.push({
+      path: `categories/${category.slug}.html`,
+      content: layout({
+        siteTitle,
+        pageTitle: category.name,
+        root: '../',
+        categories,
+        body: `<h1>${docExport.escapeHtml(category.name)}</h1>
+<ul>${category.pages.map(p => `<li><a href="../guides/${p.slug}.html">${docExport.escapeHtml(p.title)}</a></li>`).join('\n')}</ul>`
+      })
+    });
+  }
+
+  // Index page
+  files.push({
+    path: 'index.html',
+    content: layout({
+      siteTitle,
+      root: '',
+      categories,
+      body: `<h1>${docExport.escapeHtml(siteTitle)}</h1>
+<p class="meta">${pages.length} guides in ${categories.length} categories</p>
+<div class="cards">
+${categories.map(cat => `<div class="card"><h3><a href="categories/${cat.slug}.html">${docExport.escapeHtml(cat.name)}</a></h3>
+<ul>${cat.pages.slice(0, 6).map(p => `<li><a href="guides/${p.slug}.html">${docExport.escapeHtml(p.title)}</a></li>`).join('')}</ul>
+${cat.pages.length > 6 ? `<a href="categories/${cat.slug}.html">All ${cat.pages.length} guides</a>` : ''}</div>`).join('\n')}
+</div>`
+    })
+  });
+
+  // Search index - also written as JSON for other consumers
+  const searchIndex = pages.map(page => {
+    const text = plainText(page.doc.content);
+    return {
+      title: page.title,
+      url: `guides/${page.slug}.html`,
+      category: page.category,
+      headings: headingsOf(page.doc.content),
+      excerpt: text.slice(0, 160),
+      text: text.toLowerCase()
+    };
+  });
+
+  files.push({ path: 'assets/style.css', content: SITE_STYLES });
+  files.push({ path: 'assets/search.js', content: SEARCH_SCRIPT });
+  files.push({ path: 'assets/search-index.js', content: `window.CLAIR_SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n` });
+  files.push({ path: 'search-index.json', content: JSON.stringify(searchIndex, null, 2) });
+
+  // Pages with diagrams load the bundled mermaid from assets/
+  if (files.some(f => f.path.endsWith('.html') && f.content.includes('class="mermaid"'))) {
+    files.push({ path: 'assets/mermaid.min.js', content: docExport.mermaidBundle() });
+  }
+
+  return {
+    files,
+    guides: pages.length,
+    categories: categories.map(c => ({ name: c.name, guides: c.pages.length }))
+  };
+}
+
+/**
+ * Write the site files under outputDir (which must be inside a registered project)
+ */
+async function writeSite(site, outputDir) {
+  for (const file of site.files) {
+    const target = await pathPolicy.resolveInside(outputDir, file.path);
+    await pathPolicy.mkdir(path.dirname(target), { source: 'portalExport' });
+    await pathPolicy.writeFile(target, file.content, { source: 'portalExport' });
+  }
+  return site.files.map(f => f.path);
+}
+
+/**
+ * Stream the site as a zip into a writable stream (e.g. an HTTP response)
+ */
+function streamZip(site, output, folderName = 'knowledge-base') {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+    archive.pipe(output);
+    for (const file of site.files) {
+      archive.append(file.content, { name: `${folderName}/${file.path}` });
+    }
+    archive.finalize();
+  });
+}
+
+module.exports = {
+  buildSite,
+  writeSite,
+  streamZip,
+  findRelated
+};
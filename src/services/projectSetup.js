@@ -9,6 +9,7 @@
 
 const supabase = require('../../../shared/db');
 const { scanProjectFolder } = require('./autoFill');
+const { clearRootsCache } = require('./pathPolicy');
 
 
 /**
@@ -55,6 +56,9 @@ async function addProjectPath(projectId, path, label) {
     return null;
   }
 
+  // New root is allowed right away instead of after the policy's cache expires
+  clearRootsCache();
+
   console.log(`[ProjectSetup] Added path: ${path}`);
   return data;
 }
@@ -0,0 +1,216 @@
+/**
+ * Route Analyzer Service
+ *
+ * Static scan of a project's Express routes, without running it:
+ * - Starts at the entry file (package.json main, index.js, server.js, app.js)
+ * - Follows app.use('/prefix', require('./routes/x')) mounts, including routers mounted inside routers
+ * - Finds router.get/post/put/patch/delete/all('/path', ...) calls and composes the full path
+ * - Reads the comment right above each call and the req.params / req.query / req.body fields
+ *   its handler uses (destructuring and req.body.x access)
+ *
+ * router.route('/x').get(...) chains and dynamic paths are not picked up.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const diagrams = require('./diagrams');
+const pathPolicy = require('./pathPolicy');
+
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'all'];
+const FIELD_SOURCES = ['params', 'query', 'body'];
+const MAX_MOUNT_DEPTH = 5;
+
+const CALL_RE = new RegExp(`\\b(\\w+)\\.(${ROUTE_METHODS.join('|')})\\(\\s*(['"\`])([^'"\`]*)\\3`, 'g');
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Join a mount prefix and a route path: ('/api/docs', '/:id') -> '/api/docs/:id'
+ */
+function joinPaths(...parts) {
+  const joined = parts.join('/').split('/').filter(Boolean).join('/');
+  return `/${joined}`;
+}
+
+/**
+ * Variables that hold an app or router - router/app plus anything assigned express() or Router()
+ */
+function routerNames(source) {
+  const names = new Set(['router', 'app']);
+  for (const m of source.matchAll(/(?:const|let|var)\s+(\w+)\s*=\s*(?:express\.Router|Router|express)\(/g)) {
+    names.add(m[1]);
+  }
+  return names;
+}
+
+function lineAt(source, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) {
+    if (source.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+/**
+ * Comment lines directly above a line (// lines or a /* *\/ block) - [] when there is none
+ */
+function leadingComment(lines, lineIndex) {
+  const collected = [];
+  let i = lineIndex - 1;
+
+  if (i >= 0 && lines[i].trim().endsWith('*/')) {
+    while (i >= 0) {
+      collected.unshift(lines[i]);
+      if (lines[i].trim().startsWith('/*')) break;
+      i--;
+    }
+    return collected
+      .map(l => l.trim().replace(/^\/\*+\s?|\s*\*+\/$|^\*\s?/g, '').trim())
+      .filter(Boolean);
+  }
+
+  while (i >= 0 && lines[i].trim().startsWith('//')) {
+    collected.unshift(lines[i].trim().replace(/^\/\/+\s?/, '').trim());
+    i--;
+  }
+  return collected.filter(Boolean);
+}
+
+/**
+ * Summary from the first comment line - drops a leading "GET /api/x -" that repeats the route,
+ * falling back to the next line when that was all the first one said
+ */
+function summarize(comment) {
+  const lines = [...comment];
+  if (lines.length > 0) {
+    lines[0] = lines[0].replace(/^[A-Z]+(?:\s*\/\s*[A-Z]+)*\s+\/\S*\s*(?:[-–:]\s*)?/, '').trim();
+    if (!lines[0]) lines.shift();
+  }
+
+  return { summary: lines[0] || null, notes: lines.slice(1) };
+}
+
+/**
+ * req.params / req.query / req.body fields used in a piece of handler code
+ */
+function extractFields(code) {
+  const fields = Object.fromEntries(FIELD_SOURCES.map(s => [s, new Set()]));
+
+  for (const m of code.matchAll(/\{([^{}]*)\}\s*=\s*req\.(params|query|body)\b/g)) {
+    for (const part of m[1].split(',')) {
+      const trimmed = part.trim();
+      if (!trimmed || trimmed.startsWith('...')) continue;
+      const name = trimmed.split(/\s*[:=]\s*/)[0];
+      if (/^\w+$/.test(name)) fields[m[2]].add(name);
+    }
+  }
+
+  for (const m of code.matchAll(/req\.(params|query|body)(?:\?\.|\.)(\w+)|req\.(params|query|body)\[\s*['"`](\w+)['"`]\s*\]/g)) {
+    fields[m[1] || m[3]].add(m[2] || m[4]);
+  }
+
+  return Object.fromEntries(FIELD_SOURCES.map(s => [s, [...fields[s]]]));
+}
+
+/**
+ * Route calls in one file: [{ method, path, line, summary, notes, params, query, body }]
+ * path is as written in the file (not yet joined with the mount prefix)
+ */
+function parseRoutes(source) {
+  const names = routerNames(source);
+  const lines = source.split('\n');
+  const calls = [];
+
+  for (const m of source.matchAll(CALL_RE)) {
+    // app.get('env') reads a setting - route paths start with / or *
+    if (!names.has(m[1]) || !/^[/*]/.test(m[4])) continue;
+    calls.push({ index: m.index, method: m[2].toUpperCase(), path: m[4] });
+  }
+
+  return calls.map((call, i) => {
+    const line = lineAt(source, call.index);
+    const handler = source.slice(call.index, i + 1 < calls.length ? calls[i + 1].index : source.length);
+    const { summary, notes } = summarize(leadingComment(lines, line - 1));
+    const fields = extractFields(handler);
+
+    // Path parameters come from the path itself; keep any others the handler reads
+    const pathParams = [...call.path.matchAll(/:(\w+)/g)].map(p => p[1]);
+    const params = [...new Set([...pathParams, ...fields.params])];
+
+    return { method: call.method, path: call.path, line, summary, notes, params, query: fields.query, body: fields.body };
+  });
+}
+
+/**
+ * Analyze a project's Express routes
+ * Returns { entry, files: [{ path, content }], mounts: [{ path, file, from }], endpoints }
+ * endpoints: [{ method, path, mount, file, line, summary, notes, params, query, body }] in mount order
+ */
+async function analyzeRoutes(projectPath) {
+  const root = path.resolve(projectPath);
+  const entry = await diagrams.findEntry(root);
+
+  if (!entry) {
+    const error = new Error('No Express entry file found (package.json main, index.js, server.js or app.js)');
+    error.status = 404;
+    throw error;
+  }
+
+  const rel = file => toPosix(path.relative(root, file));
+  const files = new Map();
+  const mounts = [];
+  const endpoints = [];
+  const visited = new Set();
+  const queue = [{ file: entry, prefix: '', depth: 0 }];
+
+  while (queue.length > 0) {
+    const { file, prefix, depth } = queue.shift();
+    const key = `${file}\0${prefix}`;
+    if (visited.has(key)) continue;
+    visited.add(key);
+
+    let source = files.get(file);
+    if (source === undefined) {
+      try {
+        source = await fs.readFile(await pathPolicy.resolveInside(root, path.relative(root, file)), 'utf-8');
+      } catch (err) {
+        continue;
+      }
+      files.set(file, source);
+    }
+
+    for (const route of parseRoutes(source)) {
+      endpoints.push({
+        ...route,
+        path: joinPaths(prefix, route.path),
+        mount: prefix || '/',
+        file: rel(file)
+      });
+    }
+
+    if (depth >= MAX_MOUNT_DEPTH) continue;
+
+    for (const mount of await diagrams.findMounts(root, file, source)) {
+      const mountPath = joinPaths(prefix, mount.mount);
+      mounts.push({ path: mountPath, file: rel(mount.file), from: rel(file) });
+      queue.push({ file: mount.file, prefix: mountPath, depth: depth + 1 });
+    }
+  }
+
+  return {
+    entry: rel(entry),
+    files: [...files].map(([file, content]) => ({ path: rel(file), content })),
+    mounts,
+    endpoints
+  };
+}
+
+module.exports = {
+  analyzeRoutes,
+  parseRoutes,
+  extractFields,
+  joinPaths,
+  ROUTE_METHODS
+};
@@ -0,0 +1,40 @@
+/**
+ * Source Manifest
+ *
+ * The source_manifest stored on a generated doc: the files (with content hashes) and the
+ * dev_ai_knowledge / dev_ai_conventions rows it was built from. Generators build it here,
+ * the stale check (staleDocs) compares it against the current sources.
+ */
+
+const crypto = require('crypto');
+
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+function knowledgeHash(entry) {
+  return hashContent([entry.title, entry.summary, entry.content].map(v => v || '').join('\n'));
+}
+
+function conventionHash(convention) {
+  return hashContent([convention.category, convention.pattern, convention.example, convention.notes].map(v => v || '').join('\n'));
+}
+
+/**
+ * Build a manifest from the sources a doc was generated from
+ * files: [{ path, content }] (content already read)
+ */
+function buildManifest({ files = [], knowledge = [], conventions = [] }) {
+  return {
+    files: files.map(f => ({ path: f.path, hash: hashContent(f.content) })),
+    knowledge: knowledge.map(k => ({ id: k.id, hash: knowledgeHash(k) })),
+    conventions: conventions.map(c => ({ id: c.id, hash: conventionHash(c) }))
+  };
+}
+
+module.exports = {
+  buildManifest,
+  hashContent,
+  knowledgeHash,
+  conventionHash
+};
@@ -0,0 +1,257 @@
+/**
+ * Stale Docs Service
+ *
+ * Each generated doc keeps a source_manifest: the files (with content hashes)
+ * and the dev_ai_knowledge / dev_ai_conventions rows it was built from.
+ * This job re-hashes those sources and flags the doc as stale when any of them
+ * changed or disappeared, so the night compiler knows what to regenerate.
+ * Docs written from code (generator set, e.g. the API reference) are rebuilt right away
+ * by the rebuilder their generator registered (registerRebuilder).
+ *
+ * Runs every hour at :15 (PST)
+ */
+
+const cron = require('node-cron');
+const fs = require('fs').promises;
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const pathPolicy = require('./pathPolicy');
+const { buildManifest, hashContent, knowledgeHash, conventionHash } = require('./sourceManifest');
+
+const logger = new Logger('Clair:StaleDocs');
+
+const JOB_NAME = 'Check Stale Docs';
+
+let isRunning = false;
+
+// generator -> async (doc, reasons) => rebuild the doc from code
+const rebuilders = new Map();
+
+/**
+ * Register how docs of a generator are rebuilt once they go stale
+ */
+function registerRebuilder(generator, rebuild) {
+  rebuilders.set(generator, rebuild);
+}
+
+/**
+ * Resolve a manifest file path inside the project root (never outside it, symlinks included)
+ */
+function resolveSourceFile(projectPath, relPath) {
+  return pathPolicy.resolveInside(projectPath, relPath);
+}
+
+/**
+ * Compare a doc's manifest against the current sources
+ * Returns a list of human-readable reasons (empty = fresh)
+ */
+async function findChanges(doc) {
+  const manifest = doc.source_manifest || {};
+  const reasons = [];
+
+  for (const file of manifest.files || []) {
+    try {
+      const content = await fs.readFile(await resolveSourceFile(doc.project_id, file.path), 'utf-8');
+      if (hashContent(content) !== file.hash) {
+        reasons.push(`File changed: ${file.path}`);
+      }
+    } catch (err) {
+      reasons.push(`File missing: ${file.path}`);
+    }
+  }
+
+  const knowledgeRefs = manifest.knowledge || [];
+  if (knowledgeRefs.length > 0) {
+    const { data, error } = await from('dev_ai_knowledge')
+      .select('id, title, summary, content')
+      .in('id', knowledgeRefs.map(k => k.id));
+
+    if (error) throw error;
+
+    const current = new Map((data || []).map(k => [k.id, k]));
+    for (const ref of knowledgeRefs) {
+      const entry = current.get(ref.id);
+      if (!entry) {
+        reasons.push(`Knowledge deleted: ${ref.id}`);
+      } else if (knowledgeHash(entry) !== ref.hash) {
+        reasons.push(`Knowledge changed: ${entry.title}`);
+      }
+    }
+  }
+
+  const conventionRefs = manifest.conventions || [];
+  if (conventionRefs.length > 0) {
+    const { data, error } = await from('dev_ai_conventions')
+      .select('id, category, pattern, example, notes')
+      .in('id', conventionRefs.map(c => c.id));
+
+    if (error) throw error;
+
+    const current = new Map((data || []).map(c => [c.id, c]));
+    for (const ref of conventionRefs) {
+      const convention = current.get(ref.id);
+      if (!convention) {
+        reasons.push(`Convention deleted: ${ref.id}`);
+      } else if (conventionHash(convention) !== ref.hash) {
+        reasons.push(`Convention changed: ${convention.pattern}`);
+      }
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Check one doc and store the result
+ */
+async function checkDoc(doc) {
+  const reasons = await findChanges(doc);
+  const isStale = reasons.length > 0;
+
+  await from('dev_ai_generated_docs')
+    .update({
+      is_stale: isStale,
+      stale_reason: isStale ? reasons.join('; ') : null,
+      stale_checked_at: new Date().toISOString()
+    })
+    .eq('id', doc.id);
+
+  if (isStale && !doc.is_stale) {
+    logger.info('Doc went stale', { docId: doc.id, title: doc.title, reasons });
+  }
+
+  return { id: doc.id, title: doc.title, isStale, reasons };
+}
+
+/**
+ * Rebuild a stale doc that is written from code (generator set) instead of waiting for the night compiler
+ * Returns true when it was rebuilt
+ */
+async function regenerateFromCode(doc, reasons) {
+  const rebuild = rebuilders.get(doc.generator);
+  if (!rebuild) return false;
+
+  try {
+    await rebuild(doc, reasons);
+    logger.info('Doc rebuilt from code', { docId: doc.id, title: doc.title, generator: doc.generator });
+    return true;
+  } catch (err) {
+    logger.error('Rebuild from code failed', { docId: doc.id, error: err.message });
+    return false;
+  }
+}
+
+/**
+ * Check docs that have a source manifest (optionally only one project)
+ */
+async function checkDocs(projectPath = null) {
+  let query = from('dev_ai_generated_docs')
+    .select('id, project_id, title, source_manifest, is_stale, generator')
+    .not('source_manifest', 'is', null);
+
+  if (projectPath) {
+    query = query.eq('project_id', projectPath);
+  }
+
+  const { data: docs, error } = await query;
+  if (error) throw error;
+
+  const results = [];
+  for (const doc of docs || []) {
+    try {
+      const result = await checkDoc(doc);
+      if (result.isStale && doc.generator) {
+        result.regenerated = await regenerateFromCode(doc, result.reasons);
+      }
+      results.push(result);
+    } catch (err) {
+      logger.error('Stale check failed', { docId: doc.id, error: err.message });
+      results.push({ id: doc.id, title: doc.title, error: err.message });
+    }
+  }
+
+  return {
+    checked: results.length,
+    stale: results.filter(r => r.isStale && !r.regenerated).length,
+    regenerated: results.filter(r => r.regenerated).length,
+    results
+  };
+}
+
+/**
+ * Stale docs for a project (what the night compiler should regenerate)
+ */
+async function getStaleDocs(projectPath) {
+  const { data, error } = await from('dev_ai_generated_docs')
+    .select('id, title, doc_type, stale_reason, stale_checked_at')
+    .eq('project_id', projectPath)
+    .eq('is_stale', true);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function updateJobStatus(status, result = {}) {
+  try {
+    await from('dev_ai_clair_schedule')
+      .update({
+        status,
+        last_run_at: new Date().toISOString(),
+        last_result: result,
+        last_error: result.error || null
+      })
+      .eq('job_name', JOB_NAME);
+  } catch (err) {
+    logger.error('Failed to update job status', { error: err.message });
+  }
+}
+
+/**
+ * Scheduled run across all projects
+ */
+async function runStaleCheck() {
+  if (isRunning) {
+    logger.info('Stale check already running, skipping');
+    return null;
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+
+  try {
+    await updateJobStatus('running');
+    const result = await checkDocs();
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    logger.info('Stale check complete', { checked: result.checked, stale: result.stale, regenerated: result.regenerated, duration: `${duration}s` });
+    await updateJobStatus('completed', { success: true, checked: result.checked, stale: result.stale, regenerated: result.regenerated, duration: `${duration}s` });
+
+    return result;
+  } catch (error) {
+    logger.error('Stale check failed', { error: error.message });
+    await updateJobStatus('failed', { error: error.message });
+    return { success: false, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
+
+function initStaleDocScheduler() {
+  cron.schedule('15 * * * *', async () => {
+    await runStaleCheck();
+  }, { timezone: 'America/Los_Angeles' });
+
+  console.log('[StaleDocs] Scheduler ready - hourly at :15');
+}
+
+module.exports = {
+  initStaleDocScheduler,
+  runStaleCheck,
+  checkDocs,
+  checkDoc,
+  getStaleDocs,
+  registerRebuilder,
+  buildManifest,
+  resolveSourceFile,
+  hashContent
+};
@@ -0,0 +1,293 @@
+/**
+ * Structure Export Service
+ *
+ * Renders an annotated tree (treeIndex.getTree + annotateTree + fileStatus.applyStatuses)
+ * in several formats:
+ * - ascii: the classic emoji tree
+ * - markdown: nested lists
+ * - html: standalone page with collapsible folders, a filter box and status colors
+ * - mermaid: mindmap (names and statuses only - descriptions would swamp the diagram)
+ * - json: schema-stable form - every node has the same keys, in the same order
+ *
+ * Renderers read node.description / node.status, so descriptions resolve by relative path
+ * at any depth (annotateTree does the lookup).
+ */
+
+const path = require('path');
+const { escapeHtml, slugify } = require('./docExport');
+
+const JSON_SCHEMA = 'clair.structure/v1';
+const MAX_MINDMAP_NODES = 300;
+
+const EXPORT_FORMATS = {
+  ascii: { contentType: 'text/plain', extension: 'txt' },
+  markdown: { contentType: 'text/markdown', extension: 'md' },
+  html: { contentType: 'text/html', extension: 'html' },
+  mermaid: { contentType: 'text/plain', extension: 'mmd' },
+  json: { contentType: 'application/json', extension: 'json' }
+};
+
+const STATUS_COLORS = {
+  deprecated: '#8c959f',
+  config: '#0969da',
+  test: '#1a7f37',
+  generated: '#8250df'
+};
+
+function oneLine(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function statusTag(node) {
+  return node.status && node.status !== 'active' ? node.status : null;
+}
+
+function relativePath(node, projectPath) {
+  const rel = path.relative(projectPath, node.path || projectPath).split(path.sep).join('/');
+  return rel || '.';
+}
+
+// ============================================
+// ASCII
+// ============================================
+
+function renderAscii(tree, { projectName }) {
+  const lines = [`${projectName}/${tree.description ? `  "${oneLine(tree.description)}"` : ''}`];
+
+  (function walk(node, prefix) {
+    const children = node.children || [];
+    children.forEach((child, index) => {
+      const isLast = index === children.length - 1;
+      const icon = child.type === 'directory' ? '📁 ' : '📄 ';
+      const tag = statusTag(child) ? ` [${child.status}]` : '';
+      const desc = child.description ? `  "${oneLine(child.description)}"` : '';
+
+      lines.push(`${prefix}${isLast ? '└── ' : '├── '}${icon}${child.name}${tag}${desc}`);
+      walk(child, prefix + (isLast ? '    ' : '│   '));
+    });
+  })(tree, '');
+
+  return lines.join('\n') + '\n';
+}
+
+// ============================================
+// Markdown
+// ============================================
+
+function escapeMarkdown(text) {
+  return oneLine(text).replace(/([\\`*_[\]<>|])/g, '\\$1');
+}
+
+function renderMarkdown(tree, { projectName }) {
+  const lines = [`# ${projectName}`, ''];
+  if (tree.description) lines.push(escapeMarkdown(tree.description), '');
+
+  (function walk(node, depth) {
+    for (const child of node.children || []) {
+      const name = child.type === 'directory' ? `**${escapeMarkdown(child.name)}/**` : `\`${child.name.replace(/`/g, '')}\``;
+      const tag = statusTag(child) ? ` _(${child.status})_` : '';
+      const desc = child.description ? ` - ${escapeMarkdown(child.description)}` : '';
+      const more = child.truncated && child.childCount ? ` _(${child.childCount} more)_` : '';
+
+      lines.push(`${'  '.repeat(depth)}- ${name}${tag}${desc}${more}`);
+      walk(child, depth + 1);
+    }
+  })(tree, 0);
+
+  return lines.join('\n') + '\n';
+}
+
+// ============================================
+// HTML
+// ============================================
+
+const HTML_STYLES = `
+  :root { --text: #1f2328; --muted: #59636e; --border: #d1d9e0; --hover: #f6f8fa; }
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: var(--text); line-height: 1.5; max-width: 960px; margin: 0 auto; padding: 2rem; }
+  h1 { border-bottom: 1px solid var(--border); padding-bottom: .3em; }
+  .meta, .desc { color: var(--muted); font-size: .9em; }
+  .desc { margin-left: .6em; }
+  .toolbar { display: flex; gap: .5rem; margin: 1rem 0; }
+  .toolbar input { flex: 1; padding: .35em .6em; border: 1px solid var(--border); border-radius: 6px; }
+  .toolbar button { padding: .35em .8em; border: 1px solid var(--border); border-radius: 6px; background: #fff; cursor: pointer; }
+  ul.tree, ul.tree ul { list-style: none; margin: 0; padding-left: 1.2rem; }
+  ul.tree { padding-left: 0; }
+  summary { cursor: pointer; }
+  summary:hover, li.file:hover { background: var(--hover); }
+  .name { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: .92em; }
+  .status { font-size: .75em; border-radius: 10px; padding: 0 .5em; margin-left: .5em; color: #fff; }
+  ${Object.entries(STATUS_COLORS).map(([status, color]) => `.status-${status} { background: ${color}; }`).join('\n  ')}
+  li.is-deprecated > .name, li.is-deprecated > details > summary > .name { text-decoration: line-through; color: var(--muted); }
+  .hidden { display: none; }
+`;
+
+const HTML_SCRIPT = `<script>
+const items = [...document.querySelectorAll('ul.tree li')];
+document.getElementById('expand').onclick = () => document.querySelectorAll('details').forEach(d => { d.open = true; });
+document.getElementById('collapse').onclick = () => document.querySelectorAll('details').forEach(d => { d.open = false; });
+document.getElementById('filter').oninput = event => {
+  const query = event.target.value.trim().toLowerCase();
+  items.forEach(li => li.classList.toggle('hidden', !!query && !li.textContent.toLowerCase().includes(query)));
+  if (query) document.querySelectorAll('li:not(.hidden) > details').forEach(d => { d.open = true; });
+};
+</script>`;
+
+function htmlNode(node, depth) {
+  const tag = statusTag(node) ? `<span class="status status-${node.status}">${escapeHtml(node.status)}</span>` : '';
+  const desc = node.description ? `<span class="desc">${escapeHtml(oneLine(node.description))}</span>` : '';
+  const classes = `${node.type === 'directory' ? 'dir' : 'file'}${statusTag(node) ? ` is-${node.status}` : ''}`;
+
+  if (node.type !== 'directory') {
+    return `<li class="${classes}"><span class="name">${escapeHtml(node.name)}</span>${tag}${desc}</li>`;
+  }
+
+  const more = node.truncated && node.childCount ? `<li class="meta">${node.childCount} more not exported</li>` : '';
+  const children = (node.children || []).map(child => htmlNode(child, depth + 1)).join('\n');
+
+  return `<li class="${classes}"><details${depth < 1 ? ' open' : ''}><summary><span class="name">${escapeHtml(node.name)}/</span>${tag}${desc}</summary>
+<ul>
+${children}${more}
+</ul></details></li>`;
+}
+
+function renderHtml(tree, { projectName, generatedAt }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(projectName)} - Structure</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(projectName)}</h1>
+${tree.description ? `<p>${escapeHtml(oneLine(tree.description))}</p>` : ''}
+<p class="meta">Exported ${new Date(generatedAt).toLocaleString('en-US', { timeZone: 'America/Los_Angeles' })}</p>
+<div class="toolbar">
+<input id="filter" type="search" placeholder="Filter files and descriptions">
+<button id="expand" type="button">Expand all</button>
+<button id="collapse" type="button">Collapse all</button>
+</div>
+<ul class="tree">
+${(tree.children || []).map(child => htmlNode(child, 0)).join('\n')}
+</ul>
+${HTML_SCRIPT}
+</body>
+</html>
+`;
+}
+
+// ============================================
+// Mermaid mindmap
+// ============================================
+
+function mindmapText(text) {
+  return String(text).replace(/"/g, '#quot;').replace(/[()[\]{}]/g, ' ').trim();
+}
+
+function renderMermaid(tree, { projectName }) {
+  const lines = ['mindmap', `  root(("${mindmapText(projectName)}"))`];
+  let count = 0;
+  let skipped = 0;
+
+  (function walk(node, depth) {
+    for (const child of node.children || []) {
+      if (count >= MAX_MINDMAP_NODES) {
+        skipped++;
+        continue;
+      }
+      count++;
+
+      const name = child.type === 'directory' ? `${child.name}/` : child.name;
+      const tag = statusTag(child) ? ` - ${child.status}` : '';
+      lines.push(`${'  '.repeat(depth + 2)}n${count}["${mindmapText(name + tag)}"]`);
+      walk(child, depth + 1);
+    }
+  })(tree, 0);
+
+  if (skipped > 0) {
+    lines.push(`    more["${skipped} more not shown"]`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ============================================
+// JSON
+// ============================================
+
+/**
+ * Same keys, same order on every node - null where a value doesn't apply
+ */
+function jsonNode(node, projectPath) {
+  const isDir = node.type === 'directory';
+
+  return {
+    name: node.name,
+    path: relativePath(node, projectPath),
+    type: isDir ? 'directory' : 'file',
+    description: node.description || null,
+    status: node.status || null,
+    extension: isDir ? null : (node.extension || path.extname(node.name) || null),
+    size: isDir ? null : (node.size ?? null),
+    child_count: isDir ? (node.childCount ?? (node.children || []).length) : null,
+    truncated: isDir ? !!node.truncated : false,
+    children: isDir ? (node.children || []).map(child => jsonNode(child, projectPath)) : null
+  };
+}
+
+function renderJson(tree, { projectName, projectPath, generatedAt, depth }) {
+  return JSON.stringify({
+    schema: JSON_SCHEMA,
+    project: { name: projectName, path: projectPath },
+    generated_at: generatedAt,
+    depth: depth ?? null,
+    root: jsonNode(tree, projectPath)
+  }, null, 2) + '\n';
+}
+
+const RENDERERS = {
+  ascii: renderAscii,
+  markdown: renderMarkdown,
+  html: renderHtml,
+  mermaid: renderMermaid,
+  json: renderJson
+};
+
+/**
+ * Render a tree in one of EXPORT_FORMATS
+ * Returns { content, contentType, filename }
+ */
+function renderStructure(tree, format, { projectPath, depth = null } = {}) {
+  const renderer = RENDERERS[format];
+  if (!renderer) {
+    const error = new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const projectName = path.basename(projectPath);
+  const content = renderer(tree, {
+    projectName,
+    projectPath,
+    depth,
+    generatedAt: new Date().toISOString()
+  });
+
+  return {
+    content,
+    contentType: EXPORT_FORMATS[format].contentType,
+    filename: `${slugify(projectName)}-structure.${EXPORT_FORMATS[format].extension}`
+  };
+}
+
+module.exports = {
+  renderStructure,
+  renderAscii,
+  renderMarkdown,
+  renderHtml,
+  renderMermaid,
+  renderJson,
+  EXPORT_FORMATS,
+  JSON_SCHEMA
+};
@@ -0,0 +1,515 @@
+/**
+ * Structure Snapshots Service
+ *
+ * Periodic copies of each project's tree (from the tree index) so Clair can answer
+ * "what was added or removed this week":
+ * - A snapshot is a flat, sorted [{ path, type, size }] list stored in dev_ai_structure_snapshots
+ * - Unchanged trees don't create a new snapshot (signature check)
+ * - diffSnapshots reports added, removed, moved and resized entries; new or deleted
+ *   folders are reported once instead of file by file
+ * - Moves are matched by content: a folder with the same files, or a file with the same
+ *   name and size (or the same folder, extension and size for in-place renames)
+ *
+ * Runs every 6 hours (PST); the night compiler also takes one before writing the journal
+ */
+
+const cron = require('node-cron');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const treeIndex = require('./treeIndex');
+
+const logger = new Logger('Clair:StructureSnapshots');
+
+const JOB_NAME = 'Snapshot Project Structure';
+const DEFAULT_RETENTION_DAYS = 90;
+const SNAPSHOT_FIELDS = 'id, project_id, signature, file_count, dir_count, total_size, is_truncated, trigger, taken_at';
+
+let isRunning = false;
+
+/**
+ * Flat entry list of an index tree, sorted by path
+ */
+function flattenTree(tree) {
+  const root = tree.path;
+  const entries = [];
+
+  (function walk(node) {
+    for (const child of node.children || []) {
+      const relPath = path.relative(root, child.path).split(path.sep).join('/');
+      if (child.type === 'directory') {
+        entries.push({ path: relPath, type: 'directory' });
+        walk(child);
+      } else {
+        entries.push({ path: relPath, type: 'file', size: child.size || 0 });
+      }
+    }
+  })(tree);
+
+  return entries.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+function signEntries(entries) {
+  return crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex');
+}
+
+async function getLatestSnapshot(projectPath, fields = SNAPSHOT_FIELDS) {
+  const { data, error } = await from('dev_ai_structure_snapshots')
+    .select(fields)
+    .eq('project_id', projectPath)
+    .order('taken_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Snapshot the project's current tree
+ * Returns { snapshot, created } - created is false when the tree hasn't changed since the last one
+ */
+async function takeSnapshot(projectPath, { trigger = 'manual', force = false } = {}) {
+  const index = await treeIndex.getIndex(projectPath, { wait: true });
+  const entries = flattenTree(index.tree);
+  const signature = signEntries(entries);
+
+  const latest = await getLatestSnapshot(projectPath);
+  if (!force && latest && latest.signature === signature) {
+    return { snapshot: latest, created: false };
+  }
+
+  const files = entries.filter(e => e.type === 'file');
+  const { data, error } = await from('dev_ai_structure_snapshots')
+    .insert({
+      project_id: projectPath,
+      entries,
+      signature,
+      file_count: files.length,
+      dir_count: entries.length - files.length,
+      total_size: files.reduce((sum, f) => sum + f.size, 0),
+      is_truncated: !!index.truncated,
+      trigger,
+      taken_at: new Date().toISOString()
+    })
+    .select(SNAPSHOT_FIELDS)
+    .single();
+
+  if (error) throw error;
+
+  logger.info('Structure snapshot taken', { projectPath, files: data.file_count, trigger });
+  return { snapshot: data, created: true };
+}
+
+async function listSnapshots(projectPath, { limit = 50 } = {}) {
+  const { data, error } = await from('dev_ai_structure_snapshots')
+    .select(SNAPSHOT_FIELDS)
+    .eq('project_id', projectPath)
+    .order('taken_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function getSnapshot(projectPath, id) {
+  const { data, error } = await from('dev_ai_structure_snapshots')
+    .select('*')
+    .eq('project_id', projectPath)
+    .eq('id', id)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  if (!data) {
+    const err = new Error(`Snapshot not found: ${id}`);
+    err.status = 404;
+    throw err;
+  }
+  return data;
+}
+
+/**
+ * Newest snapshot taken at or before a moment - falls back to the oldest one when
+ * the project has no snapshot that old
+ */
+async function getSnapshotAt(projectPath, at) {
+  const { data, error } = await from('dev_ai_structure_snapshots')
+    .select('*')
+    .eq('project_id', projectPath)
+    .lte('taken_at', at.toISOString())
+    .order('taken_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  if (data?.[0]) return data[0];
+
+  const { data: oldest, error: oldestError } = await from('dev_ai_structure_snapshots')
+    .select('*')
+    .eq('project_id', projectPath)
+    .order('taken_at', { ascending: true })
+    .limit(1);
+
+  if (oldestError) throw oldestError;
+  return oldest?.[0] || null;
+}
+
+/**
+ * '7d', '24h', '30m' or an ISO date as a Date - null when it can't be read
+ */
+function parseSince(value) {
+  if (!value) return null;
+
+  const relative = String(value).match(/^(\d+)\s*([mhdw])$/i);
+  if (relative) {
+    const unit = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 }[relative[2].toLowerCase()];
+    return new Date(Date.now() - parseInt(relative[1]) * unit);
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function isInside(relPath, dirPath) {
+  return relPath.startsWith(`${dirPath}/`);
+}
+
+/**
+ * Files below a folder as 'relative/inside:size' lines - identifies a moved folder
+ */
+function folderContentKey(dirPath, entries) {
+  const lines = entries
+    .filter(e => e.type === 'file' && isInside(e.path, dirPath))
+    .map(e => `${e.path.slice(dirPath.length + 1)}:${e.size}`)
+    .sort();
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+/**
+ * Pair removed and added files that share a key, when the key is unique on both sides
+ */
+function pairUnique(removed, added, keyOf) {
+  const group = list => {
+    const map = new Map();
+    for (const entry of list) {
+      const key = keyOf(entry);
+      if (key === null) continue;
+      map.set(key, map.has(key) ? null : entry);
+    }
+    return map;
+  };
+
+  const before = group(removed);
+  const after = group(added);
+  const pairs = [];
+
+  for (const [key, entry] of before) {
+    if (entry && after.get(key)) pairs.push([entry, after.get(key)]);
+  }
+
+  return pairs;
+}
+
+/**
+ * Only the outermost of a set of entries - files inside a listed folder are folded into it
+ */
+function collapse(entries) {
+  const dirs = entries.filter(e => e.type === 'directory').map(e => e.path);
+  const outer = entries.filter(e => !dirs.some(dir => isInside(e.path, dir)));
+
+  return outer.map(e => {
+    if (e.type !== 'directory') return { path: e.path, type: 'file', size: e.size };
+    const inside = entries.filter(i => i.type === 'file' && isInside(i.path, e.path));
+    return {
+      path: e.path,
+      type: 'directory',
+      files: inside.length,
+      size: inside.reduce((sum, f) => sum + f.size, 0)
+    };
+  });
+}
+
+/**
+ * Differences between two entry lists
+ * Returns { added, removed, moved, resized, summary }
+ */
+function diffSnapshots(beforeEntries, afterEntries) {
+  const before = new Map((beforeEntries || []).map(e => [e.path, e]));
+  const after = new Map((afterEntries || []).map(e => [e.path, e]));
+
+  let removed = [...before.values()].filter(e => !after.has(e.path) || after.get(e.path).type !== e.type);
+  let added = [...after.values()].filter(e => !before.has(e.path) || before.get(e.path).type !== e.type);
+  const moved = [];
+
+  // Folders first (outermost first), so their files aren't reported one by one
+  const depth = e => e.path.split('/').length;
+  const removedDirs = removed.filter(e => e.type === 'directory').sort((a, b) => depth(a) - depth(b));
+  const addedDirs = added.filter(e => e.type === 'directory').sort((a, b) => depth(a) - depth(b));
+  const addedKeys = new Map(addedDirs.map(dir => [dir.path, folderContentKey(dir.path, added)]));
+  const usedTargets = new Set();
+
+  for (const dir of removedDirs) {
+    if (moved.some(m => m.type === 'directory' && isInside(dir.path, m.from))) continue;
+
+    const key = folderContentKey(dir.path, removed);
+    if (!key) continue;
+
+    const target = addedDirs.find(candidate =>
+      !usedTargets.has(candidate.path) &&
+      !moved.some(m => m.type === 'directory' && isInside(candidate.path, m.to)) &&
+      addedKeys.get(candidate.path) === key
+    );
+    if (!target) continue;
+
+    usedTargets.add(target.path);
+    moved.push({ from: dir.path, to: target.path, type: 'directory', files: key.split('\n').length });
+  }
+
+  const movedDirs = moved.slice();
+  removed = removed.filter(e => !movedDirs.some(m => e.path === m.from || isInside(e.path, m.from)));
+  added = added.filter(e => !movedDirs.some(m => e.path === m.to || isInside(e.path, m.to)));
+
+  // Files: same name and size anywhere, then same folder, extension and size (renamed in place)
+  const fileKeys = [
+    e => `${path.posix.basename(e.path)}:${e.size}`,
+    e => (e.size > 0 ? `${path.posix.dirname(e.path)}:${path.posix.extname(e.path)}:${e.size}` : null)
+  ];
+
+  for (const keyOf of fileKeys) {
+    const pairs = pairUnique(
+      removed.filter(e => e.type === 'file'),
+      added.filter(e => e.type === 'file'),
+      keyOf
+    );
+
+    for (const [source, target] of pairs) {
+      moved.push({ from: source.path, to: target.path, type: 'file', size: target.size });
+    }
+
+    const movedFrom = new Set(pairs.map(([source]) => source.path));
+    const movedTo = new Set(pairs.map(([, target]) => target.path));
+    removed = removed.filter(e => !movedFrom.has(e.path));
+    added = added.filter(e => !movedTo.has(e.path));
+  }
+
+  const resized = [...after.values()]
+    .filter(e => e.type === 'file' && before.get(e.path)?.type === 'file' && before.get(e.path).size !== e.size)
+    .map(e => {
+      const was = before.get(e.path).size;
+      return { path: e.path, before: was, after: e.size, delta: e.size - was };
+    })
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  const sizeOf = entries => (entries || []).reduce((sum, e) => sum + (e.type === 'file' ? e.size : 0), 0);
+
+  return {
+    added: collapse(added),
+    removed: collapse(removed),
+    moved,
+    resized,
+    summary: {
+      added_files: added.filter(e => e.type === 'file').length,
+      added_dirs: added.filter(e => e.type === 'directory').length,
+      removed_files: removed.filter(e => e.type === 'file').length,
+      removed_dirs: removed.filter(e => e.type === 'directory').length,
+      moved: moved.length,
+      resized: resized.length,
+      size_delta: sizeOf(afterEntries) - sizeOf(beforeEntries)
+    }
+  };
+}
+
+function hasChanges(summary) {
+  return ['added_files', 'added_dirs', 'removed_files', 'removed_dirs', 'moved', 'resized']
+    .some(key => summary[key] > 0);
+}
+
+function describeSnapshot(snapshot) {
+  const { entries, ...rest } = snapshot;
+  return rest;
+}
+
+/**
+ * Diff two snapshots of a project
+ * fromId or since picks the older one; toId defaults to the latest snapshot, 'now' takes a new one
+ */
+async function diffProject(projectPath, { fromId = null, toId = null, since = null } = {}) {
+  let to;
+  if (toId === 'now') {
+    const { snapshot } = await takeSnapshot(projectPath, { trigger: 'manual' });
+    to = await getSnapshot(projectPath, snapshot.id);
+  } else if (toId) {
+    to = await getSnapshot(projectPath, toId);
+  } else {
+    to = await getLatestSnapshot(projectPath, '*');
+  }
+
+  let fromSnapshot = null;
+  if (fromId) {
+    fromSnapshot = await getSnapshot(projectPath, fromId);
+  } else {
+    const sinceDate = parseSince(since || '7d');
+    if (!sinceDate) {
+      const err = new Error(`Invalid since: ${since} (use 7d, 24h or an ISO date)`);
+      err.status = 400;
+      throw err;
+    }
+    fromSnapshot = await getSnapshotAt(projectPath, sinceDate);
+  }
+
+  if (!to || !fromSnapshot) {
+    const err = new Error('Not enough snapshots to compare - take one with POST /snapshots first');
+    err.status = 404;
+    throw err;
+  }
+
+  return {
+    from: describeSnapshot(fromSnapshot),
+    to: describeSnapshot(to),
+    ...diffSnapshots(fromSnapshot.entries, to.entries)
+  };
+}
+
+/**
+ * Structural changes since a moment, for the daily journal
+ * Takes a fresh snapshot first; returns null when there is nothing older to compare with
+ */
+async function getStructuralChanges(projectPath, since, { limit = 15 } = {}) {
+  const { snapshot } = await takeSnapshot(projectPath, { trigger: 'night_compiler' });
+  const baseline = await getSnapshotAt(projectPath, since);
+  if (!baseline || baseline.id === snapshot.id) return null;
+
+  const current = await getSnapshot(projectPath, snapshot.id);
+  const diff = diffSnapshots(baseline.entries, current.entries);
+
+  return {
+    updated: hasChanges(diff.summary),
+    since: baseline.taken_at,
+    summary: diff.summary,
+    added: diff.added.slice(0, limit),
+    removed: diff.removed.slice(0, limit),
+    moved: diff.moved.slice(0, limit),
+    resized: diff.resized.slice(0, limit)
+  };
+}
+
+/**
+ * Delete snapshots older than the retention window - each project keeps its newest one,
+ * so an unchanged tree still has a baseline to diff against
+ */
+async function pruneSnapshots(retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 86400e3).toISOString();
+
+  const { data: old, error } = await from('dev_ai_structure_snapshots')
+    .select('project_id')
+    .lt('taken_at', cutoff);
+
+  if (error) {
+    logger.warn('Failed to prune old snapshots', { error: error.message });
+    return;
+  }
+
+  for (const projectPath of new Set((old || []).map(s => s.project_id))) {
+    try {
+      const latest = await getLatestSnapshot(projectPath, 'id');
+      if (!latest) continue;
+
+      const { error: pruneError } = await from('dev_ai_structure_snapshots')
+        .delete()
+        .eq('project_id', projectPath)
+        .lt('taken_at', cutoff)
+        .neq('id', latest.id);
+      if (pruneError) throw pruneError;
+    } catch (err) {
+      logger.warn('Failed to prune old snapshots', { projectPath, error: err.message });
+    }
+  }
+}
+
+async function updateJobStatus(status, result = {}) {
+  try {
+    await from('dev_ai_clair_schedule')
+      .update({
+        status,
+        last_run_at: new Date().toISOString(),
+        last_result: result,
+        last_error: result.error || null
+      })
+      .eq('job_name', JOB_NAME);
+  } catch (err) {
+    logger.error('Failed to update job status', { error: err.message });
+  }
+}
+
+/**
+ * Scheduled snapshot of every registered project, then pruning past the retention window
+ */
+async function runSnapshotJob() {
+  if (isRunning) {
+    logger.info('Snapshot job already running, skipping');
+    return null;
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+
+  try {
+    await updateJobStatus('running');
+
+    const { data: job } = await from('dev_ai_clair_schedule')
+      .select('config')
+      .eq('job_name', JOB_NAME)
+      .single();
+    const retentionDays = job?.config?.retention_days || DEFAULT_RETENTION_DAYS;
+
+    const { data: paths, error } = await from('dev_project_ids').select('path');
+    if (error) throw error;
+
+    const totals = { projects: 0, created: 0, unchanged: 0 };
+    for (const projectPath of [...new Set((paths || []).map(p => p.path).filter(Boolean))]) {
+      const stat = await fs.stat(path.resolve(projectPath)).catch(() => null);
+      if (!stat || !stat.isDirectory()) continue;
+
+      try {
+        const { created } = await takeSnapshot(projectPath, { trigger: 'schedule' });
+        totals.projects++;
+        totals[created ? 'created' : 'unchanged']++;
+      } catch (err) {
+        logger.error('Project snapshot failed', { projectPath, error: err.message });
+      }
+    }
+
+    await pruneSnapshots(retentionDays);
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    await updateJobStatus('completed', { success: true, ...totals, duration: `${duration}s` });
+    return totals;
+  } catch (error) {
+    logger.error('Snapshot job failed', { error: error.message });
+    await updateJobStatus('failed', { error: error.message });
+    return { success: false, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
+
+function initSnapshotScheduler() {
+  cron.schedule('15 */6 * * *', async () => {
+    await runSnapshotJob();
+  }, { timezone: 'America/Los_Angeles' });
+
+  console.log('[StructureSnapshots] Scheduler ready - every 6 hours');
+}
+
+module.exports = {
+  initSnapshotScheduler,
+  runSnapshotJob,
+  takeSnapshot,
+  listSnapshots,
+  getSnapshot,
+  diffProject,
+  diffSnapshots,
+  getStructuralChanges,
+  flattenTree,
+  parseSince
+};
@@ -0,0 +1,397 @@
+/**
+ * Test Run Ingest Service
+ *
+ * Takes structured test runs from the testers (Mike, Tiffany) and turns them into:
+ * - A step-by-step howto doc per feature (written/updated from passing runs; reviewed, published or
+ *   hand-edited guides get the update as a pending correction instead)
+ * - dev_ai_bugs entries for failing steps, with reproduction steps attached
+ */
+
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const docRevisions = require('./docRevisions');
+const links = require('./links');
+const { DRAFT_FIELDS } = require('./docReviews');
+
+const logger = new Logger('Clair:TestRuns');
+
+const STEP_STATUSES = ['passed', 'failed', 'skipped'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const OPEN_BUG_STATUSES = ['open', 'investigating'];
+
+/**
+ * Check an incoming run - returns a list of problems (empty = valid)
+ */
+function validateTestRun(run) {
+  const errors = [];
+
+  if (!run || typeof run !== 'object') return ['Body must be a test run object'];
+  if (!run.tester) errors.push('tester is required');
+  if (!run.feature) errors.push('feature is required');
+
+  if (run.preconditions != null &&
+      (!Array.isArray(run.preconditions) || run.preconditions.some(p => typeof p !== 'string'))) {
+    errors.push('preconditions must be an array of strings');
+  }
+
+  if (!Array.isArray(run.steps) || run.steps.length === 0) {
+    errors.push('steps must be a non-empty array');
+    return errors;
+  }
+
+  run.steps.forEach((step, i) => {
+    if (!step || !step.action) errors.push(`steps[${i}].action is required`);
+    if (step?.status && !STEP_STATUSES.includes(step.status)) {
+      errors.push(`steps[${i}].status must be one of: ${STEP_STATUSES.join(', ')}`);
+    }
+    if (step?.severity && !SEVERITIES.includes(step.severity)) {
+      errors.push(`steps[${i}].severity must be one of: ${SEVERITIES.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Normalize steps: keep order, default status from expected vs actual
+ */
+function normalizeSteps(steps) {
+  return steps.map((step, i) => {
+    let status = step.status;
+    if (!status) {
+      status = step.actual === undefined || step.actual === step.expected ? 'passed' : 'failed';
+    }
+
+    return {
+      order: i + 1,
+      action: step.action,
+      expected: step.expected || null,
+      actual: step.actual ?? null,
+      status,
+      severity: step.severity || null,
+      screenshot: step.screenshot || null,
+      notes: step.notes || null
+    };
+  });
+}
+
+/**
+ * Howto markdown from a passing run
+ * verifications: earlier passing runs for the same feature (newest first)
+ */
+function buildHowtoContent(run, verifications = []) {
+  const title = run.title || `How to ${run.feature}`;
+  const lines = [`# ${title}`, '', '## Overview', ''];
+
+  lines.push(run.description || `Step-by-step guide for ${run.feature}, written from a verified test run.`);
+  lines.push('');
+
+  const preconditions = run.preconditions || [];
+  if (preconditions.length > 0) {
+    lines.push('## Prerequisites', '');
+    preconditions.forEach(p => lines.push(`- [ ] ${p}`));
+    lines.push('');
+  }
+
+  lines.push('## Steps', '');
+  run.steps
+    .filter(step => step.status !== 'skipped')
+    .forEach((step, i) => {
+      lines.push(`### Step ${i + 1}: ${step.action}`, '');
+      if (step.expected) lines.push(`**Expected result:** ${step.expected}`, '');
+      if (step.screenshot) lines.push(`![Step ${i + 1}](${step.screenshot})`, '');
+      if (step.notes) lines.push(`> ${step.notes}`, '');
+    });
+
+  lines.push('## Verification', '');
+  [run, ...verifications].slice(0, 5).forEach(v => {
+    const date = (v.run_at || new Date().toISOString()).slice(0, 10);
+    lines.push(`- ${date} - passed by ${v.tester}${v.environment ? ` (${v.environment})` : ''}`);
+  });
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Reproduction steps for a failing step: everything up to and including it
+ */
+function buildReproduction(steps, failedStep) {
+  return steps
+    .filter(step => step.order <= failedStep.order && step.status !== 'skipped')
+    .map(step => ({
+      order: step.order,
+      action: step.action,
+      expected: step.expected,
+      actual: step.actual,
+      screenshot: step.screenshot
+    }));
+}
+
+function formatBugDescription(run, failedStep, reproduction) {
+  const lines = [
+    `Found by ${run.tester} while testing **${run.feature}**${run.environment ? ` (${run.environment})` : ''}.`,
+    '',
+    '## Reproduction Steps',
+    ...reproduction.map(s => `${s.order}. ${s.action}`),
+    '',
+    `**Expected:** ${failedStep.expected || 'n/a'}`,
+    `**Actual:** ${failedStep.actual ?? 'n/a'}`
+  ];
+
+  if (failedStep.screenshot) lines.push('', `![Failure](${failedStep.screenshot})`);
+  if (failedStep.notes) lines.push('', failedStep.notes);
+
+  return lines.join('\n');
+}
+
+/**
+ * File one bug per failing step (reuses an open bug with the same title)
+ */
+async function fileBugs(projectPath, run, runId) {
+  const bugIds = [];
+
+  for (const step of run.steps.filter(s => s.status === 'failed')) {
+    const title = `[Test] ${run.feature}: ${step.action}`.slice(0, 255);
+    const reproduction = buildReproduction(run.steps, step);
+
+    const { data: existing } = await from('dev_ai_bugs')
+      .select('id')
+      .eq('project_id', projectPath)
+      .eq('title', title)
+      .in('status', OPEN_BUG_STATUSES)
+      .limit(1);
+
+    if (existing && existing.length > 0) {
+      bugIds.push(existing[0].id);
+      continue;
+    }
+
+    const { data, error } = await from('dev_ai_bugs')
+      .insert({
+        project_id: projectPath,
+        title,
+        description: formatBugDescription(run, step, reproduction),
+        severity: step.severity || 'medium',
+        category: 'test_run',
+        status: 'open',
+        test_run_id: runId,
+        reproduction_steps: reproduction,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    bugIds.push(data.id);
+  }
+
+  return bugIds;
+}
+
+/**
+ * Queue a rerun's content as a pending reword correction for the doc (applied through /api/corrections/:id/apply)
+ * Keeps one pending test-run correction per doc - later runs refresh it
+ */
+async function proposeHowtoUpdate(doc, { content, author, runId, note }) {
+  const { data: pending, error: pendingError } = await from('dev_ai_corrections')
+    .select('id, details')
+    .eq('item_type', 'doc')
+    .eq('item_id', doc.id)
+    .eq('correction_type', 'reword')
+    .eq('status', 'pending');
+
+  if (pendingError) throw pendingError;
+
+  const details = { content, source: 'test_run', test_run_id: runId, note };
+  const existing = (pending || []).find(c => c.details?.source === 'test_run');
+
+  if (existing) {
+    if (existing.details.content === content) return existing.id;
+
+    const { error } = await from('dev_ai_corrections')
+      .update({ details, created_by: author })
+      .eq('id', existing.id);
+
+    if (error) throw error;
+    return existing.id;
+  }
+
+  const { data, error } = await from('dev_ai_corrections')
+    .insert({
+      item_type: 'doc',
+      item_id: doc.id,
+      correction_type: 'reword',
+      details,
+      created_by: author,
+      status: 'pending'
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+  return data.id;
+}
+
+/**
+ * Create or update the feature's howto doc from a passing run
+ * A guide that is past draft or was last edited by someone other than a test run is not overwritten -
+ * the new content goes to review as a pending correction instead
+ * Returns { doc, created, changed, correctionId }
+ */
+async function syncHowto(projectPath, run, runId) {
+  const { data: previous } = await from('dev_ai_test_runs')
+    .select('id, tester, environment, run_at, doc_id')
+    .eq('project_id', projectPath)
+    .eq('feature', run.feature)
+    .eq('status', 'passed')
+    .neq('id', runId)
+    .order('run_at', { ascending: false })
+    .limit(10);
+
+  const content = buildHowtoContent(run, previous || []);
+  const author = `tester:${run.tester}`;
+  const docId = (previous || []).find(p => p.doc_id)?.doc_id;
+
+  if (docId) {
+    const { data: existing } = await from('dev_ai_generated_docs')
+      .select('*')
+      .eq('id', docId)
+      .single();
+
+    if (existing) {
+      const title = run.title || existing.title;
+      if (content === existing.content && title === existing.title) {
+        return { doc: existing, created: false, changed: false, correctionId: null };
+      }
+
+      const [latest] = await docRevisions.listRevisions(docId);
+      const humanEdited = Boolean(latest) && latest.reason !== 'test_run';
+
+      if (humanEdited || existing.status !== 'draft') {
+        const correctionId = await proposeHowtoUpdate(existing, {
+          content,
+          author,
+          runId,
+          note: `Update from ${run.tester}'s passing run`
+        });
+        logger.info('Howto update queued for review', { docId, correctionId, status: existing.status, humanEdited });
+        return { doc: existing, created: false, changed: false, correctionId };
+      }
+
+      await docRevisions.ensureBaseline(existing);
+
+      const { data, error } = await from('dev_ai_generated_docs')
+        .update({ title, content, ...DRAFT_FIELDS, updated_at: new Date().toISOString() })
+        .eq('id', docId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await docRevisions.recordRevision(data, { author, reason: 'test_run', note: `Updated from ${run.tester}'s passing run` });
+      await links.trySyncLinks(projectPath, 'doc', data);
+      return { doc: data, created: false, changed: true, correctionId: null };
+    }
+  }
+
+  const title = run.title || `How to ${run.feature}`;
+
+  const { data, error } = await from('dev_ai_generated_docs')
+    .insert({
+      project_id: projectPath,
+      doc_type: 'howto',
+      title,
+      content,
+      generated_at: new Date().toISOString(),
+      status: 'draft',
+      is_published: false
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await docRevisions.recordRevision(data, { author, reason: 'test_run', note: `Written from ${run.tester}'s passing run` });
+  await links.trySyncLinks(projectPath, 'doc', data);
+  return { doc: data, created: true, changed: true, correctionId: null };
+}
+
+/**
+ * Store a test run, then update the howto (passing) or file bugs (failing)
+ * Returns { run, doc, docCreated, correctionId, bugIds } - correctionId when the update waits for review
+ */
+async function ingestTestRun(projectPath, body) {
+  const steps = normalizeSteps(body.steps);
+  const failed = steps.filter(s => s.status === 'failed').length;
+
+  const run = {
+    tester: String(body.tester).toLowerCase(),
+    feature: body.feature,
+    title: body.title || null,
+    description: body.description || null,
+    environment: body.environment || null,
+    preconditions: body.preconditions || [],
+    steps,
+    run_at: body.run_at || new Date().toISOString()
+  };
+
+  const { data: stored, error } = await from('dev_ai_test_runs')
+    .insert({
+      project_id: projectPath,
+      tester: run.tester,
+      feature: run.feature,
+      title: run.title,
+      environment: run.environment,
+      preconditions: run.preconditions,
+      steps,
+      status: failed > 0 ? 'failed' : 'passed',
+      passed_steps: steps.filter(s => s.status === 'passed').length,
+      failed_steps: failed,
+      run_at: run.run_at
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  let doc = null;
+  let docCreated = false;
+  let correctionId = null;
+  let bugIds = [];
+
+  if (failed > 0) {
+    bugIds = await fileBugs(projectPath, run, stored.id);
+  } else {
+    ({ doc, created: docCreated, correctionId } = await syncHowto(projectPath, run, stored.id));
+  }
+
+  const { data: updated, error: updateError } = await from('dev_ai_test_runs')
+    .update({ doc_id: doc?.id || null, bug_ids: bugIds })
+    .eq('id', stored.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  logger.info('Test run ingested', {
+    projectPath,
+    feature: run.feature,
+    tester: run.tester,
+    status: updated.status,
+    docId: doc?.id,
+    bugs: bugIds.length
+  });
+
+  return { run: updated, doc, docCreated, correctionId, bugIds };
+}
+
+module.exports = {
+  ingestTestRun,
+  validateTestRun,
+  normalizeSteps,
+  buildHowtoContent,
+  buildReproduction,
+  STEP_STATUSES
+};
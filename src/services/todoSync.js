@@ -0,0 +1,482 @@
+/**
+ * Todo Sync Service
+ *
+ * Two-way sync between a project's TODO.md checkbox items and dev_ai_todos:
+ * - Each checkbox line carries a stable anchor comment (`- [ ] Fix login <!-- clair:1a2b3c4d -->`)
+ *   matching dev_ai_todos.source_anchor, so items survive rewording and moves between sections or files
+ * - Unanchored items are imported (or linked to an unsynced todo with the same title) and get an anchor
+ * - Completions, rewording and section moves flow both ways; pending DB todos without a file line
+ *   are added under their category's section
+ * - source_hash is the item's state at the last sync, which tells which side changed since:
+ *   only the file -> DB updated, only the DB -> line rewritten, both -> reported as a conflict, nothing touched
+ *
+ * Only the checkbox, text and anchor of a line are rewritten; moved items keep their nested lines.
+ * Lines are never deleted - items missing from every file are reported.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const { walkFiles } = require('./fileTree');
+const pathPolicy = require('./pathPolicy');
+
+const logger = new Logger('Clair:TodoSync');
+
+const TODO_FILE = 'TODO.md';
+const DEFAULT_SECTION = 'General';
+const SOURCE = 'todo_md';
+const CODE_SOURCE = 'code';
+
+// Categories the organizer uses for todos that are no longer actionable
+const HIDDEN_CATEGORIES = ['moved_to_knowledge', 'duplicate'];
+
+const ITEM_RE = /^(\s*)((?:[-*+]|\d+[.)])\s+)\[([ xX])\](\s+)(.*?)(\s*<!--\s*clair:([0-9a-f]+)\s*-->)?(\s*)$/;
+const HEADER_RE = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_RE = /^\s*(```|~~~)/;
+const ANCHOR_COMMENT_RE = /\s*<!--\s*clair:[0-9a-f]+\s*-->\s*$/;
+
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+function newAnchor(taken) {
+  let anchor;
+  do {
+    anchor = crypto.randomBytes(4).toString('hex');
+  } while (taken.has(anchor));
+  taken.add(anchor);
+  return anchor;
+}
+
+function normalizeTitle(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeSection(section) {
+  return normalizeTitle(section) || DEFAULT_SECTION;
+}
+
+/**
+ * Item text without its trailing <!-- clair:xxxxxxxx --> anchor
+ */
+function stripAnchor(text) {
+  return String(text || '').replace(ANCHOR_COMMENT_RE, '');
+}
+
+// ============================================
+// Markdown
+// ============================================
+
+/**
+ * Parse a TODO.md - { lines, eol, items, sections }
+ * items: [{ index, indent, bullet, check, gap, text, anchorComment, anchor, trailing, section, end }]
+ * end is the index after the item's nested lines; sections: [{ title, level, index }]
+ */
+function parseTodoFile(content) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const items = [];
+  const sections = [];
+  let section = null;
+  let inFence = false;
+
+  lines.forEach((line, index) => {
+    if (FENCE_RE.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    const header = line.match(HEADER_RE);
+    if (header) {
+      section = header[2];
+      sections.push({ title: header[2], level: header[1].length, index });
+      return;
+    }
+
+    const m = line.match(ITEM_RE);
+    if (!m || !m[5].trim()) return;
+
+    items.push({
+      index,
+      indent: m[1],
+      bullet: m[2],
+      check: m[3],
+      gap: m[4],
+      text: m[5],
+      anchorComment: m[6] || null,
+      anchor: m[7] || null,
+      trailing: m[8],
+      section
+    });
+  });
+
+  // Nested lines (indented deeper, no blank line between) travel with their item
+  for (const item of items) {
+    let end = item.index + 1;
+    while (end < lines.length && lines[end].trim() &&
+           lines[end].match(/^\s*/)[0].length > item.indent.length && !HEADER_RE.test(lines[end])) {
+      end++;
+    }
+    item.end = end;
+  }
+
+  return { lines, eol, items, sections };
+}
+
+function renderItem(item) {
+  const anchor = item.anchorComment || (item.anchor ? ` <!-- clair:${item.anchor} -->` : '');
+  return `${item.indent}${item.bullet}[${item.check}]${item.gap}${item.text}${anchor}${item.trailing}`;
+}
+
+/**
+ * Index to insert a new line into a section - after its last non-blank line
+ * Returns null when the file has no such section
+ */
+function sectionInsertIndex(parsed, title) {
+  const target = normalizeSection(title).toLowerCase();
+
+  if (target === DEFAULT_SECTION.toLowerCase() && !parsed.sections.some(s => s.title.toLowerCase() === target)) {
+    // Items before the first header count as the default section
+    const firstHeader = parsed.sections[0]?.index ?? parsed.lines.length;
+    const loose = parsed.items.filter(i => i.index < firstHeader);
+    if (loose.length > 0) return loose[loose.length - 1].end;
+    return null;
+  }
+
+  const pos = parsed.sections.findIndex(s => s.title.toLowerCase() === target);
+  if (pos === -1) return null;
+
+  const start = parsed.sections[pos].index;
+  let end = parsed.sections[pos + 1]?.index ?? parsed.lines.length;
+  while (end - 1 > start && !parsed.lines[end - 1].trim()) end--;
+  return end;
+}
+
+/**
+ * Insert lines into a section, appending the section at the end of the file when missing
+ */
+function insertIntoSection(lines, title, newLines) {
+  const parsed = parseTodoFile(lines.join('\n'));
+  const at = sectionInsertIndex(parsed, title);
+
+  if (at !== null) {
+    lines.splice(at, 0, ...newLines);
+    return;
+  }
+
+  const hasTrailingNewline = lines.length > 0 && lines[lines.length - 1] === '';
+  if (hasTrailingNewline) lines.pop();
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+
+  const level = parsed.sections.find(s => s.level > 1)?.level || 2;
+  if (lines.length > 0) lines.push('');
+  lines.push(`${'#'.repeat(level)} ${normalizeSection(title)}`, ...newLines);
+  lines.push('');
+}
+
+/**
+ * Item line style used for new lines in a file (bullet of its first item)
+ */
+function itemStyle(parsed) {
+  const first = parsed.items.find(i => !i.indent);
+  return { bullet: first && !/^\d/.test(first.bullet) ? first.bullet : '- ', gap: ' ' };
+}
+
+// ============================================
+// State
+// ============================================
+
+function fileState(item) {
+  return {
+    title: normalizeTitle(item.text),
+    completed: item.check !== ' ',
+    category: normalizeSection(item.section)
+  };
+}
+
+function dbState(row) {
+  return {
+    title: normalizeTitle(row.title),
+    completed: row.status === 'completed',
+    category: normalizeSection(row.category)
+  };
+}
+
+function stateHash(state) {
+  return hashContent(JSON.stringify([state.title, state.completed, state.category]));
+}
+
+function dbFields(state, row = null) {
+  const fields = { title: state.title, category: state.category };
+  const wasCompleted = row ? row.status === 'completed' : false;
+
+  if (state.completed && !wasCompleted) {
+    fields.status = 'completed';
+    fields.completed_at = new Date().toISOString();
+  } else if (!state.completed && (wasCompleted || !row)) {
+    fields.status = 'pending';
+    fields.completed_at = null;
+  }
+  return fields;
+}
+
+// ============================================
+// Sync
+// ============================================
+
+async function readTodoFiles(root) {
+  const relPaths = await walkFiles(root, { match: (relPath, name) => name === TODO_FILE });
+  const files = new Map();
+
+  for (const relPath of relPaths.map(p => p.split(path.sep).join('/'))) {
+    const content = await fs.readFile(path.join(root, relPath), 'utf-8');
+    files.set(relPath, { content, parsed: parseTodoFile(content), lines: null });
+  }
+  return files;
+}
+
+/**
+ * Whether a project's todos have been synced with its files before
+ */
+async function isSynced(projectPath) {
+  const { data, error } = await from('dev_ai_todos')
+    .select('source')
+    .eq('project_id', projectPath)
+    .not('source_anchor', 'is', null);
+
+  if (error) throw error;
+  return (data || []).some(row => row.source !== CODE_SOURCE);
+}
+
+/**
+ * Sync a project's TODO.md files with its dev_ai_todos rows
+ * options.dryRun reports without writing, options.addFromDb: false skips adding DB todos to the files
+ * Returns { imported, linked, pulled, pushed, added, conflicts, missing, files }
+ */
+async function syncProject(projectPath, { dryRun = false, addFromDb = true, actor = 'user' } = {}) {
+  const { path: root } = await pathPolicy.resolvePath(projectPath);
+  const files = await readTodoFiles(root);
+
+  const { data: rows, error } = await from('dev_ai_todos')
+    .select('*')
+    .eq('project_id', projectPath);
+
+  if (error) throw error;
+
+  // Code todos (codeTodos) have anchors too, but no TODO.md line
+  const byAnchor = new Map((rows || []).filter(r => r.source_anchor && r.source !== CODE_SOURCE).map(r => [r.source_anchor, r]));
+  const taken = new Set((rows || []).map(r => r.source_anchor).filter(Boolean));
+  const seen = new Set();
+  const inserts = [];
+  const updates = [];
+  const result = { imported: [], linked: [], pulled: [], pushed: [], added: [], conflicts: [], missing: [], files: [] };
+
+  // Unsynced pending todos, by title - file items with the same title link to them instead of duplicating
+  const unlinked = new Map();
+  for (const row of rows || []) {
+    if (row.source_anchor || row.status === 'completed' || row.source === CODE_SOURCE || HIDDEN_CATEGORIES.includes(row.category)) continue;
+    const key = normalizeTitle(row.title).toLowerCase();
+    if (!unlinked.has(key)) unlinked.set(key, row);
+  }
+
+  // Line edits and section moves per file: { anchor, to }
+  const moves = new Map();
+
+  for (const [relPath, file] of files) {
+    file.lines = [...file.parsed.lines];
+
+    for (const item of file.parsed.items) {
+      const fState = fileState(item);
+      const where = { file: relPath, line: item.index + 1 };
+
+      // Copy-pasted anchors: the first occurrence keeps it
+      const row = item.anchor && !seen.has(item.anchor) ? byAnchor.get(item.anchor) : null;
+
+      if (!row) {
+        const match = unlinked.get(fState.title.toLowerCase());
+        const anchor = item.anchor && !seen.has(item.anchor) && !byAnchor.has(item.anchor) ? item.anchor : newAnchor(taken);
+        taken.add(anchor);
+        seen.add(anchor);
+
+        if (match) {
+          unlinked.delete(fState.title.toLowerCase());
+          updates.push({ id: match.id, fields: { ...dbFields(fState, match), source_file: relPath, source_anchor: anchor, source_hash: stateHash(fState) } });
+          result.linked.push({ id: match.id, anchor, title: fState.title, ...where });
+        } else {
+          inserts.push({
+            project_id: projectPath,
+            ...dbFields(fState),
+            priority: 'medium',
+            created_by: actor,
+            source: SOURCE,
+            source_file: relPath,
+            source_anchor: anchor,
+            source_hash: stateHash(fState)
+          });
+          result.imported.push({ anchor, title: fState.title, ...where });
+        }
+
+        if (anchor !== item.anchor) {
+          file.lines[item.index] = renderItem({ ...item, anchor, anchorComment: null });
+        }
+        continue;
+      }
+
+      seen.add(item.anchor);
+      const dState = dbState(row);
+      const fHash = stateHash(fState);
+      const dHash = stateHash(dState);
+      const location = row.source_file !== relPath ? { source_file: relPath } : {};
+
+      if (fHash === dHash) {
+        if (row.source_hash !== fHash || location.source_file) {
+          updates.push({ id: row.id, fields: { ...location, source_hash: fHash } });
+        }
+        continue;
+      }
+
+      const fileChanged = fHash !== row.source_hash;
+      const dbChanged = dHash !== row.source_hash;
+
+      if (fileChanged && dbChanged) {
+        result.conflicts.push({ id: row.id, anchor: item.anchor, ...where, file: fState, db: dState });
+        if (location.source_file) updates.push({ id: row.id, fields: location });
+        continue;
+      }
+
+      if (fileChanged) {
+        updates.push({ id: row.id, fields: { ...dbFields(fState, row), ...location, source_hash: fHash } });
+        result.pulled.push({ id: row.id, anchor: item.anchor, ...where, from: dState, to: fState });
+        continue;
+      }
+
+      // DB side changed - rewrite the line, move it when the category changed
+      file.lines[item.index] = renderItem({
+        ...item,
+        check: dState.completed ? (item.check === ' ' ? 'x' : item.check) : ' ',
+        text: dState.title === fState.title ? item.text : dState.title
+      });
+      if (dState.category !== fState.category) {
+        if (!moves.has(relPath)) moves.set(relPath, []);
+        moves.get(relPath).push({ anchor: item.anchor, to: dState.category });
+      }
+      updates.push({ id: row.id, fields: { ...location, source_hash: dHash } });
+      result.pushed.push({ id: row.id, anchor: item.anchor, ...where, from: fState, to: dState });
+    }
+  }
+
+  // Section moves - the item and its nested lines leave their block and join the target section
+  for (const [relPath, fileMoves] of moves) {
+    const file = files.get(relPath);
+    for (const move of fileMoves) {
+      const parsed = parseTodoFile(file.lines.join('\n'));
+      const item = parsed.items.find(i => i.anchor === move.anchor);
+      if (!item) continue;
+      const block = file.lines.splice(item.index, item.end - item.index);
+      block[0] = block[0].replace(/^\s*/, '');
+      insertIntoSection(file.lines, move.to, block);
+    }
+  }
+
+  for (const [anchor, row] of byAnchor) {
+    if (!seen.has(anchor)) {
+      result.missing.push({ id: row.id, anchor, title: row.title, file: row.source_file });
+    }
+  }
+
+  // Pending DB todos that no file has yet go to the file that has their section, else the root TODO.md
+  if (addFromDb) {
+    for (const row of unlinked.values()) {
+      const category = normalizeSection(row.category);
+      let target = [...files.keys()].find(rel => sectionInsertIndex(parseTodoFile(files.get(rel).lines.join('\n')), category) !== null);
+
+      if (!target) {
+        target = TODO_FILE;
+        if (!files.has(target)) {
+          files.set(target, { content: null, parsed: parseTodoFile(''), lines: ['# TODO', ''] });
+        }
+      }
+
+      const file = files.get(target);
+      const anchor = newAnchor(taken);
+      const { bullet, gap } = itemStyle(parseTodoFile(file.lines.join('\n')));
+      const state = dbState(row);
+
+      insertIntoSection(file.lines, category, [renderItem({ indent: '', bullet, check: ' ', gap, text: state.title, anchor, trailing: '' })]);
+      updates.push({ id: row.id, fields: { category, source_file: target, source_anchor: anchor, source_hash: stateHash(state) } });
+      result.added.push({ id: row.id, anchor, title: state.title, file: target, section: category });
+    }
+  }
+
+  // Files first - the DB only records the new state once it is on disk
+  for (const [relPath, file] of files) {
+    const content = file.lines.join(file.parsed.eol);
+    if (content === file.content) continue;
+
+    result.files.push({ path: relPath, created: file.content === null });
+    if (!dryRun) {
+      await pathPolicy.writeFile(path.join(root, relPath), content, { source: 'todoSync', actor });
+    }
+  }
+
+  if (!dryRun) {
+    const now = new Date().toISOString();
+
+    if (inserts.length > 0) {
+      const { error: insertError } = await from('dev_ai_todos').insert(inserts.map(row => ({ ...row, synced_at: now })));
+      if (insertError) throw insertError;
+    }
+
+    for (const update of updates) {
+      const { error: updateError } = await from('dev_ai_todos')
+        .update({ ...update.fields, synced_at: now })
+        .eq('id', update.id);
+      if (updateError) throw updateError;
+    }
+  }
+
+  logger.info('Todos synced', {
+    projectPath,
+    dryRun,
+    imported: result.imported.length,
+    linked: result.linked.length,
+    pulled: result.pulled.length,
+    pushed: result.pushed.length,
+    added: result.added.length,
+    conflicts: result.conflicts.length,
+    files: result.files.length
+  });
+
+  if (result.conflicts.length > 0) {
+    logger.warn('Todo sync conflicts', { projectPath, anchors: result.conflicts.map(c => c.anchor) });
+  }
+
+  return result;
+}
+
+/**
+ * Sync after a DB-side change, only for projects that were synced before - never throws
+ */
+async function syncIfLinked(projectPath) {
+  try {
+    if (!(await isSynced(projectPath))) return null;
+    return await syncProject(projectPath, { actor: 'clair' });
+  } catch (err) {
+    logger.error('Todo write-back failed', { projectPath, error: err.message });
+    return null;
+  }
+}
+
+module.exports = {
+  syncProject,
+  syncIfLinked,
+  isSynced,
+  parseTodoFile,
+  renderItem,
+  insertIntoSection,
+  stripAnchor,
+  DEFAULT_SECTION
+};
@@ -0,0 +1,473 @@
+/**
+ * Tree Index Service
+ *
+ * Keeps one file tree per project so the structure endpoints don't walk the disk
+ * on every request:
+ * - Built once (deep, with a node cap), held in memory and persisted to dev_ai_tree_index
+ * - Kept current by mtime diffing: only directories whose mtime changed are re-read
+ * - Reads are served from the index; a stale index refreshes in the background
+ *
+ * Directory mtimes change when entries are added, removed or renamed, which is what
+ * the tree shows. File size/mtime are refreshed whenever their folder is re-read; edits
+ * in place don't touch the folder, so the scheduled refresh also re-stats every file.
+ * Files carry their language and line count, folders the totals below them (codeMetrics).
+ * The project's .gitignore / .clairignore files are honored; when one of them changes
+ * the index is rebuilt (ignore files are only tracked in memory, so the first refresh
+ * after a restart rebuilds too).
+ *
+ * Refreshes every indexed project every 10 minutes (PST)
+ */
+
+const cron = require('node-cron');
+const path = require('path');
+const fs = require('fs').promises;
+const { from } = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const { shouldIgnore } = require('./fileTree');
+const { createIgnoreMatcher } = require('./ignoreRules');
+const codeMetrics = require('./codeMetrics');
+
+const logger = new Logger('Clair:TreeIndex');
+
+const JOB_NAME = 'Refresh Tree Index';
+const MAX_DEPTH = 12;
+const MAX_NODES = 50000;
+const FRESH_MS = 30 * 1000;
+const FILES_FRESH_MS = 5 * 60 * 1000;
+
+// projectPath -> { tree, nodeCount, truncated, builtAt, refreshedAt, checkedAt }
+const indexes = new Map();
+// projectPath -> in-flight build/refresh promise
+const pending = new Map();
+
+let isRunning = false;
+
+function sortChildren(children) {
+  children.sort((a, b) => {
+    if (a.type !== b.type) {
+      return a.type === 'directory' ? -1 : 1;
+    }
+    return a.name.localeCompare(b.name);
+  });
+}
+
+/**
+ * Read one directory level into nodes
+ * New folders are walked; folders found in `known` (name -> node) are reused as-is
+ */
+async function scanDirectory(dirPath, depth, budget, known = null) {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  const relDir = path.relative(budget.ignore.root, dirPath);
+  const children = [];
+
+  await budget.ignore.loadDir(relDir);
+
+  for (const entry of entries) {
+    if (shouldIgnore(entry.name)) continue;
+    if (budget.ignore.ignores(path.join(relDir, entry.name), entry.isDirectory())) continue;
+
+    const existing = known?.get(`${entry.isDirectory() ? 'directory' : 'file'}:${entry.name}`);
+    if (!existing) {
+      if (budget.nodes >= MAX_NODES) {
+        budget.truncated = true;
+        continue;
+      }
+      budget.nodes++;
+    }
+
+    const entryPath = path.join(dirPath, entry.name);
+
+    if (entry.isDirectory()) {
+      children.push(existing || await buildNode(entryPath, depth + 1, budget));
+    } else if (entry.isFile()) {
+      const stat = await fs.stat(entryPath).catch(() => null);
+      const { language, lines } = await codeMetrics.measureFile(entryPath, stat, existing);
+      children.push({
+        name: entry.name,
+        path: entryPath,
+        type: 'file',
+        extension: path.extname(entry.name),
+        language,
+        lines,
+        size: stat?.size ?? null,
+        mtime: stat?.mtimeMs ?? null
+      });
+    }
+  }
+
+  sortChildren(children);
+  return children;
+}
+
+async function buildNode(dirPath, depth, budget) {
+  const node = {
+    name: path.basename(dirPath),
+    path: dirPath,
+    type: 'directory',
+    mtime: null,
+    children: []
+  };
+
+  if (depth >= MAX_DEPTH) {
+    node.truncated = true;
+    return node;
+  }
+
+  try {
+    node.mtime = (await fs.stat(dirPath)).mtimeMs;
+    node.children = await scanDirectory(dirPath, depth, budget);
+  } catch (err) {
+    node.error = err.message;
+  }
+
+  return node;
+}
+
+function countNodes(node) {
+  return 1 + (node.children || []).reduce((sum, child) => sum + countNodes(child), 0);
+}
+
+/**
+ * Re-stat the files of a folder that wasn't re-read (edits in place don't touch the folder's mtime)
+ */
+async function refreshFiles(node) {
+  let changed = 0;
+
+  for (const child of node.children) {
+    if (child.type !== 'file') continue;
+
+    const stat = await fs.stat(child.path).catch(() => null);
+    if (!stat || (stat.size === child.size && stat.mtimeMs === child.mtime && child.lines !== undefined)) continue;
+
+    const { language, lines } = await codeMetrics.measureFile(child.path, stat, child);
+    Object.assign(child, { language, lines, size: stat.size, mtime: stat.mtimeMs });
+    changed++;
+  }
+
+  return changed;
+}
+
+/**
+ * Bring a directory node up to date - returns the number of nodes that changed
+ * budget.files also re-stats files in folders whose own mtime didn't change
+ */
+async function refreshNode(node, depth, budget) {
+  if (node.type !== 'directory' || node.truncated) return 0;
+
+  let stat;
+  try {
+    stat = await fs.stat(node.path);
+  } catch (err) {
+    node.error = err.message;
+    node.children = [];
+    return 1;
+  }
+
+  let changed = 0;
+  await budget.ignore.loadDir(path.relative(budget.ignore.root, node.path));
+
+  if (stat.mtimeMs !== node.mtime) {
+    // Known subfolders are kept - their own mtimes decide whether they are re-read
+    const previous = new Map(node.children.map(c => [`${c.type}:${c.name}`, c]));
+    const fresh = await scanDirectory(node.path, depth, budget, previous);
+    const freshKeys = new Set(fresh.map(c => `${c.type}:${c.name}`));
+
+    for (const child of fresh) {
+      const before = previous.get(`${child.type}:${child.name}`);
+      if (!before || (child.type === 'file' && (child.size !== before.size || child.mtime !== before.mtime))) {
+        changed++;
+      }
+    }
+    changed += [...previous.keys()].filter(key => !freshKeys.has(key)).length;
+
+    node.children = fresh;
+    node.mtime = stat.mtimeMs;
+    delete node.error;
+  } else if (budget.files) {
+    changed += await refreshFiles(node);
+  }
+
+  for (const child of node.children) {
+    if (child.type === 'directory') {
+      changed += await refreshNode(child, depth + 1, budget);
+    }
+  }
+
+  return changed;
+}
+
+function sameIgnoreFiles(before, after) {
+  if (!before) return false;
+  const keys = Object.keys(after);
+  return keys.length === Object.keys(before).length && keys.every(key => before[key] === after[key]);
+}
+
+async function persist(projectPath, index) {
+  const { error } = await from('dev_ai_tree_index')
+    .upsert({
+      project_id: projectPath,
+      tree: index.tree,
+      node_count: index.nodeCount,
+      max_depth: MAX_DEPTH,
+      is_truncated: index.truncated,
+      built_at: index.builtAt,
+      refreshed_at: index.refreshedAt
+    }, {
+      onConflict: 'project_id'
+    });
+
+  if (error) logger.warn('Failed to persist tree index', { projectPath, error: error.message });
+}
+
+async function loadPersisted(projectPath) {
+  const { data, error } = await from('dev_ai_tree_index')
+    .select('tree, node_count, is_truncated, built_at, refreshed_at')
+    .eq('project_id', projectPath)
+    .single();
+
+  if (error || !data?.tree) return null;
+
+  return {
+    tree: data.tree,
+    nodeCount: data.node_count,
+    truncated: data.is_truncated,
+    builtAt: data.built_at,
+    refreshedAt: data.refreshed_at,
+    checkedAt: 0
+  };
+}
+
+/**
+ * Full walk of a project (replaces any existing index)
+ */
+async function buildIndex(projectPath) {
+  const root = path.resolve(projectPath);
+  const stat = await fs.stat(root).catch(() => null);
+  if (!stat || !stat.isDirectory()) {
+    const error = new Error(`Project path not found: ${projectPath}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const startTime = Date.now();
+  const budget = { nodes: 0, truncated: false, ignore: createIgnoreMatcher(root) };
+  const tree = await buildNode(root, 0, budget);
+  codeMetrics.aggregateMetrics(tree);
+  const now = new Date().toISOString();
+
+  const index = {
+    tree,
+    nodeCount: budget.nodes + 1,
+    truncated: budget.truncated,
+    builtAt: now,
+    refreshedAt: now,
+    checkedAt: Date.now(),
+    filesCheckedAt: Date.now(),
+    ignoreFiles: { ...budget.ignore.files }
+  };
+
+  indexes.set(projectPath, index);
+  await persist(projectPath, index);
+
+  logger.info('Tree index built', {
+    projectPath,
+    nodes: index.nodeCount,
+    truncated: index.truncated,
+    duration: `${Date.now() - startTime}ms`
+  });
+
+  return index;
+}
+
+/**
+ * mtime diff against the disk - persists only when something changed
+ * options.files also re-stats every file (sizes, line counts and modification times)
+ */
+async function refreshIndex(projectPath, { files = false } = {}) {
+  const index = indexes.get(projectPath) || await loadPersisted(projectPath);
+  if (!index) return buildIndex(projectPath);
+
+  const budget = { nodes: index.nodeCount || 0, truncated: index.truncated, files, ignore: createIgnoreMatcher(index.tree.path) };
+  const changed = await refreshNode(index.tree, 0, budget);
+  index.checkedAt = Date.now();
+  if (files) index.filesCheckedAt = Date.now();
+
+  // An ignore file was added, removed or edited - its rules may apply anywhere below it
+  if (!sameIgnoreFiles(index.ignoreFiles, budget.ignore.files)) {
+    logger.info('Ignore files changed, rebuilding tree index', { projectPath });
+    return buildIndex(projectPath);
+  }
+
+  if (changed > 0 || !index.tree.metrics) {
+    codeMetrics.aggregateMetrics(index.tree);
+    index.nodeCount = countNodes(index.tree);
+    index.truncated = budget.truncated;
+    index.refreshedAt = new Date().toISOString();
+    await persist(projectPath, index);
+    logger.info('Tree index refreshed', { projectPath, changed, nodes: index.nodeCount });
+  }
+
+  indexes.set(projectPath, index);
+  return index;
+}
+
+/**
+ * One build/refresh per project at a time
+ */
+function runOnce(projectPath, task) {
+  if (!pending.has(projectPath)) {
+    pending.set(projectPath, task().finally(() => pending.delete(projectPath)));
+  }
+  return pending.get(projectPath);
+}
+
+/**
+ * The project's index - built on first use, refreshed when older than FRESH_MS
+ * options.wait waits for the refresh instead of serving the current tree
+ * options.files waits for a file re-stat when the last one is older than FILES_FRESH_MS (metrics)
+ */
+async function getIndex(projectPath, { wait = false, files = false } = {}) {
+  let index = indexes.get(projectPath);
+
+  if (!index) {
+    index = await loadPersisted(projectPath);
+    if (index) indexes.set(projectPath, index);
+  }
+
+  if (!index) {
+    return runOnce(projectPath, () => buildIndex(projectPath));
+  }
+
+  if (files && Date.now() - (index.filesCheckedAt || 0) > FILES_FRESH_MS) {
+    return runOnce(projectPath, () => refreshIndex(projectPath, { files: true }));
+  }
+
+  if (Date.now() - index.checkedAt > FRESH_MS) {
+    const refresh = runOnce(projectPath, () => refreshIndex(projectPath));
+    if (wait) return refresh;
+    refresh.catch(err => logger.error('Background tree refresh failed', { projectPath, error: err.message }));
+  }
+
+  return index;
+}
+
+/**
+ * Copy of a node cut at depth (deeper folders keep childCount so the UI can expand them)
+ * Files get modifiedAt, folders keep their metrics
+ */
+function cloneToDepth(node, depth) {
+  const { children, mtime, ...rest } = node;
+  if (node.type !== 'directory') {
+    return mtime ? { ...rest, modifiedAt: new Date(mtime).toISOString() } : rest;
+  }
+
+  if (depth <= 0) {
+    return { ...rest, children: [], childCount: (children || []).length, truncated: true };
+  }
+
+  return { ...rest, children: (children || []).map(child => cloneToDepth(child, depth - 1)) };
+}
+
+function findNode(tree, relPath) {
+  const parts = String(relPath || '').split(/[\\/]+/).filter(p => p && p !== '.');
+  let node = tree;
+
+  for (const part of parts) {
+    if (part === '..') return null;
+    node = (node.children || []).find(c => c.name === part);
+    if (!node) return null;
+  }
+
+  return node;
+}
+
+/**
+ * Tree (or the subtree at relPath) from the index, depth levels deep
+ * Returns { tree, indexedAt, refreshedAt, nodeCount, truncated } - tree is null when the path isn't in the index
+ */
+async function getTree(projectPath, { relPath = '', depth = 3, wait = false } = {}) {
+  const index = await getIndex(projectPath, { wait });
+  const node = findNode(index.tree, relPath);
+
+  return {
+    tree: node ? cloneToDepth(node, depth) : null,
+    indexedAt: index.builtAt,
+    refreshedAt: index.refreshedAt,
+    nodeCount: index.nodeCount,
+    truncated: index.truncated
+  };
+}
+
+async function updateJobStatus(status, result = {}) {
+  try {
+    await from('dev_ai_clair_schedule')
+      .update({
+        status,
+        last_run_at: new Date().toISOString(),
+        last_result: result,
+        last_error: result.error || null
+      })
+      .eq('job_name', JOB_NAME);
+  } catch (err) {
+    logger.error('Failed to update job status', { error: err.message });
+  }
+}
+
+/**
+ * Scheduled refresh of every indexed project
+ */
+async function runIndexRefresh() {
+  if (isRunning) {
+    logger.info('Tree index refresh already running, skipping');
+    return null;
+  }
+
+  isRunning = true;
+  const startTime = Date.now();
+
+  try {
+    await updateJobStatus('running');
+
+    const { data: rows, error } = await from('dev_ai_tree_index').select('project_id');
+    if (error) throw error;
+
+    let refreshed = 0;
+    for (const { project_id } of rows || []) {
+      try {
+        await runOnce(project_id, () => refreshIndex(project_id, { files: true }));
+        refreshed++;
+      } catch (err) {
+        logger.error('Tree index refresh failed', { projectPath: project_id, error: err.message });
+      }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    await updateJobStatus('completed', { success: true, projects: refreshed, duration: `${duration}s` });
+    return { projects: refreshed };
+  } catch (error) {
+    logger.error('Tree index refresh failed', { error: error.message });
+    await updateJobStatus('failed', { error: error.message });
+    return { success: false, error: error.message };
+  } finally {
+    isRunning = false;
+  }
+}
+
+function initTreeIndexScheduler() {
+  cron.schedule('*/10 * * * *', async () => {
+    await runIndexRefresh();
+  }, { timezone: 'America/Los_Angeles' });
+
+  console.log('[TreeIndex] Scheduler ready - every 10 minutes');
+}
+
+module.exports = {
+  initTreeIndexScheduler,
+  runIndexRefresh,
+  getIndex,
+  getTree,
+  buildIndex,
+  refreshIndex,
+  findNode,
+  cloneToDepth
+};